@@ -0,0 +1,102 @@
+/**
+ * Benchmarks toGraph on synthetic registers and checks that the incidence-list overlaps match
+ * the previous all-pairs implementation, down to the generated report.
+ *
+ *   npm run bench            # 5k, 20k and 50k seats
+ *   npm run bench -- 100000  # custom sizes
+ */
+import { performance } from "node:perf_hooks";
+import { toGraph, genReport, createRandom } from "../src/analysis.js";
+
+// About nine seats per board; most directors hold one seat, a few hold many
+function syntheticSeats(seatCount, seed = 1) {
+  const random = createRandom(seed);
+  const companyCount = Math.max(2, Math.round(seatCount / 9));
+  const rows = [];
+  const seen = new Set();
+  let director = 0;
+  while (rows.length < seatCount) {
+    const boards = 1 + Math.floor(-Math.log(1 - random()) * 0.6);
+    for (let k = 0; k < boards && rows.length < seatCount; k++) {
+      const company = Math.floor(random() ** 1.4 * companyCount);
+      const key = `${director}|${company}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      rows.push({ person: `Director ${director}`, company: `Company ${company}` });
+    }
+    director += 1;
+  }
+  return rows;
+}
+
+// The pairwise overlap construction toGraph used before incidence lists
+function legacyOverlaps(graph) {
+  const personSets = new Map([...graph.personAffiliations].map(([name, list]) => [name, new Set(list)]));
+  const companySets = new Map([...graph.companyAffiliations].map(([name, list]) => [name, new Set(list)]));
+  const directorAdjacency = new Map(graph.people.map(p => [p, new Set()]));
+  const companyAdjacency = new Map(graph.companies.map(c => [c, new Set()]));
+  const pairs = (names, sets, adjacency, contribution) => {
+    const overlaps = [];
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        const a = names[i], b = names[j];
+        const A = sets.get(a), B = sets.get(b);
+        const inter = [...A].filter(x => B.has(x));
+        if (inter.length > 0) {
+          const newman = inter.reduce((sum, x) => sum + contribution(x), 0);
+          overlaps.push({ a, b, via: inter, newman });
+          adjacency.get(a).add(b);
+          adjacency.get(b).add(a);
+        }
+      }
+    }
+    return overlaps;
+  };
+  return {
+    ...graph,
+    companyOverlaps: pairs(graph.companies, companySets, companyAdjacency, p => 1 / Math.max(1, personSets.get(p).size - 1)),
+    personOverlaps: pairs(graph.people, personSets, directorAdjacency, c => 1 / Math.max(1, companySets.get(c).size - 1)),
+    directorAdjacency,
+    companyAdjacency
+  };
+}
+
+const serialize = (value) => JSON.stringify(value, (key, item) => {
+  if (item instanceof Map) return [...item.entries()];
+  if (item instanceof Set) return [...item];
+  return item;
+});
+
+function time(fn) {
+  const start = performance.now();
+  const result = fn();
+  return { result, ms: performance.now() - start };
+}
+
+function checkEquivalence(seatCount) {
+  const rows = syntheticSeats(seatCount, 7);
+  const current = toGraph(rows);
+  const legacy = legacyOverlaps(current);
+  const same = ["companyOverlaps", "personOverlaps", "directorAdjacency", "companyAdjacency"]
+    .every(key => serialize(current[key]) === serialize(legacy[key]));
+  const sameReport = serialize(genReport(current)) === serialize(genReport(legacy));
+  console.log(`equivalence @ ${seatCount} seats: overlaps ${same ? "identical" : "DIFFER"}, report ${sameReport ? "identical" : "DIFFERS"}`);
+  return same && sameReport;
+}
+
+function benchmark(seatCount, compareLegacy) {
+  const rows = syntheticSeats(seatCount);
+  const { result: graph, ms } = time(() => toGraph(rows));
+  let line = `${String(seatCount).padStart(7)} seats | ${String(graph.people.length).padStart(6)} directors | ${String(graph.companies.length).padStart(5)} companies | ` +
+    `${String(graph.personOverlaps.length).padStart(8)} director ties | toGraph ${ms.toFixed(0).padStart(6)} ms`;
+  if (compareLegacy) {
+    const legacy = time(() => legacyOverlaps(graph));
+    line += ` | all-pairs overlaps ${legacy.ms.toFixed(0)} ms`;
+  }
+  console.log(line);
+}
+
+const sizes = process.argv.slice(2).map(Number).filter(n => n > 0);
+const ok = checkEquivalence(1500);
+for (const size of sizes.length ? sizes : [5000, 20000, 50000]) benchmark(size, size <= 5000);
+if (!ok) process.exitCode = 1;
@@ -1,40 +1,94 @@
 import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
-import { Download, Upload, RefreshCw, FileDown, Search, Info, Bug } from "lucide-react";
+import { Download, Upload, RefreshCw, FileDown, Search, Info, Bug, Play, Pause, Link, Save, FileJson, FolderOpen } from "lucide-react";
 import { Network } from "vis-network/standalone";
+import {
+  SEAT_ROLES,
+  formatSeatPeriod,
+  unique,
+  TIE_WEIGHTINGS,
+  CENTRALITY_SAMPLING,
+  computeCrossCliqueConnectors,
+  BROKERAGE_ROLES,
+  RANKING_COLUMNS,
+  seatKey,
+  pairKey,
+  runAnalysis,
+  PATH_LIMITS,
+  findPaths,
+  CLIQUE_LIMITS,
+  SUBGROUP_MEASURES,
+  runSubgroups,
+  NULL_MODEL_DEFAULTS,
+  NULL_MODEL_SIMULATIONS,
+  runNullModel
+} from "./analysis.js";
 
 /**
  * Interlocking Directors – Single-file React App
- * - Paste a simple CSV edge list: Director,Company (one per line)
- * - Builds a bipartite graph (directors ↔ companies)
+ * - Paste a CSV edge list: Director,Company (one per line); quoted fields, headers,
+ *   ; or tab delimiters and a column-mapping step for wider spreadsheet exports
+ * - Import GraphML, GEXF, node-link JSON or Pajek files (converted to the CSV edge list)
+ * - Builds a bipartite graph (directors ↔ companies); optional role, appointment/departure
+ *   dates and committees per seat are styled on the edges and shown in tooltips
  * - Different shapes/styles for people vs. companies
- * - Auto report: key metrics, directors with multiple seats, company overlaps
- * - Export: PNG of the graph + CSV of the report
- * - Filter/search by name or minimum degree
- * - Network analytics: centrality, clique detection, and centralization metrics
+ * - Auto report: key metrics, directors with multiple seats, company overlaps, and a sortable,
+ *   filterable ranking of every director and company
+ * - Entity resolution: suggested merges for name variants, with a saved alias table
+ * - Snapshot diff against a previous register: added/removed seats, overlaps and rank moves
+ * - Optional node table (sector, market cap, listing, country, gender, independence) driving
+ *   colour, size and shape mappings with a generated legend
+ * - Attribute analytics: board gender composition, sector × sector interlocks, cross-sector share
+ *   and assortativity, shown as heatmaps and exported with the report CSV
+ * - Network structure: components, giant component, density, diameter, mean path length and
+ *   clustering for the two-mode graph and both projections, with degree histograms
+ * - Brokers: Burt effective size and constraint for every node, and Gould–Fernandez brokerage
+ *   roles once companies or directors carry a sector; both can size nodes in the graph
+ * - Null models: curveball randomizations preserving seat counts give z-scores and p-values for
+ *   overlap, clique and centralization figures (seeded, run in the worker)
+ * - Export: PNG of the graph + CSV of the report; GEXF/GraphML/Pajek of the bipartite graph and projections
+ * - Workspace autosave, named workspaces and shareable links (#ws=… in the URL hash)
+ * - .idproj project files: seats, aliases, dragged node positions, view settings and notes
+ * - Ego networks: a focused node's 1–3 hop neighbourhood on concentric rings labelled by distance,
+ *   with per-hop counts in the selection overlay
+ * - Path finder: every shortest (or the k shortest) director–board chain between two nodes,
+ *   highlighted on the canvas and exportable as CSV
+ * - Filter/search by name or minimum degree; replay the network as of any year when seats are dated
+ * - Two-mode (Borgatti–Everett) degree, closeness and betweenness next to the projection scores
+ * - Community detection: Louvain on both projections and Barber bipartite modularity, drawn as halos
+ * - Graph building and analytics run in a Web Worker (src/analysis.worker.js) with progress and
+ *   cancellation; the previous result stays on screen until the new one is ready
+ * - Sampled (pivot) closeness and betweenness for large networks, flagged as estimates in the report
+ * - Network analytics: degree, closeness, betweenness, eigenvector, PageRank, Katz and harmonic
+ *   centrality, clique detection, and centralization metrics
+ * - Clique search is capped by time and result count; k-cores, k-plexes and n-clans offer
+ *   relaxed cohesive subgroups, each with its own halo mode
+ * - Weighted projections (shared seats or Newman collaboration weights) feeding strength and
+ *   weighted closeness/betweenness; centric views draw thicker edges for stronger ties
 */
 
-const SAMPLE = `# Director,Company (CSV; lines starting with # are comments)
-# Tip: A director can appear on multiple lines with different companies
-Isabel Cortez,Atlas Renewables
-Miguel Santos,Atlas Renewables
-Priya Shah,Atlas Renewables
-Kenji Watanabe,Atlas Renewables
-Elena Morales,Atlas Renewables
-Miguel Santos,Harbor Logistics
-Priya Shah,Harbor Logistics
-Daniel Reyes,Harbor Logistics
-Lila Tan,Harbor Logistics
-Omar Velasco,Harbor Logistics
-Elena Morales,Northwind Banking
-Daniel Reyes,Northwind Banking
-Hannah Uy,Northwind Banking
-Carlo Medina,Northwind Banking
-Farah Singh,Northwind Banking
-Rafael Cruz,Silverline Foods
-Beatrice Lim,Silverline Foods
-Victor Gomez,Silverline Foods
-Alina Ortega,Silverline Foods
-Jonah Park,Silverline Foods
+const SAMPLE = `# Director,Company[,Role,Start,End,Committees] (CSV; lines starting with # are comments)
+# Tip: A director can appear on multiple lines with different companies. Extra columns are optional.
+Director,Company,Role,Start,End,Committees
+Isabel Cortez,Atlas Renewables,Chair,2012,,Nominating
+Miguel Santos,Atlas Renewables,Independent,2014,,Audit|Risk
+Priya Shah,Atlas Renewables,Independent,2016,2022,Audit
+Kenji Watanabe,Atlas Renewables,CEO,2015,,
+Elena Morales,Atlas Renewables,Independent,2013,2019,Remuneration
+Miguel Santos,Harbor Logistics,Chair,2017,,
+Priya Shah,Harbor Logistics,Independent,2018,,Audit
+Daniel Reyes,Harbor Logistics,Executive,2011,2021,
+Lila Tan,Harbor Logistics,CEO,2016,,
+Omar Velasco,Harbor Logistics,Independent,2019,,Risk
+Elena Morales,Northwind Banking,Chair,2015,,Risk
+Daniel Reyes,Northwind Banking,Independent,2014,,Audit
+Hannah Uy,Northwind Banking,CEO,2012,,
+Carlo Medina,Northwind Banking,Executive,2018,,
+Farah Singh,Northwind Banking,Independent,2020,,Remuneration
+Rafael Cruz,Silverline Foods,Chair,2010,,
+Beatrice Lim,Silverline Foods,Independent,2013,,Audit
+Victor Gomez,Silverline Foods,CEO,2016,,
+Alina Ortega,Silverline Foods,Independent,2017,,Audit|Nominating
+Jonah Park,Silverline Foods,Executive,2019,,
 `;
 
 const DEGREE_COPY = {
@@ -58,441 +112,891 @@ const DEGREE_COPY = {
   }
 };
 
-const PERSON_PALETTE = {
-  baseBackground: "#2563eb",
-  baseBorder: "#1e40af",
-  highlightBackground: "#1d4ed8",
-  highlightBorder: "#1e3a8a",
-  focusBackground: "#1e3a8a",
-  focusBorder: "#0f172a",
-  mutedBackground: "#bfdbfe",
-  mutedBorder: "#93c5fd"
+// Default look of each node type when no attribute mapping applies
+const NODE_TYPE_STYLES = {
+  person: { label: "Directors", shape: "dot", background: "#2563eb", border: "#1e40af" },
+  company: { label: "Companies", shape: "box", background: "#f59e0b", border: "#b45309" }
 };
 
-const COMPANY_PALETTE = {
-  baseBackground: "#f59e0b",
-  baseBorder: "#b45309",
-  highlightBackground: "#f97316",
-  highlightBorder: "#c2410c",
-  focusBackground: "#ea580c",
-  focusBorder: "#9a3412",
-  mutedBackground: "#fde68a",
-  mutedBorder: "#facc15"
-};
+// Category colours skip the default director blue and company amber so mapped nodes stand out
+const CATEGORY_COLORS = ["#10b981", "#ef4444", "#8b5cf6", "#06b6d4", "#ec4899", "#84cc16", "#f97316", "#0ea5e9", "#a16207"];
+const BINNED_COLORS = ["#dbeafe", "#93c5fd", "#3b82f6", "#1d4ed8", "#1e3a8a"];
+const CATEGORY_SHAPES = ["dot", "diamond", "triangle", "square", "star", "triangleDown", "hexagon"];
+const OTHER_COLOR = "#94a3b8";
+
+function mixHex(hex, target, amount) {
+  const parse = (value) => [1, 3, 5].map(i => parseInt(value.slice(i, i + 2), 16));
+  const from = parse(hex);
+  const to = parse(target);
+  return `#${from.map((channel, i) => Math.round(channel + (to[i] - channel) * amount).toString(16).padStart(2, "0")).join("")}`;
+}
 
-// Lightweight CSV parser for lines like: name, company
-function parseCSV(text) {
-  const rows = [];
-  for (const raw of text.split(/\r?\n/)) {
-    const line = raw.trim();
-    if (!line || line.startsWith("#")) continue;
-    const parts = line.split(",");
-    if (parts.length < 2) continue;
-    const person = parts[0].trim();
-    const company = parts.slice(1).join(",").trim();
-    if (person && company) rows.push({ person, company });
+// Focus and muted shades derived from a node's own colour, so attribute colours survive focusing
+function nodePalette(node) {
+  const fallback = NODE_TYPE_STYLES[node.id.startsWith("P:") ? "person" : "company"];
+  const background = /^#[0-9a-f]{6}$/i.test(node.color?.background || "") ? node.color.background : fallback.background;
+  const border = /^#[0-9a-f]{6}$/i.test(node.color?.border || "") ? node.color.border : mixHex(background, "#000000", 0.3);
+  return {
+    baseBackground: background,
+    baseBorder: border,
+    highlightBackground: mixHex(background, "#000000", 0.1),
+    highlightBorder: mixHex(border, "#000000", 0.2),
+    focusBackground: mixHex(background, "#000000", 0.35),
+    focusBorder: mixHex(border, "#000000", 0.55),
+    mutedBackground: mixHex(background, "#ffffff", 0.7),
+    mutedBorder: mixHex(background, "#ffffff", 0.5)
+  };
+}
+
+const CSV_DELIMITERS = [
+  { key: ",", label: "Comma" },
+  { key: ";", label: "Semicolon" },
+  { key: "\t", label: "Tab" }
+];
+
+// How all-numeric dates such as 03/04/2019 are read; "auto" picks the order the column's dates allow
+const DATE_ORDERS = [
+  { key: "dmy", label: "Day/month/year" },
+  { key: "mdy", label: "Month/day/year" }
+];
+
+// Columns the importer understands. Header aliases are matched case-insensitively.
+const CSV_FIELDS = [
+  {
+    key: "person",
+    label: "Director",
+    required: true,
+    aliases: ["director", "director name", "person", "name", "full name", "board member", "member", "officer"]
+  },
+  {
+    key: "company",
+    label: "Company",
+    required: true,
+    aliases: ["company", "company name", "board", "organisation", "organization", "entity", "firm", "issuer", "employer"]
+  },
+  {
+    key: "role",
+    label: "Role",
+    required: false,
+    aliases: ["role", "position", "title", "seat", "capacity", "designation"]
+  },
+  {
+    key: "start",
+    label: "Appointed",
+    required: false,
+    aliases: ["start", "start date", "from", "appointed", "appointment date", "date appointed", "joined", "since"]
+  },
+  {
+    key: "end",
+    label: "Departed",
+    required: false,
+    aliases: ["end", "end date", "to", "until", "departed", "departure date", "date departed", "resigned", "left", "ceased"]
+  },
+  {
+    key: "committees",
+    label: "Committees",
+    required: false,
+    aliases: ["committee", "committees", "committee memberships", "committee membership"]
   }
-  return rows;
+];
+
+function normalizeRole(value) {
+  const text = String(value || "").trim().toLowerCase();
+  if (!text) return null;
+  if (/chair/.test(text)) return "chair";
+  if (/\bceo\b|chief executive|managing director|president/.test(text)) return "ceo";
+  if (/independent|non[\s-]?exec|\bned\b|outside/.test(text)) return "independent";
+  if (/exec|officer|\bcfo\b|\bcoo\b|\bcto\b/.test(text)) return "executive";
+  return "other";
+}
+
+const OPEN_DATE = /^(present|current|ongoing|n\/?a|-)$/i;
+const NUMERIC_DATE = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/;
+
+// YYYY-MM-DD when the parts form a real calendar day, otherwise null
+function calendarDate(year, month, day) {
+  const y = Number(year);
+  const m = Number(month);
+  const d = Number(day);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return `${year}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+}
+
+// True when a date cell is filled in but parseSeatDate cannot read it
+function isUnreadableDate(value, order) {
+  const text = String(value || "").trim();
+  return Boolean(text) && !OPEN_DATE.test(text) && parseSeatDate(text, order) === null;
 }
 
-function unique(array) {
-  return Array.from(new Set(array));
+// Order of the all-numeric dates among `values`: a first part above 12 means day first, a second
+// part above 12 month first. Ambiguous columns read day first.
+function detectDateOrder(values) {
+  for (const value of values) {
+    const match = String(value || "").trim().match(NUMERIC_DATE);
+    if (!match) continue;
+    if (Number(match[1]) > 12) return "dmy";
+    if (Number(match[2]) > 12) return "mdy";
+  }
+  return "dmy";
 }
 
-function toGraph(rows) {
-  // Build node lists
-  const people = unique(rows.map(r => r.person));
-  const companies = unique(rows.map(r => r.company));
+// Accepts YYYY, YYYY-MM, YYYY-MM-DD, D/M/YYYY or M/D/YYYY (per `order`) or a written-out date;
+// returns YYYY-MM-DD, or null for blank, open-ended ("present") and unreadable values.
+function parseSeatDate(value, order = "dmy") {
+  const text = String(value || "").trim();
+  if (!text || OPEN_DATE.test(text)) return null;
+  const iso = text.match(/^(\d{4})(?:[-/.](\d{1,2}))?(?:[-/.](\d{1,2}))?$/);
+  if (iso) {
+    const [, y, m = "1", d = "1"] = iso;
+    return calendarDate(y, m, d);
+  }
+  const numeric = text.match(NUMERIC_DATE);
+  if (numeric) {
+    const [, first, second, y] = numeric;
+    return order === "mdy" ? calendarDate(y, first, second) : calendarDate(y, second, first);
+  }
+  // Other numeric forms (two-digit years and the like) are too ambiguous to guess
+  if (/^[\d\s./-]+$/.test(text)) return null;
+  const parsed = Date.parse(text);
+  if (Number.isNaN(parsed)) return null;
+  // Free-text dates parse as local midnight; read them back in local time so they keep their day
+  const date = new Date(parsed);
+  const pad = (number) => String(number).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
 
-  // Maps for degree calculation
-  const degreePerson = new Map(people.map(p => [p, 0]));
-  const degreeCompany = new Map(companies.map(c => [c, 0]));
+function parseCommittees(value) {
+  return String(value || "")
+    .split(/\s*[|;/]\s*/)
+    .map(item => item.trim())
+    .filter(Boolean);
+}
 
-  const companySets = new Map(companies.map(c => [c, new Set()]));
-  const personSets = new Map(people.map(p => [p, new Set()]));
-  const directorAdjacency = new Map(people.map(p => [p, new Set()]));
-  const companyAdjacency = new Map(companies.map(c => [c, new Set()]));
+function normalizeHeader(value) {
+  return String(value || "").trim().toLowerCase().replace(/[\s_\-.]+/g, " ");
+}
 
-  const edges = [];
-  for (const { person, company } of rows) {
-    degreePerson.set(person, degreePerson.get(person) + 1);
-    degreeCompany.set(company, degreeCompany.get(company) + 1);
-    companySets.get(company).add(person);
-    personSets.get(person).add(company);
-    edges.push({ from: `P:${person}`, to: `C:${company}`, label: "" });
-  }
-
-  const nodes = [
-    ...people.map(p => ({
-      id: `P:${p}`,
-      label: p,
-      group: "person",
-      shape: "dot",
-      size: 16 + Math.min(20, (degreePerson.get(p) - 1) * 3),
-      color: { background: "#2563eb", border: "#1e40af" },
-      font: { color: "#0b1220" }
-    })),
-    ...companies.map(c => ({
-      id: `C:${c}`,
-      label: c,
-      group: "company",
-      shape: "box",
-      margin: 8,
-      widthConstraint: { maximum: 220 },
-      color: { background: "#f59e0b", border: "#b45309" },
-      font: { color: "#0b1220" }
-    }))
-  ];
+function stripBOM(text) {
+  return text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+}
 
-  // Company↔Company overlaps via shared directors
-  const companyOverlaps = [];
-  for (let i = 0; i < companies.length; i++) {
-    for (let j = i + 1; j < companies.length; j++) {
-      const a = companies[i], b = companies[j];
-      const A = companySets.get(a), B = companySets.get(b);
-      const inter = [...A].filter(x => B.has(x));
-      if (inter.length > 0) {
-        companyOverlaps.push({ a, b, via: inter });
-        companyAdjacency.get(a).add(b);
-        companyAdjacency.get(b).add(a);
+// Picks the delimiter that occurs most often (outside quotes) in the first data lines
+function detectDelimiter(text) {
+  const sample = stripBOM(text)
+    .split(/\r?\n/)
+    .filter(line => line.trim() && !line.trim().startsWith("#"))
+    .slice(0, 20);
+  let best = ",";
+  let bestCount = 0;
+  for (const { key } of CSV_DELIMITERS) {
+    let count = 0;
+    for (const line of sample) {
+      let inQuotes = false;
+      for (const ch of line) {
+        if (ch === '"') inQuotes = !inQuotes;
+        else if (ch === key && !inQuotes) count += 1;
       }
     }
+    if (count > bestCount) {
+      best = key;
+      bestCount = count;
+    }
   }
+  return best;
+}
+
+// RFC 4180 tokenizer: quoted fields, "" escapes, embedded newlines, CRLF/LF.
+// Blank records and lines starting with # are skipped.
+function tokenizeCSV(text, delimiter = ",") {
+  const src = stripBOM(text);
+  const n = src.length;
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  let quotedField = false;
+  let atLineStart = true;
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.some(value => value.trim() !== "")) records.push(record);
+    record = [];
+    field = "";
+    quotedField = false;
+    atLineStart = true;
+  };
+
+  let i = 0;
+  while (i < n) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+        i += 1;
+        continue;
+      }
+      field += ch;
+      i += 1;
+      continue;
+    }
 
-  const personOverlaps = [];
-  for (let i = 0; i < people.length; i++) {
-    for (let j = i + 1; j < people.length; j++) {
-      const a = people[i], b = people[j];
-      const A = personSets.get(a), B = personSets.get(b);
-      const inter = [...A].filter(x => B.has(x));
-      if (inter.length > 0) {
-        personOverlaps.push({ a, b, via: inter });
-        directorAdjacency.get(a).add(b);
-        directorAdjacency.get(b).add(a);
+    if (atLineStart) {
+      atLineStart = false;
+      let end = src.indexOf("\n", i);
+      if (end === -1) end = n;
+      if (src.slice(i, end).trimStart().startsWith("#")) {
+        i = end + 1;
+        atLineStart = true;
+        continue;
       }
     }
+
+    if (ch === '"' && !quotedField && field.trim() === "") {
+      inQuotes = true;
+      quotedField = true;
+      field = "";
+      i += 1;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = "";
+      quotedField = false;
+      i += 1;
+    } else if (ch === "\r" || ch === "\n") {
+      endRecord();
+      i += ch === "\r" && src[i + 1] === "\n" ? 2 : 1;
+    } else {
+      field += ch;
+      i += 1;
+    }
   }
+  if (field !== "" || record.length > 0) endRecord();
+  return records;
+}
 
-  const personAffiliations = new Map([...personSets.entries()].map(([k, v]) => [k, [...v]]));
-  const companyAffiliations = new Map([...companySets.entries()].map(([k, v]) => [k, [...v]]));
+function parseTable(text, delimiter = "auto") {
+  const resolvedDelimiter = delimiter === "auto" || !delimiter ? detectDelimiter(text) : delimiter;
+  const records = tokenizeCSV(text, resolvedDelimiter);
+  const columnCount = records.reduce((max, record) => Math.max(max, record.length), 0);
+  return { delimiter: resolvedDelimiter, records, columnCount };
+}
 
-  return {
-    nodes,
-    edges,
-    degreePerson,
-    degreeCompany,
-    people,
-    companies,
-    companyOverlaps,
-    personOverlaps,
-    personAffiliations,
-    companyAffiliations,
-    directorAdjacency,
-    companyAdjacency
+// Detects a header row from known aliases and maps each field to a column index
+function guessColumnMapping(table) {
+  const first = table.records[0] || [];
+  const normalized = first.map(normalizeHeader);
+  const columns = {};
+  for (const field of CSV_FIELDS) {
+    const index = normalized.findIndex(value => field.aliases.includes(value));
+    if (index !== -1 && !Object.values(columns).includes(index)) columns[field.key] = index;
+  }
+  const hasHeader = Object.keys(columns).length > 0;
+
+  let next = 0;
+  for (const field of CSV_FIELDS) {
+    if (!field.required || typeof columns[field.key] === "number") continue;
+    while (Object.values(columns).includes(next)) next += 1;
+    columns[field.key] = next;
+    next += 1;
+  }
+  return { hasHeader, columns };
+}
 
-  };
+function resolveColumnMapping(table, overrides = {}) {
+  const guess = guessColumnMapping(table);
+  const maxIndex = Math.max(0, table.columnCount - 1);
+  const columns = { ...guess.columns };
+  for (const [key, value] of Object.entries(overrides.columns || {})) {
+    if (value === null || value === -1) delete columns[key];
+    else if (Number.isInteger(value)) columns[key] = Math.min(value, maxIndex);
+  }
+  const hasHeader = typeof overrides.hasHeader === "boolean" ? overrides.hasHeader : guess.hasHeader;
+  const records = hasHeader ? table.records.slice(1) : table.records;
+  const dateOrder = DATE_ORDERS.some(option => option.key === overrides.dateOrder)
+    ? overrides.dateOrder
+    : detectDateOrder(["start", "end"].flatMap(key => typeof columns[key] === "number" ? records.map(record => record[columns[key]]) : []));
+  return { hasHeader, columns, dateOrder };
+}
+
+// Seat rows plus the distinct date cells that could not be read (those seats keep an open date)
+function rowsFromTable(table, mapping) {
+  const rows = [];
+  const unreadableDates = new Set();
+  const { columns, dateOrder } = mapping;
+  const records = mapping.hasHeader ? table.records.slice(1) : table.records;
+  for (const record of records) {
+    const row = {};
+    for (const field of CSV_FIELDS) {
+      const index = columns[field.key];
+      row[field.key] = typeof index === "number" ? String(record[index] ?? "").trim() : "";
+    }
+    if (!row.person || !row.company) continue;
+    [row.start, row.end].forEach(value => {
+      if (isUnreadableDate(value, dateOrder)) unreadableDates.add(value);
+    });
+    rows.push({
+      person: row.person,
+      company: row.company,
+      role: normalizeRole(row.role),
+      roleTitle: row.role || "",
+      start: parseSeatDate(row.start, dateOrder),
+      end: parseSeatDate(row.end, dateOrder),
+      committees: parseCommittees(row.committees)
+    });
+  }
+  return { rows, unreadableDates: [...unreadableDates] };
 }
 
-function computeCentralization(values) {
-  if (!values || values.length === 0) return 0;
-  const max = Math.max(...values);
-  if (max <= 0) return 0;
-  const mean = values.reduce((a, b) => a + b, 0) / values.length;
-  const result = (max - mean) / max;
-  return Number(result.toFixed(4));
+// CSV edge list → { rows: [{ person, company, role, roleTitle, start, end, committees }], unreadableDates,
+// table, mapping }. Overrides ({ delimiter, hasHeader, columns, dateOrder }) replace the guessed settings.
+function parseCSV(text, overrides = {}) {
+  const table = parseTable(text, overrides.delimiter || "auto");
+  const mapping = resolveColumnMapping(table, overrides);
+  return { ...rowsFromTable(table, mapping), table, mapping };
 }
 
-function computeCentralityMetrics(adjacency) {
-  const map = adjacency instanceof Map ? adjacency : new Map();
-  const nodes = Array.from(map.keys());
-  const n = nodes.length;
+// Attributes the optional node table understands. Categories drive colours and shapes;
+// numbers drive sizes (and binned colours).
+const NODE_ATTRIBUTE_FIELDS = [
+  { key: "sector", label: "Sector", kind: "category", aliases: ["sector", "industry", "industry group", "gics sector"] },
+  { key: "marketCap", label: "Market cap", kind: "number", aliases: ["market cap", "market capitalisation", "market capitalization", "marketcap", "mcap"] },
+  { key: "listed", label: "Listing", kind: "category", aliases: ["listed", "listing", "listing status", "listed unlisted"] },
+  { key: "country", label: "Country", kind: "category", aliases: ["country", "domicile", "jurisdiction", "nationality"] },
+  { key: "gender", label: "Gender", kind: "category", aliases: ["gender", "sex"] },
+  { key: "independence", label: "Independence", kind: "category", aliases: ["independence", "independent", "director type"] }
+];
+
+const NODE_NAME_ALIASES = ["name", "node", "label", "id", "entity", "director", "company"];
+const NODE_KIND_ALIASES = ["type", "kind", "node type", "mode"];
+
+const ATTRIBUTE_SYNONYMS = {
+  listed: [
+    ["Listed", ["listed", "yes", "y", "true", "1", "public"]],
+    ["Unlisted", ["unlisted", "no", "n", "false", "0", "private", "not listed"]]
+  ],
+  gender: [
+    ["Female", ["f", "female", "woman", "w"]],
+    ["Male", ["m", "male", "man"]]
+  ],
+  independence: [
+    ["Independent", ["independent", "ind", "i", "yes", "y", "true", "1", "ined", "independent non executive"]],
+    ["Non-independent", ["non independent", "not independent", "no", "n", "false", "0", "executive"]]
+  ]
+};
 
-  const degree = new Map();
-  const degreeRaw = new Map();
-  const closeness = new Map();
-  const betweenness = new Map();
+// "1.2bn", "$350m", "4,500,000" → number
+function parseAttributeNumber(text) {
+  const match = String(text).replace(/[,\s$€£¥₱]/g, "").toLowerCase().match(/^(-?\d*\.?\d+)(k|m|mn|b|bn|t|tn)?$/);
+  if (!match) return null;
+  const scale = { k: 1e3, m: 1e6, mn: 1e6, b: 1e9, bn: 1e9, t: 1e12, tn: 1e12 }[match[2]] || 1;
+  return Number(match[1]) * scale;
+}
 
-  if (n === 0) {
-    return {
-      degree,
-      degreeRaw,
-      closeness,
-      betweenness,
-      centralization: { degree: 0, closeness: 0, betweenness: 0 }
-    };
-  }
+function normalizeAttributeValue(field, value) {
+  const text = String(value ?? "").trim();
+  if (!text) return null;
+  if (field.kind === "number") return parseAttributeNumber(text);
+  const key = normalizeHeader(text);
+  const synonym = (ATTRIBUTE_SYNONYMS[field.key] || []).find(([, values]) => values.includes(key));
+  return synonym ? synonym[0] : text;
+}
 
-  for (const node of nodes) {
-    const neighbors = map.get(node) || new Set();
-    const raw = neighbors.size;
-    degreeRaw.set(node, raw);
-    degree.set(node, n > 1 ? raw / (n - 1) : 0);
-  }
-
-  for (const source of nodes) {
-    const distances = new Map(nodes.map(node => [node, Infinity]));
-    distances.set(source, 0);
-    const queue = [source];
-    for (let i = 0; i < queue.length; i++) {
-      const current = queue[i];
-      const currentDistance = distances.get(current);
-      const neighbors = map.get(current) || new Set();
-      for (const neighbor of neighbors) {
-        if (distances.get(neighbor) === Infinity) {
-          distances.set(neighbor, currentDistance + 1);
-          queue.push(neighbor);
-        }
-      }
+// Node table → [{ name, type, attributes }]. A header row naming the node column is required;
+// without a type column each row attaches to whichever director or company carries the name.
+function parseNodeTable(text) {
+  const table = parseTable(text || "");
+  const header = (table.records[0] || []).map(normalizeHeader);
+  const nameIndex = header.findIndex(value => NODE_NAME_ALIASES.includes(value));
+  if (nameIndex === -1) return { entries: [], fields: [], hasHeader: table.records.length === 0 };
+  const typeIndex = header.findIndex(value => NODE_KIND_ALIASES.includes(value));
+  const columns = NODE_ATTRIBUTE_FIELDS
+    .map(field => ({ field, index: header.findIndex(value => field.aliases.includes(value)) }))
+    .filter(({ index }) => index !== -1 && index !== nameIndex && index !== typeIndex);
+
+  const entries = [];
+  for (const record of table.records.slice(1)) {
+    const name = String(record[nameIndex] ?? "").trim();
+    if (!name) continue;
+    const typeText = typeIndex === -1 ? "" : String(record[typeIndex] ?? "").trim().toLowerCase();
+    const type = PERSON_TYPE_VALUES.has(typeText) ? "person" : COMPANY_TYPE_VALUES.has(typeText) ? "company" : null;
+    const attributes = {};
+    for (const { field, index } of columns) {
+      const value = normalizeAttributeValue(field, record[index]);
+      if (value !== null) attributes[field.key] = value;
     }
+    entries.push({ name, type, attributes });
+  }
+  return { entries, fields: columns.map(({ field }) => field.key), hasHeader: true };
+}
 
-    const reachableDistances = [];
-    distances.forEach((dist, node) => {
-      if (node !== source && Number.isFinite(dist) && dist > 0) reachableDistances.push(dist);
-    });
+// Attaches node-table rows to directors and companies (through the alias table), as plain
+// objects keyed by name so the result can be posted to the analysis worker
+function resolveNodeAttributes(entries, rows, aliases) {
+  const people = new Set(rows.map(row => row.person));
+  const companies = new Set(rows.map(row => row.company));
+  const resolved = { people: {}, companies: {}, unmatched: [] };
+  for (const entry of entries) {
+    const personName = aliases?.people?.[entry.name] || entry.name;
+    const companyName = aliases?.companies?.[entry.name] || entry.name;
+    const asPerson = entry.type !== "company" && people.has(personName);
+    const asCompany = entry.type !== "person" && companies.has(companyName);
+    if (asPerson) resolved.people[personName] = { ...resolved.people[personName], ...entry.attributes };
+    if (asCompany) resolved.companies[companyName] = { ...resolved.companies[companyName], ...entry.attributes };
+    if (!asPerson && !asCompany) resolved.unmatched.push(entry.name);
+  }
+  return resolved;
+}
 
-    if (reachableDistances.length === 0) {
-      closeness.set(source, 0);
-    } else {
-      const totalDistance = reachableDistances.reduce((a, b) => a + b, 0);
-      const reachableCount = reachableDistances.length;
-      const reachRatio = n > 1 ? reachableCount / (n - 1) : 0;
-      const proximity = totalDistance > 0 ? reachableCount / totalDistance : 0;
-      closeness.set(source, reachRatio * proximity);
-    }
-  }
-
-  const betweennessRaw = new Map(nodes.map(node => [node, 0]));
-  for (const source of nodes) {
-    const stack = [];
-    const predecessors = new Map(nodes.map(node => [node, []]));
-    const sigma = new Map(nodes.map(node => [node, 0]));
-    const distance = new Map(nodes.map(node => [node, -1]));
-
-    sigma.set(source, 1);
-    distance.set(source, 0);
-
-    const queue = [source];
-    let qIndex = 0;
-    while (qIndex < queue.length) {
-      const v = queue[qIndex++];
-      stack.push(v);
-      const neighbors = map.get(v) || new Set();
-      for (const neighbor of neighbors) {
-        if (distance.get(neighbor) === -1) {
-          distance.set(neighbor, distance.get(v) + 1);
-          queue.push(neighbor);
-        }
-        if (distance.get(neighbor) === distance.get(v) + 1) {
-          sigma.set(neighbor, sigma.get(neighbor) + sigma.get(v));
-          predecessors.get(neighbor).push(v);
-        }
-      }
-    }
+// A seat is active on `date` (YYYY-MM-DD) if it started on/before it and had not yet ended.
+// Seats without dates are treated as always active.
+function isSeatActive(seat, date) {
+  if (!date) return true;
+  if (seat.start && seat.start > date) return false;
+  if (seat.end && seat.end <= date) return false;
+  return true;
+}
 
-    const delta = new Map(nodes.map(node => [node, 0]));
-    while (stack.length) {
-      const w = stack.pop();
-      const coefficient = 1 + delta.get(w);
-      for (const v of predecessors.get(w)) {
-        const sigmaW = sigma.get(w);
-        if (sigmaW === 0) continue;
-        const contribution = (sigma.get(v) / sigmaW) * coefficient;
-        delta.set(v, delta.get(v) + contribution);
-      }
-      if (w !== source) {
-        betweennessRaw.set(w, betweennessRaw.get(w) + delta.get(w));
-      }
-    }
+function filterRowsAsOf(rows, date) {
+  if (!date) return rows;
+  return rows.filter(row => isSeatActive(row, date));
+}
+
+// Year span covered by seat dates, or null when no row carries a date
+function computeTimelineRange(rows) {
+  const years = [];
+  let openEnded = false;
+  for (const row of rows) {
+    if (row.start) years.push(Number(row.start.slice(0, 4)));
+    if (row.end) years.push(Number(row.end.slice(0, 4)));
+    else if (row.start) openEnded = true;
   }
+  if (years.length === 0) return null;
+  const min = Math.min(...years);
+  let max = Math.max(...years);
+  if (openEnded) max = Math.max(max, new Date().getFullYear());
+  return { min, max };
+}
 
-  const denom = n > 2 ? ((n - 1) * (n - 2) / 2) : 0;
-  for (const node of nodes) {
-    const rawValue = betweennessRaw.get(node) / 2; // undirected graph
-    betweenness.set(node, denom > 0 ? rawValue / denom : 0);
+const PERSON_HONORIFICS = new Set(["mr", "mrs", "ms", "miss", "mx", "dr", "prof", "sir", "dame", "hon", "atty", "engr"]);
+const PERSON_SUFFIXES = new Set(["jr", "sr", "ii", "iii", "iv", "phd", "cpa", "mba", "esq"]);
+const COMPANY_SUFFIXES = new Set([
+  "inc", "incorporated", "corp", "corporation", "co", "company", "ltd", "limited", "llc", "llp", "lp",
+  "plc", "sa", "ag", "gmbh", "nv", "bv", "oyj", "ab", "as", "spa", "srl", "pte", "pty", "bhd", "tbk", "kk"
+]);
+const ALIAS_STORAGE_KEY = "interlockingdir.aliases";
+
+function stripDiacritics(text) {
+  return String(text || "").normalize("NFKD").replace(/[\u0300-\u036f]/g, "");
+}
+
+// "Santos, Miguel" / "Dr. Miguel Santos Jr." → ["miguel", "santos"]
+function personNameTokens(name) {
+  let text = stripDiacritics(name).toLowerCase().trim();
+  const comma = text.indexOf(",");
+  if (comma !== -1) {
+    const last = text.slice(0, comma);
+    const rest = text.slice(comma + 1);
+    const restTokens = rest.replace(/\./g, " ").split(/\s+/).filter(Boolean);
+    if (restTokens.length && !restTokens.every(token => PERSON_SUFFIXES.has(token))) {
+      text = `${rest} ${last}`;
+    }
   }
+  return text
+    .replace(/[.'’`]/g, " ")
+    .replace(/[^a-z0-9\s-]/g, " ")
+    .split(/\s+/)
+    .filter(token => token && !PERSON_HONORIFICS.has(token) && !PERSON_SUFFIXES.has(token));
+}
 
-  const centralization = {
-    degree: computeCentralization([...degree.values()]),
-    closeness: computeCentralization([...closeness.values()]),
-    betweenness: computeCentralization([...betweenness.values()])
+// "The Atlas Renewables, Inc." → "atlas renewables"
+function normalizeCompanyName(name) {
+  const tokens = stripDiacritics(name)
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[.,'’`()]/g, " ")
+    .replace(/[^a-z0-9\s-]/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+  if (tokens[0] === "the" && tokens.length > 1) tokens.shift();
+  while (tokens.length > 1 && COMPANY_SUFFIXES.has(tokens[tokens.length - 1])) tokens.pop();
+  return tokens.join(" ");
+}
 
-  };
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    const from = Math.max(0, i - window);
+    const to = Math.min(b.length - 1, i + window);
+    for (let j = from; j <= to; j += 1) {
+      if (bMatches[j] || a[i] !== b[j]) continue;
+      aMatches[i] = true;
+      bMatches[j] = true;
+      matches += 1;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k += 1;
+    if (a[i] !== b[k]) transpositions += 1;
+    k += 1;
+  }
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix += 1;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
 
-  return { degree, degreeRaw, closeness, betweenness, centralization };
+// Returns { score, reason } when two person names look like the same individual
+function matchPersonNames(a, b) {
+  if (a.key === b.key) return { score: 1, reason: "Same name after reordering and punctuation clean-up" };
+  const lastA = a.tokens[a.tokens.length - 1];
+  const lastB = b.tokens[b.tokens.length - 1];
+  if (lastA === lastB && a.tokens.length > 1 && b.tokens.length > 1) {
+    const firstA = a.tokens[0];
+    const firstB = b.tokens[0];
+    if ((firstA.length === 1 || firstB.length === 1) && firstA[0] === firstB[0]) {
+      return { score: 0.85, reason: "Initial matches first name", initialOnly: true };
+    }
+  }
+  const similarity = jaroWinkler(a.key, b.key);
+  if (similarity >= 0.94) return { score: Number(similarity.toFixed(3)), reason: "Similar spelling" };
+  return null;
 }
 
-function rankCentrality(map, rawMap = null, limit = 3) {
-  if (!(map instanceof Map)) return [];
-  const entries = Array.from(map.entries()).map(([name, score]) => ({
-    name,
-    score,
-    connections: rawMap instanceof Map ? (rawMap.get(name) ?? 0) : undefined
-  }));
-  entries.sort((a, b) => {
-    if (b.score !== a.score) return b.score - a.score;
-    return a.name.localeCompare(b.name);
-  });
-  return entries.slice(0, limit);
+function matchCompanyNames(a, b) {
+  if (a.key === b.key) return { score: 1, reason: "Same name without legal suffix or punctuation" };
+  const similarity = jaroWinkler(a.key, b.key);
+  if (similarity >= 0.95) return { score: Number(similarity.toFixed(3)), reason: "Similar spelling" };
+  return null;
 }
 
-function findCliques(adjacency, minSize = 3) {
-  const map = adjacency instanceof Map ? adjacency : new Map();
+// Groups name variants into merge suggestions. Comparisons are blocked on leading characters
+// (of the surname for people) so large registers stay tractable.
+function suggestNameMerges(names, kind, seatCounts = new Map(), rejected = new Set()) {
+  const isPerson = kind === "person";
+  const entries = names.map(name => {
+    if (isPerson) {
+      const tokens = personNameTokens(name);
+      return { name, tokens, key: tokens.join(" "), block: (tokens[tokens.length - 1] || "").slice(0, 2) };
+    }
+    const key = normalizeCompanyName(name);
+    return { name, key, block: key.slice(0, 3) };
+  }).filter(entry => entry.key);
+
+  const blocks = new Map();
+  for (const entry of entries) {
+    if (!blocks.has(entry.block)) blocks.set(entry.block, []);
+    blocks.get(entry.block).push(entry);
+  }
 
-  const run = (threshold) => {
-    const nodes = Array.from(map.keys()).sort((a, b) => a.localeCompare(b));
-    const results = [];
-    const seen = new Set();
+  const parent = new Map(entries.map(entry => [entry.name, entry.name]));
+  const find = (x) => {
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  const evidence = new Map();
 
-    const bronKerbosch = (R, P, X) => {
-      if (P.size === 0 && X.size === 0) {
-        if (R.size >= threshold) {
-          const clique = Array.from(R).sort((a, b) => a.localeCompare(b));
-          const key = clique.join("||");
-          if (!seen.has(key)) {
-            seen.add(key);
-            results.push(clique);
-          }
+  const isInitialForm = (entry) => isPerson && entry.tokens[0].length === 1;
+  const union = (a, b, match) => {
+    parent.set(find(a.name), find(b.name));
+    if (!evidence.has(a.name)) evidence.set(a.name, match);
+    if (!evidence.has(b.name)) evidence.set(b.name, match);
+  };
+  // Initial-only matches against a full first name wait until every match in the block is known
+  const initialMatches = new Map();
+  blocks.forEach(block => {
+    for (let i = 0; i < block.length; i += 1) {
+      for (let j = i + 1; j < block.length; j += 1) {
+        const match = isPerson ? matchPersonNames(block[i], block[j]) : matchCompanyNames(block[i], block[j]);
+        if (!match) continue;
+        if (match.initialOnly && isInitialForm(block[i]) !== isInitialForm(block[j])) {
+          const [short, full] = isInitialForm(block[i]) ? [block[i], block[j]] : [block[j], block[i]];
+          if (!initialMatches.has(short.name)) initialMatches.set(short.name, { short, fits: [] });
+          initialMatches.get(short.name).fits.push({ full, match });
+          continue;
         }
-        return;
+        union(block[i], block[j], match);
       }
+    }
+  });
 
-      let pivot = null;
-      const union = new Set([...P, ...X]);
-      if (union.size > 0) {
-        pivot = union.values().next().value;
-      }
-      const pivotNeighbors = pivot ? (map.get(pivot) || new Set()) : new Set();
-      const candidates = [...P].filter(v => !pivotNeighbors.has(v));
-      for (const v of candidates) {
-        const neighbors = map.get(v) || new Set();
-        const newR = new Set(R);
-        newR.add(v);
-        const newP = new Set([...P].filter(u => neighbors.has(u)));
-        const newX = new Set([...X].filter(u => neighbors.has(u)));
-        bronKerbosch(newR, newP, newX);
-        P.delete(v);
-        X.add(v);
-      }
-    };
+  // "M. Santos" (with any initial forms already joined to it) merges only when a single full first
+  // name fits, and never joins two full-name entries that weren't already matched to each other
+  const initialGroups = new Map();
+  initialMatches.forEach(item => {
+    const root = find(item.short.name);
+    if (!initialGroups.has(root)) initialGroups.set(root, []);
+    initialGroups.get(root).push(item);
+  });
+  initialGroups.forEach(items => {
+    const fits = items.flatMap(item => item.fits.map(fit => ({ ...fit, short: item.short })));
+    const firstNames = new Set(fits.map(({ full }) => full.tokens[0]));
+    const fullRoots = new Set(fits.map(({ full }) => find(full.name)));
+    if (firstNames.size !== 1 || fullRoots.size !== 1) return;
+    fits.forEach(({ short, full, match }) => union(short, full, match));
+  });
 
-    bronKerbosch(new Set(), new Set(nodes), new Set());
+  const clusters = new Map();
+  for (const entry of entries) {
+    const root = find(entry.name);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(entry.name);
+  }
 
-    results.sort((a, b) => {
+  const suggestions = [];
+  clusters.forEach(members => {
+    if (members.length < 2) return;
+    const variants = [...members].sort((a, b) => {
+      const countDiff = (seatCounts.get(b) || 0) - (seatCounts.get(a) || 0);
+      if (countDiff !== 0) return countDiff;
       if (b.length !== a.length) return b.length - a.length;
-      return a.join("|").localeCompare(b.join("|"));
+      return a.localeCompare(b);
     });
+    const key = `${kind}:${[...variants].sort().join("||")}`;
+    if (rejected.has(key)) return;
+    const matches = variants.map(name => evidence.get(name)).filter(Boolean);
+    const score = matches.length ? Math.min(...matches.map(m => m.score)) : 0;
+    const reasons = unique(matches.map(m => m.reason));
+    suggestions.push({ key, kind, canonical: variants[0], variants, score, reasons });
+  });
+  suggestions.sort((a, b) => b.score - a.score || a.canonical.localeCompare(b.canonical));
+  return suggestions;
+}
 
-    return { cliques: results, threshold };
-  };
+function suggestEntityMerges(rows, rejected = new Set()) {
+  const personCounts = new Map();
+  const companyCounts = new Map();
+  for (const row of rows) {
+    personCounts.set(row.person, (personCounts.get(row.person) || 0) + 1);
+    companyCounts.set(row.company, (companyCounts.get(row.company) || 0) + 1);
+  }
+  return [
+    ...suggestNameMerges([...personCounts.keys()], "person", personCounts, rejected),
+    ...suggestNameMerges([...companyCounts.keys()], "company", companyCounts, rejected)
+  ];
+}
+
+// Rewrites person/company names through the accepted alias table ({ people, companies }: variant → canonical)
+function applyAliases(rows, aliases) {
+  const people = aliases?.people || {};
+  const companies = aliases?.companies || {};
+  if (Object.keys(people).length === 0 && Object.keys(companies).length === 0) return rows;
+  return rows.map(row => ({
+    ...row,
+    person: people[row.person] || row.person,
+    company: companies[row.company] || row.company
+  }));
+}
 
-  const initial = run(minSize);
-  if (initial.cliques.length === 0 && minSize > 2) {
-    return run(2);
+function loadAliasTable() {
+  const empty = { people: {}, companies: {}, rejected: [] };
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(ALIAS_STORAGE_KEY) || "null");
+    if (!stored || typeof stored !== "object") return empty;
+    return {
+      people: stored.people && typeof stored.people === "object" ? stored.people : {},
+      companies: stored.companies && typeof stored.companies === "object" ? stored.companies : {},
+      rejected: Array.isArray(stored.rejected) ? stored.rejected : []
+    };
+  } catch (err) {
+    console.warn("Could not read the saved alias table.", err);
+    return empty;
   }
-  return initial;
 }
 
-function computeCrossCliqueConnectors(cliques) {
-  const counts = new Map();
-  for (const clique of cliques) {
-    const uniqueMembers = new Set(clique);
-    for (const member of uniqueMembers) {
-      counts.set(member, (counts.get(member) || 0) + 1);
-    }
-  }
-  return Array.from(counts.entries())
-    .map(([name, count]) => ({ name, count }))
-    .filter(item => item.count > 1)
-    .sort((a, b) => {
-      if (b.count !== a.count) return b.count - a.count;
-      return a.name.localeCompare(b.name);
-    })
-    .slice(0, 10);
-}
-
-function genReport(graph) {
-  const {
-    degreePerson,
-    degreeCompany,
-    people,
-    companies,
-    companyOverlaps,
-    directorAdjacency,
-    companyAdjacency
-  } = graph;
-
-  const multiSeatDirectors = people
-    .map(p => ({ name: p, boards: degreePerson.get(p) }))
-    .filter(x => x.boards > 1)
-    .sort((a, b) => b.boards - a.boards);
-
-  const highOverlapPairs = companyOverlaps
-    .map(o => ({ pair: `${o.a} ↔ ${o.b}`, shared: o.via.length, via: o.via }))
-    .sort((a, b) => b.shared - a.shared);
-
-  const avgBoardsPerDirector = people.length
-    ? (Array.from(degreePerson.values()).reduce((a, b) => a + b, 0) / people.length)
-    : 0;
-
-  const summary = {
-    totalCompanies: companies.length,
-    totalDirectors: people.length,
-    totalBoardSeats: Array.from(degreeCompany.values()).reduce((a, b) => a + b, 0),
-    avgBoardsPerDirector: Number(avgBoardsPerDirector.toFixed(2)),
-    directorsWithMultipleSeats: multiSeatDirectors.length,
-    companyPairsWithOverlap: highOverlapPairs.length,
-  };
+const RANKING_PAGE_SIZE = 15;
+
+// Column filter text: "0.5" or ">=0.5" keeps values at or above, "<0.2" keeps values below.
+// "=0.42" matches at the typed precision, so it keeps anything that rounds to 0.42.
+function parseRankingFilter(text) {
+  const match = /^\s*(<=|>=|<|>|=)?\s*(-?\d*\.?\d+)\s*$/.exec(text || "");
+  if (!match) return null;
+  const value = Number(match[2]);
+  const decimals = (match[2].split(".")[1] || "").length;
+  const tolerance = 0.5 * 10 ** -decimals;
+  switch (match[1]) {
+    case "<": return (x) => x < value;
+    case "<=": return (x) => x <= value;
+    case ">": return (x) => x > value;
+    case "=": return (x) => Math.abs(x - value) < tolerance;
+    default: return (x) => x >= value;
+  }
+}
 
-  const directorCentrality = computeCentralityMetrics(directorAdjacency);
-  const companyCentrality = computeCentralityMetrics(companyAdjacency);
-
-  const centrality = {
-    directors: {
-      degree: rankCentrality(directorCentrality.degree, directorCentrality.degreeRaw),
-      closeness: rankCentrality(directorCentrality.closeness),
-      betweenness: rankCentrality(directorCentrality.betweenness),
-      centralization: directorCentrality.centralization
-    },
-    companies: {
-      degree: rankCentrality(companyCentrality.degree, companyCentrality.degreeRaw),
-      closeness: rankCentrality(companyCentrality.closeness),
-      betweenness: rankCentrality(companyCentrality.betweenness),
-      centralization: companyCentrality.centralization
+// Structural-hole scores offered as size mappings next to the numeric node-table columns
+const BROKER_SIZE_FIELDS = [
+  { key: "effectiveSize", label: "Effective size", kind: "number" },
+  { key: "constraint", label: "Constraint", kind: "number" },
+  { key: "brokerage", label: "Brokerage (all roles)", kind: "number" }
+];
+
+const BROKER_LIST_LIMIT = 10;
+
+// Node attributes with each node's broker scores merged in; isolates and nodes outside the
+// current register keep only their table values
+function withBrokerScores(attributes, brokers) {
+  const merge = (source, result) => {
+    const merged = { ...source };
+    for (const row of result.rows) {
+      if (row.effectiveSize === null) continue;
+      merged[row.name] = {
+        ...(source[row.name] || {}),
+        effectiveSize: row.effectiveSize,
+        constraint: row.constraint,
+        ...(row.roles ? { brokerage: row.roles.total } : {})
+      };
     }
+    return merged;
+  };
+  return {
+    ...attributes,
+    people: merge(attributes.people, brokers.directors),
+    companies: merge(attributes.companies, brokers.companies)
   };
+}
 
-  const cliqueUniverse = findCliques(directorAdjacency, 2);
-  const cliqueResult = findCliques(directorAdjacency);
-  const directorCliques = cliqueResult.cliques.map(members => ({
-    members,
-    size: members.length
-  }));
-  directorCliques.sort((a, b) => {
-    if (b.size !== a.size) return b.size - a.size;
-    return a.members.join("|").localeCompare(b.members.join("|"));
-  });
+const ATTRIBUTE_SHAPE_GLYPHS = { dot: "●", box: "▬", diamond: "◆", triangle: "▲", square: "■", star: "★", triangleDown: "▼", hexagon: "⬢" };
+const compactNumber = new Intl.NumberFormat("en", { notation: "compact", maximumFractionDigits: 1 });
 
-  const crossCliqueConnectors = computeCrossCliqueConnectors(cliqueResult.cliques);
+function nodeAttributesFor(attributes, id) {
+  const source = id.startsWith("P:") ? attributes?.people : attributes?.companies;
+  return source?.[id.slice(2)] || null;
+}
+
+function formatAttributeValue(field, value) {
+  return field.kind === "number" ? value.toLocaleString() : String(value);
+}
 
-  const cliqueSizes = directorCliques.map(c => c.size);
-  const largestCliqueSize = cliqueSizes.length ? Math.max(...cliqueSizes) : 0;
+// Values by frequency, most common first
+function rankCategories(values) {
+  const counts = new Map();
+  values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0]))).map(([value]) => value);
+}
 
-  summary.directorCliques = directorCliques.length;
-  summary.largestDirectorClique = largestCliqueSize;
-  summary.crossCliqueConnectors = crossCliqueConnectors.length;
+// Up to `count` quantile bins over the observed values
+function quantileBins(values, count) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  const bins = [];
+  for (let i = 0; i < count; i++) {
+    const slice = sorted.slice(Math.floor((i * sorted.length) / count), Math.floor(((i + 1) * sorted.length) / count));
+    if (slice.length === 0) continue;
+    const bin = { min: slice[0], max: slice[slice.length - 1] };
+    const last = bins[bins.length - 1];
+    if (last && bin.min <= last.max) last.max = Math.max(last.max, bin.max);
+    else bins.push(bin);
+  }
+  return bins;
+}
 
-  return {
-    summary,
-    multiSeatDirectors,
-    highOverlapPairs,
-    centrality,
-    cliques: {
-      directorCliques,
-      crossCliqueConnectors,
-      threshold: cliqueResult.threshold,
-      allCliques: cliqueUniverse.cliques
+// Restyles nodes from the node table: mapping.color / .size / .shape each name an attribute
+// (or ""). Nodes without a value keep the default director/company look. Returns the legend
+// sections for the mappings in use.
+function applyNodeAttributeStyles(graph, attributes, mapping) {
+  const hasAttributes = Object.keys(attributes?.people || {}).length + Object.keys(attributes?.companies || {}).length > 0;
+  if (!hasAttributes) return { graph, legend: [] };
+  const fields = new Map([...NODE_ATTRIBUTE_FIELDS, ...BROKER_SIZE_FIELDS].map(field => [field.key, field]));
+  const observed = (key) => graph.nodes
+    .map(node => nodeAttributesFor(attributes, node.id)?.[key])
+    .filter(value => value !== undefined && value !== null);
+  const legend = [];
+
+  let colorOf = null;
+  const colorField = fields.get(mapping.color);
+  if (colorField) {
+    const values = observed(colorField.key);
+    if (colorField.kind === "number") {
+      const bins = quantileBins(values, BINNED_COLORS.length);
+      const colors = bins.map((_, index) => BINNED_COLORS[Math.round((index * (BINNED_COLORS.length - 1)) / Math.max(1, bins.length - 1))]);
+      colorOf = (value) => {
+        if (typeof value !== "number") return null;
+        const index = bins.findIndex(bin => value <= bin.max);
+        return colors[index === -1 ? bins.length - 1 : index];
+      };
+      legend.push({
+        title: `Colour · ${colorField.label}`,
+        items: bins.map((bin, index) => ({
+          label: bin.min === bin.max ? compactNumber.format(bin.min) : `${compactNumber.format(bin.min)}–${compactNumber.format(bin.max)}`,
+          color: colors[index]
+        }))
+      });
+    } else {
+      const categories = rankCategories(values);
+      const palette = new Map(categories.slice(0, CATEGORY_COLORS.length).map((value, index) => [value, CATEGORY_COLORS[index]]));
+      colorOf = (value) => (value === undefined || value === null ? null : palette.get(value) || OTHER_COLOR);
+      const items = [...palette.entries()].map(([label, color]) => ({ label, color }));
+      if (categories.length > palette.size) items.push({ label: "Other", color: OTHER_COLOR });
+      legend.push({ title: `Colour · ${colorField.label}`, items });
     }
-  };
+  }
+
+  let shapeOf = null;
+  const shapeField = fields.get(mapping.shape);
+  if (shapeField && shapeField.kind === "category") {
+    const categories = rankCategories(observed(shapeField.key));
+    const shapes = new Map(categories.slice(0, CATEGORY_SHAPES.length - 1).map((value, index) => [value, CATEGORY_SHAPES[index]]));
+    const otherShape = CATEGORY_SHAPES[CATEGORY_SHAPES.length - 1];
+    shapeOf = (value) => (value === undefined || value === null ? null : shapes.get(value) || otherShape);
+    const items = [...shapes.entries()].map(([label, shape]) => ({ label, shape }));
+    if (categories.length > shapes.size) items.push({ label: "Other", shape: otherShape });
+    legend.push({ title: `Shape · ${shapeField.label}`, items });
+  }
+
+  let sizeOf = null;
+  const sizeField = fields.get(mapping.size);
+  if (sizeField && sizeField.kind === "number") {
+    const values = observed(sizeField.key);
+    if (values.length > 0) {
+      const min = Math.min(...values);
+      const max = Math.max(...values);
+      sizeOf = (value) => (typeof value !== "number" ? null : max > min ? Math.sqrt((value - min) / (max - min)) : 0.5);
+      legend.push({
+        title: `Size · ${sizeField.label}`,
+        items: [min, (min + max) / 2, max]
+          .filter((value, index, list) => list.indexOf(value) === index)
+          .map(value => ({ label: compactNumber.format(value), size: sizeOf(value) }))
+      });
+    }
+  }
+
+  const nodes = graph.nodes.map(node => {
+    const values = nodeAttributesFor(attributes, node.id);
+    if (!values) return node;
+    const next = { ...node, attributes: values };
+    const color = colorOf ? colorOf(values[colorField.key]) : null;
+    if (color) next.color = { background: color, border: mixHex(color, "#000000", 0.3) };
+    const shape = shapeOf ? shapeOf(values[shapeField.key]) : null;
+    if (shape) next.shape = shape;
+    const scale = sizeOf ? sizeOf(values[sizeField.key]) : null;
+    if (scale !== null) {
+      // Boxes size to their label, so the font carries the scale there
+      if (next.shape === "box") {
+        next.font = { ...(next.font || {}), size: Math.round(12 + 12 * scale) };
+        next.margin = Math.round(6 + 8 * scale);
+      } else {
+        next.size = Math.round(10 + 30 * scale);
+      }
+    }
+    return next;
+  });
+  return { graph: { ...graph, nodes }, legend };
 }
 
 function createBipartiteGraph(base) {
@@ -502,11 +1006,17 @@ function createBipartiteGraph(base) {
       ? base.personAffiliations.get(node.label) || []
       : base.companyAffiliations.get(node.label) || [];
     const affiliationText = affiliation.length ? `\n${affiliation.join(", ")}` : "";
+    const attributeText = node.attributes
+      ? NODE_ATTRIBUTE_FIELDS
+        .filter(field => node.attributes[field.key] !== undefined)
+        .map(field => `\n${field.label}: ${formatAttributeValue(field, node.attributes[field.key])}`)
+        .join("")
+      : "";
     return {
       ...node,
       title: isPerson
-        ? `Boards served: ${affiliation.length}${affiliationText}`
-        : `Directors: ${affiliation.length}${affiliationText}`
+        ? `Boards served: ${affiliation.length}${affiliationText}${attributeText}`
+        : `Directors: ${affiliation.length}${affiliationText}${attributeText}`
     };
   });
 
@@ -521,6 +1031,62 @@ function createBipartiteGraph(base) {
   return { nodes, edges: base.edges, nodeDegrees };
 }
 
+const TOOLTIP_METRICS = [
+  ["eigenvector", "Eigenvector"],
+  ["pagerank", "PageRank"],
+  ["katz", "Katz"],
+  ["harmonic", "Harmonic"]
+];
+
+// Appends each node's projection centrality scores to its tooltip
+function withCentralityTooltips(graph, metrics) {
+  if (!metrics) return graph;
+  const nodes = graph.nodes.map(node => {
+    const source = node.id.startsWith("P:") ? metrics.directors : node.id.startsWith("C:") ? metrics.companies : null;
+    const name = node.id.slice(2);
+    if (!source?.eigenvector?.has(name)) return node;
+    const scores = TOOLTIP_METRICS.map(([key, label]) => `${label}: ${(source[key].get(name) || 0).toFixed(3)}`).join(" · ");
+    return { ...node, title: node.title ? `${node.title}\n${scores}` : scores };
+  });
+  return { ...graph, nodes };
+}
+
+const COMMUNITY_HALO_MODES = {
+  "director-community": {
+    label: "Director communities",
+    description: "Shaded halos outline Louvain communities of the director projection."
+  },
+  "company-community": {
+    label: "Company communities",
+    description: "Shaded halos outline Louvain communities of the company projection."
+  },
+  "bipartite-community": {
+    label: "Two-mode communities",
+    description: "Shaded halos outline directors and companies grouped by Barber's bipartite modularity."
+  }
+};
+
+// Halo node groups for a community halo mode; singleton communities are skipped
+function communityHaloGroups(communities, mode) {
+  if (!communities) return [];
+  if (mode === "bipartite-community") {
+    return communities.bipartite.communities
+      .filter(group => group.size >= 2)
+      .map(group => ({
+        key: `${mode}-${group.id}`,
+        nodeIds: [...group.directors.map(name => `P:${name}`), ...group.companies.map(name => `C:${name}`)]
+      }));
+  }
+  const isDirectors = mode === "director-community";
+  const source = isDirectors ? communities.directors : communities.companies;
+  return source.communities
+    .filter(group => group.size >= 2)
+    .map(group => ({
+      key: `${mode}-${group.id}`,
+      nodeIds: group.members.map(name => `${isDirectors ? "P:" : "C:"}${name}`)
+    }));
+}
+
 function getNodeType(nodeId) {
   if (typeof nodeId !== "string") return "unknown";
   if (nodeId.startsWith("P:")) return "person";
@@ -528,7 +1094,63 @@ function getNodeType(nodeId) {
   return "unknown";
 }
 
-function buildFocusGraph(base, bipartiteGraph, focusId) {
+const EGO_DEPTHS = [
+  { value: 0, label: "Off (cluster view)" },
+  { value: 1, label: "1 hop" },
+  { value: 2, label: "2 hops" },
+  { value: 3, label: "3 hops" }
+];
+
+// Breadth-first steps through the bipartite graph: odd steps switch type, even steps return to it
+function egoDistances(base, focusId, maxSteps) {
+  const distances = new Map([[focusId, 0]]);
+  const parents = new Map();
+  let frontier = [focusId];
+  for (let step = 1; step <= maxSteps && frontier.length > 0; step += 1) {
+    const next = [];
+    for (const id of frontier) {
+      const isPerson = id.startsWith("P:");
+      const name = id.slice(2);
+      const neighbors = isPerson ? base.personAffiliations.get(name) : base.companyAffiliations.get(name);
+      for (const neighbor of neighbors || []) {
+        const neighborId = isPerson ? `C:${neighbor}` : `P:${neighbor}`;
+        if (distances.has(neighborId)) continue;
+        distances.set(neighborId, step);
+        parents.set(neighborId, id);
+        next.push(neighborId);
+      }
+    }
+    frontier = next;
+  }
+  return { distances, parents };
+}
+
+// Per-hop reach of a node in its own projection: hop k counts same-type nodes k projection
+// steps away and the other-type nodes that link them to hop k - 1
+function egoHopCounts(base, focusId, depth) {
+  const { distances } = egoDistances(base, focusId, depth * 2);
+  const hops = Array.from({ length: depth }, (_, index) => ({ hop: index + 1, reached: 0, via: 0 }));
+  distances.forEach(step => {
+    if (step === 0) return;
+    const hop = hops[Math.ceil(step / 2) - 1];
+    if (step % 2 === 0) hop.reached += 1;
+    else hop.via += 1;
+  });
+  return hops;
+}
+
+function egoRingLabel(step, count, focusIsPerson) {
+  const hop = Math.ceil(step / 2);
+  if (step % 2 === 0) {
+    return `Hop ${hop} · ${count} ${focusIsPerson ? (count === 1 ? "director" : "directors") : (count === 1 ? "company" : "companies")}`;
+  }
+  return `via ${count} ${focusIsPerson ? (count === 1 ? "board" : "boards") : (count === 1 ? "director" : "directors")}`;
+}
+
+// Concentric ego network around one node. depth counts hops in the node's own projection,
+// so each hop adds a ring of linking boards (or directors) and a ring of reached nodes.
+// Without a depth only the direct seats are drawn on a single ring.
+function buildFocusGraph(base, bipartiteGraph, focusId, depth = 0) {
   if (!focusId) {
     return {
       nodes: [],
@@ -550,17 +1172,16 @@ function buildFocusGraph(base, bipartiteGraph, focusId) {
   }
 
   const isPerson = focusId.startsWith("P:");
-  const label = center.label;
-  const neighborLabels = isPerson
-    ? base.personAffiliations.get(label) || []
-    : base.companyAffiliations.get(label) || [];
-  const neighborIds = Array.from(new Set(neighborLabels.map(name => isPerson ? `C:${name}` : `P:${name}`)))
-    .filter(id => nodeLookup.has(id));
-
+  const maxSteps = depth > 0 ? depth * 2 : 1;
+  const { distances, parents } = egoDistances(base, focusId, maxSteps);
+  const ringMembers = Array.from({ length: maxSteps }, () => []);
+  distances.forEach((step, id) => {
+    if (step > 0 && nodeLookup.has(id)) ringMembers[step - 1].push(id);
+  });
 
-  const radius = Math.max(220, neighborIds.length * 60);
   const nodes = [];
   const nodeDegrees = new Map();
+  const angles = new Map([[focusId, 0]]);
 
 
   const highlightColor = (() => {
@@ -588,36 +1209,56 @@ function buildFocusGraph(base, bipartiteGraph, focusId) {
     font: center.font ? { ...center.font, size: 18 } : undefined
 
   });
-  nodeDegrees.set(focusId, neighborIds.length);
-
-  neighborIds.forEach((neighborId, index) => {
-    const neighbor = nodeLookup.get(neighborId);
-    if (!neighbor) return;
-    const angle = neighborIds.length > 0
-      ? (2 * Math.PI * index) / neighborIds.length
-      : 0;
-    const x = Math.cos(angle) * radius;
-    const y = Math.sin(angle) * radius;
-
-    nodes.push({
-      ...neighbor,
-      x,
-      y,
-      physics: false,
-      fixed: { x: true, y: true }
+
+  // Each ring is ordered by the angle of the node that reached it, keeping branches together
+  const rings = [];
+  let previousRadius = 0;
+  ringMembers.forEach((members, index) => {
+    if (members.length === 0) return;
+    const step = index + 1;
+    members.sort((a, b) => (angles.get(parents.get(a)) - angles.get(parents.get(b))) || a.localeCompare(b));
+    const radius = Math.max(previousRadius + (step === 1 ? 220 : 180), (members.length * 48) / (2 * Math.PI));
+    members.forEach((id, position) => {
+      const angle = (2 * Math.PI * position) / members.length;
+      angles.set(id, angle);
+      nodes.push({
+        ...nodeLookup.get(id),
+        x: Math.cos(angle) * radius,
+        y: Math.sin(angle) * radius,
+        physics: false,
+        fixed: { x: true, y: true }
+      });
     });
-    nodeDegrees.set(neighborId, (nodeDegrees.get(neighborId) || 0) + 1);
+    rings.push({ step, radius, count: members.length, label: egoRingLabel(step, members.length, isPerson) });
+    previousRadius = radius;
   });
 
-  const edges = neighborIds.map(neighborId => ({
-    from: focusId,
-    to: neighborId,
-    smooth: false,
-    width: 2.5,
-    color: { color: "#475569", highlight: "#1f2937", opacity: 0.6 }
-  }));
+  // Seats always join adjacent rings, so keeping those between drawn nodes gives the ego network
+  const edges = bipartiteGraph.edges
+    .filter(edge => distances.has(edge.from) && distances.has(edge.to) && nodeLookup.has(edge.from) && nodeLookup.has(edge.to))
+    .map(edge => {
+      const roleStyle = edge.seat?.role ? SEAT_ROLES[edge.seat.role] : null;
+      const touchesFocus = edge.from === focusId || edge.to === focusId;
+      return {
+        from: edge.from,
+        to: edge.to,
+        smooth: false,
+        width: roleStyle ? roleStyle.width + (touchesFocus ? 0.8 : 0) : touchesFocus ? 2.5 : 1.2,
+        dashes: roleStyle?.dashes || false,
+        title: edge.title,
+        color: roleStyle
+          ? { color: roleStyle.color, highlight: roleStyle.color, opacity: touchesFocus ? 0.8 : 0.5 }
+          : touchesFocus
+            ? { color: "#475569", highlight: "#1f2937", opacity: 0.6 }
+            : { color: "#94a3b8", highlight: "#1f2937", opacity: 0.45 }
+      };
+    });
+  edges.forEach(edge => {
+    nodeDegrees.set(edge.from, (nodeDegrees.get(edge.from) || 0) + 1);
+    nodeDegrees.set(edge.to, (nodeDegrees.get(edge.to) || 0) + 1);
+  });
 
-  return { nodes, edges, nodeDegrees, physicsEnabled: false };
+  return { nodes, edges, nodeDegrees, physicsEnabled: false, rings };
 }
 
 function applyFocusHighlight(base, graph, focusNode) {
@@ -641,8 +1282,7 @@ function applyFocusHighlight(base, graph, focusNode) {
   neighborIds.add(focusNode.id);
 
   const decoratedNodes = nodes.map(node => {
-    const isPerson = node.id.startsWith("P:");
-    const palette = isPerson ? PERSON_PALETTE : COMPANY_PALETTE;
+    const palette = nodePalette(node);
 
     if (!neighborIds.has(node.id)) {
       return {
@@ -707,12 +1347,13 @@ function applyFocusHighlight(base, graph, focusNode) {
     }
 
     const connectsFocus = edge.from === focusNode.id || edge.to === focusNode.id;
+    const roleStyle = edge.seat?.role ? SEAT_ROLES[edge.seat.role] : null;
     return {
       ...edge,
       width: connectsFocus ? 3.4 : 2.2,
       color: {
-        color: connectsFocus ? "#1f2937" : "#334155",
-        highlight: "#0f172a",
+        color: roleStyle ? roleStyle.color : connectsFocus ? "#1f2937" : "#334155",
+        highlight: roleStyle ? roleStyle.color : "#0f172a",
         opacity: connectsFocus ? 0.75 : 0.6
       },
       smooth: false
@@ -839,7 +1480,27 @@ function applyCircularClusterLayout(base, nodes, centerType, focusNode, options
   }
 }
 
-function buildCentricLayout(base, bipartiteGraph, centerType, focusNode) {
+// Projection ties between the layout centres, drawn thicker for stronger ties
+function buildProjectionTieEdges(base, centerType, weighting) {
+  const overlaps = centerType === "company" ? base.companyOverlaps : base.personOverlaps;
+  const prefix = centerType === "company" ? "C:" : "P:";
+  const sharedLabel = centerType === "company" ? "directors" : "boards";
+  const values = overlaps.map(o => (weighting === "newman" ? o.newman : o.via.length));
+  const max = Math.max(0, ...values);
+  return overlaps.map((o, index) => ({
+    id: `tie:${prefix}${o.a}|${prefix}${o.b}`,
+    from: `${prefix}${o.a}`,
+    to: `${prefix}${o.b}`,
+    tie: true,
+    width: max > 0 ? 1 + 7 * (values[index] / max) : 1,
+    dashes: false,
+    smooth: { enabled: true, type: "curvedCW", roundness: 0.2 },
+    color: { color: "rgba(71,85,105,0.4)", highlight: "#334155", opacity: 0.4 },
+    title: `${o.a} ↔ ${o.b}\nShared ${sharedLabel}: ${o.via.length} (${o.via.join(", ")})\nTie strength: ${values[index].toFixed(2)}`
+  }));
+}
+
+function buildCentricLayout(base, bipartiteGraph, centerType, focusNode, tieWeighting = "none") {
   const nodes = bipartiteGraph.nodes.map(node => ({ ...node }));
   const edges = bipartiteGraph.edges.map(edge => ({ ...edge }));
 
@@ -851,38 +1512,134 @@ function buildCentricLayout(base, bipartiteGraph, centerType, focusNode) {
   });
 
   const highlighted = applyFocusHighlight(base, { nodes, edges }, focusNode);
+  const tieEdges = tieWeighting !== "none" ? buildProjectionTieEdges(base, centerType, tieWeighting) : [];
 
   return {
     nodes: highlighted.nodes,
-    edges: highlighted.edges,
+    edges: [...highlighted.edges, ...tieEdges],
     nodeDegrees: bipartiteGraph.nodeDegrees,
     physicsEnabled: false,
     base: bipartiteGraph
   };
 }
 
-function buildVisualization(base, mode, focusNode) {
+function buildVisualization(base, mode, focusNode, options = {}) {
+  const tieWeighting = options.tieWeighting || "none";
+  const egoDepth = options.egoDepth || 0;
   const bipartiteGraph = createBipartiteGraph(base);
+  if (focusNode && focusNode.id && (mode === "bipartite" || egoDepth > 0)) {
+    const focused = buildFocusGraph(base, bipartiteGraph, focusNode.id, egoDepth);
+    return { ...focused, base: bipartiteGraph };
+  }
   if (mode === "bipartite") {
-    if (focusNode && focusNode.id) {
-      const focused = buildFocusGraph(base, bipartiteGraph, focusNode.id);
-      return { ...focused, base: bipartiteGraph };
-    }
     const circular = buildCentricLayout(base, bipartiteGraph, "company", null);
     return { ...circular, base: bipartiteGraph };
   }
 
   if (mode === "company") {
-    return buildCentricLayout(base, bipartiteGraph, "company", focusNode);
+    return buildCentricLayout(base, bipartiteGraph, "company", focusNode, tieWeighting);
   }
 
   if (mode === "director") {
-    return buildCentricLayout(base, bipartiteGraph, "director", focusNode);
+    return buildCentricLayout(base, bipartiteGraph, "director", focusNode, tieWeighting);
   }
 
   return { ...bipartiteGraph, physicsEnabled: true, base: bipartiteGraph };
 }
 
+const DIFF_STYLES = {
+  added: { label: "Added", background: "#22c55e", border: "#15803d", edge: "#16a34a" },
+  removed: { label: "Removed", background: "#fecaca", border: "#dc2626", edge: "#dc2626" }
+};
+
+// Colour-codes nodes and edges that were added or removed relative to the previous snapshot
+function applyDiffHighlight(graph, diff) {
+  if (!diff) return graph;
+  const status = new Map();
+  diff.addedDirectors.forEach(name => status.set(`P:${name}`, "added"));
+  diff.addedCompanies.forEach(name => status.set(`C:${name}`, "added"));
+  diff.removedDirectors.forEach(name => status.set(`P:${name}`, "removed"));
+  diff.removedCompanies.forEach(name => status.set(`C:${name}`, "removed"));
+  const seatStatus = new Map();
+  diff.addedSeats.forEach(seat => seatStatus.set(seatKey(seat), "added"));
+  diff.removedSeats.forEach(seat => seatStatus.set(seatKey(seat), "removed"));
+
+  const nodes = (graph.nodes || []).map(node => {
+    const state = status.get(node.id);
+    if (!state) return node;
+    const style = DIFF_STYLES[state];
+    const note = state === "added" ? "New since previous register" : "Not in current register";
+    return {
+      ...node,
+      color: {
+        background: style.background,
+        border: style.border,
+        highlight: { background: style.background, border: style.border },
+        hover: { background: style.background, border: style.border }
+      },
+      borderWidth: Math.max(2, node.borderWidth || 1),
+      title: node.title ? `${note}\n${node.title}` : note
+    };
+  });
+
+  const edges = (graph.edges || []).map(edge => {
+    if (edge.tie) return edge;
+    const personId = edge.from.startsWith("P:") ? edge.from : edge.to;
+    const companyId = edge.from.startsWith("C:") ? edge.from : edge.to;
+    const state = seatStatus.get(`${personId.slice(2)}||${companyId.slice(2)}`);
+    if (!state) return edge;
+    const style = DIFF_STYLES[state];
+    return {
+      ...edge,
+      width: Math.max(2.4, edge.width || 1),
+      dashes: state === "removed" ? [4, 4] : edge.dashes || false,
+      color: { color: style.edge, highlight: style.edge, opacity: 0.85 }
+    };
+  });
+
+  return { ...graph, nodes, edges };
+}
+
+const PATH_COLOR = "#7c3aed";
+
+// Marks the nodes and seats of the found chains in violet and fades everything else back
+function applyPathHighlight(graph, pathResult) {
+  if (!pathResult || pathResult.paths.length === 0) return graph;
+  const onPath = new Set();
+  const pathSeats = new Set();
+  pathResult.paths.forEach(path => path.steps.forEach((step, index) => {
+    onPath.add(step.id);
+    if (index > 0) pathSeats.add(pairKey(path.steps[index - 1].id, step.id));
+  }));
+
+  const nodes = (graph.nodes || []).map(node => {
+    if (!onPath.has(node.id)) return { ...node, opacity: 0.25 };
+    const isEndpoint = node.id === pathResult.from || node.id === pathResult.to;
+    return {
+      ...node,
+      opacity: 1,
+      borderWidth: isEndpoint ? 5 : 3,
+      color: typeof node.color === "object"
+        ? { ...node.color, border: PATH_COLOR, highlight: { ...(node.color.highlight || {}), border: PATH_COLOR } }
+        : { border: PATH_COLOR }
+    };
+  });
+
+  const edges = (graph.edges || []).map(edge => {
+    if (!pathSeats.has(pairKey(edge.from, edge.to))) {
+      const color = typeof edge.color === "object" ? edge.color : { color: edge.color };
+      return { ...edge, color: { ...color, opacity: 0.12 } };
+    }
+    return {
+      ...edge,
+      width: 4,
+      dashes: false,
+      color: { color: PATH_COLOR, highlight: PATH_COLOR, opacity: 1 }
+    };
+  });
+
+  return { ...graph, nodes, edges };
+}
 
 function computeConvexHull(points) {
   if (!Array.isArray(points) || points.length <= 1) {
@@ -1013,29 +1770,349 @@ function drawRoundedPolygon(ctx, points, radius = 18) {
   ctx.closePath();
 }
 
-function download(filename, text) {
-  const blob = new Blob([text], { type: "text/plain" });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a");
-  a.href = url;
-  a.download = filename;
-  a.click();
-  setTimeout(() => URL.revokeObjectURL(url), 0);
+const EXPORT_NETWORKS = [
+  { key: "bipartite", label: "Bipartite (directors ↔ companies)" },
+  { key: "directors", label: "Director projection" },
+  { key: "companies", label: "Company projection" }
+];
+
+const EXPORT_FORMATS = [
+  { key: "gexf", label: "GEXF (Gephi)", extension: "gexf", mime: "application/xml" },
+  { key: "graphml", label: "GraphML (igraph, yEd)", extension: "graphml", mime: "application/xml" },
+  { key: "pajek", label: "Pajek .net", extension: "net", mime: "text/plain" }
+];
+
+const METRIC_ATTRIBUTES = [
+  { key: "degree", title: "degree", type: "double" },
+  { key: "degreeRaw", title: "degree_raw", type: "integer" },
+  { key: "closeness", title: "closeness", type: "double" },
+  { key: "betweenness", title: "betweenness", type: "double" },
+  { key: "strength", title: "strength", type: "double" },
+  { key: "eigenvector", title: "eigenvector", type: "double" },
+  { key: "pagerank", title: "pagerank", type: "double" },
+  { key: "katz", title: "katz", type: "double" },
+  { key: "harmonic", title: "harmonic", type: "double" }
+];
+
+const BIPARTITE_METRIC_ATTRIBUTES = [
+  { key: "degree", title: "bipartite_degree", type: "double" },
+  { key: "closeness", title: "bipartite_closeness", type: "double" },
+  { key: "betweenness", title: "bipartite_betweenness", type: "double" }
+];
+
+// In the bipartite export the projection scores sit next to the two-mode ones, so they are
+// written as projection_degree, projection_closeness and so on
+const PROJECTION_METRIC_ATTRIBUTES = METRIC_ATTRIBUTES.map(({ key, title, type }) => ({ key, title: `projection_${title}`, type }));
+
+// Scores written under their declared titles (bipartite export)
+function titledMetricAttributes(metrics, name, declarations) {
+  if (!metrics) return {};
+  const values = {};
+  for (const { key, title } of declarations) {
+    const value = metrics[key]?.get(name);
+    if (typeof value === "number") values[title] = value;
+  }
+  return values;
 }
 
-function dataUrlToBlob(dataUrl) {
-  if (!dataUrl || typeof dataUrl !== "string") {
-    throw new Error("Invalid data URL");
+function metricAttributes(metrics, name) {
+  if (!metrics) return {};
+  const values = {};
+  for (const { key } of METRIC_ATTRIBUTES) {
+    const value = metrics[key]?.get(name);
+    if (typeof value === "number") values[key] = value;
   }
+  return values;
+}
 
-  const [metadata, data] = dataUrl.split(",");
-  if (typeof data === "undefined") {
-    throw new Error("Malformed data URL");
-  }
+// Node/edge lists with typed attributes for one of the exportable networks
+function buildExportNetwork(graph, report, kind) {
+  const metrics = report.metrics || {};
+  const cliqueMembership = new Map();
+  (report.cliques?.directorCliques || []).forEach((clique, index) => {
+    clique.members.forEach(name => {
+      if (!cliqueMembership.has(name)) cliqueMembership.set(name, []);
+      cliqueMembership.get(name).push(index + 1);
+    });
+  });
+  const cliqueAttributes = (name) => {
+    const groups = cliqueMembership.get(name) || [];
+    return { cliques: groups.join("|"), cliqueCount: groups.length };
+  };
+  const cliqueDeclarations = [
+    { key: "cliques", title: "cliques", type: "string" },
+    { key: "cliqueCount", title: "clique_count", type: "integer" }
+  ];
 
-  const mimeMatch = metadata.match(/data:(.*?)(;base64)?$/);
-  const mimeType = mimeMatch && mimeMatch[1] ? mimeMatch[1] : "application/octet-stream";
-  const isBase64 = metadata.includes(";base64");
+  if (kind === "bipartite") {
+    const nodes = [
+      ...graph.people.map(name => ({
+        id: `P:${name}`,
+        label: name,
+        attributes: {
+          type: "person",
+          bipartite: 0,
+          seats: graph.degreePerson.get(name) || 0,
+          ...titledMetricAttributes(metrics.directors, name, PROJECTION_METRIC_ATTRIBUTES),
+          ...titledMetricAttributes(metrics.bipartite?.directors, name, BIPARTITE_METRIC_ATTRIBUTES),
+          ...cliqueAttributes(name)
+        }
+      })),
+      ...graph.companies.map(name => ({
+        id: `C:${name}`,
+        label: name,
+        attributes: {
+          type: "company",
+          bipartite: 1,
+          seats: graph.degreeCompany.get(name) || 0,
+          ...titledMetricAttributes(metrics.companies, name, PROJECTION_METRIC_ATTRIBUTES),
+          ...titledMetricAttributes(metrics.bipartite?.companies, name, BIPARTITE_METRIC_ATTRIBUTES)
+        }
+      }))
+    ];
+    const edges = graph.edges.map(edge => ({
+      source: edge.from,
+      target: edge.to,
+      weight: 1,
+      attributes: {
+        role: edge.seat?.role ? SEAT_ROLES[edge.seat.role].label : "",
+        start: edge.seat?.start || "",
+        end: edge.seat?.end || "",
+        committees: (edge.seat?.committees || []).join("|")
+      }
+    }));
+    return {
+      name: "Interlocking directors (bipartite)",
+      nodeAttributes: [
+        { key: "type", title: "type", type: "string" },
+        { key: "bipartite", title: "bipartite", type: "integer" },
+        { key: "seats", title: "seats", type: "integer" },
+        ...[...PROJECTION_METRIC_ATTRIBUTES, ...BIPARTITE_METRIC_ATTRIBUTES].map(({ title, type }) => ({ key: title, title, type })),
+        ...cliqueDeclarations
+      ],
+      edgeAttributes: [
+        { key: "role", title: "role", type: "string" },
+        { key: "start", title: "start", type: "string" },
+        { key: "end", title: "end", type: "string" },
+        { key: "committees", title: "committees", type: "string" }
+      ],
+      nodes,
+      edges,
+      firstModeCount: graph.people.length
+    };
+  }
+
+  const isDirectors = kind === "directors";
+  const names = isDirectors ? graph.people : graph.companies;
+  const prefix = isDirectors ? "P:" : "C:";
+  const overlaps = isDirectors ? graph.personOverlaps : graph.companyOverlaps;
+  const scopeMetrics = isDirectors ? metrics.directors : metrics.companies;
+  return {
+    name: isDirectors ? "Director projection" : "Company projection",
+    nodeAttributes: [
+      { key: "type", title: "type", type: "string" },
+      ...METRIC_ATTRIBUTES,
+      ...(isDirectors ? cliqueDeclarations : [])
+    ],
+    edgeAttributes: [{ key: "via", title: isDirectors ? "shared_boards" : "shared_directors", type: "string" }],
+    nodes: names.map(name => ({
+      id: `${prefix}${name}`,
+      label: name,
+      attributes: {
+        type: isDirectors ? "person" : "company",
+        ...metricAttributes(scopeMetrics, name),
+        ...(isDirectors ? cliqueAttributes(name) : {})
+      }
+    })),
+    edges: overlaps.map(o => ({
+      source: `${prefix}${o.a}`,
+      target: `${prefix}${o.b}`,
+      weight: o.via.length,
+      attributes: { via: o.via.join("|") }
+    })),
+    firstModeCount: null
+  };
+}
+
+function xmlEscape(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function toGEXF(network) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://gexf.net/1.3" version="1.3">',
+    `  <meta lastmodifieddate="${new Date().toISOString().slice(0, 10)}">`,
+    "    <creator>Interlocking Directors Analyzer</creator>",
+    `    <description>${xmlEscape(network.name)}</description>`,
+    "  </meta>",
+    '  <graph mode="static" defaultedgetype="undirected">'
+  ];
+  const declare = (cls, attributes) => {
+    if (!attributes.length) return;
+    lines.push(`    <attributes class="${cls}">`);
+    attributes.forEach(attr => lines.push(`      <attribute id="${attr.key}" title="${xmlEscape(attr.title)}" type="${attr.type}"/>`));
+    lines.push("    </attributes>");
+  };
+  const attvalues = (attributes, values, indent) => {
+    const present = attributes.filter(attr => values[attr.key] !== undefined && values[attr.key] !== "");
+    if (!present.length) return;
+    lines.push(`${indent}<attvalues>`);
+    present.forEach(attr => lines.push(`${indent}  <attvalue for="${attr.key}" value="${xmlEscape(values[attr.key])}"/>`));
+    lines.push(`${indent}</attvalues>`);
+  };
+  declare("node", network.nodeAttributes);
+  declare("edge", network.edgeAttributes);
+  lines.push("    <nodes>");
+  network.nodes.forEach(node => {
+    lines.push(`      <node id="${xmlEscape(node.id)}" label="${xmlEscape(node.label)}">`);
+    attvalues(network.nodeAttributes, node.attributes, "        ");
+    lines.push("      </node>");
+  });
+  lines.push("    </nodes>");
+  lines.push("    <edges>");
+  network.edges.forEach((edge, index) => {
+    lines.push(`      <edge id="e${index}" source="${xmlEscape(edge.source)}" target="${xmlEscape(edge.target)}" weight="${edge.weight}">`);
+    attvalues(network.edgeAttributes, edge.attributes, "        ");
+    lines.push("      </edge>");
+  });
+  lines.push("    </edges>");
+  lines.push("  </graph>");
+  lines.push("</gexf>");
+  return lines.join("\n");
+}
+
+function toGraphML(network) {
+  const graphmlType = (type) => (type === "integer" ? "int" : type);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>'
+  ];
+  network.nodeAttributes.forEach(attr => {
+    lines.push(`  <key id="n_${attr.key}" for="node" attr.name="${xmlEscape(attr.title)}" attr.type="${graphmlType(attr.type)}"/>`);
+  });
+  network.edgeAttributes.forEach(attr => {
+    lines.push(`  <key id="e_${attr.key}" for="edge" attr.name="${xmlEscape(attr.title)}" attr.type="${graphmlType(attr.type)}"/>`);
+  });
+  lines.push('  <graph id="G" edgedefault="undirected">');
+  network.nodes.forEach(node => {
+    lines.push(`    <node id="${xmlEscape(node.id)}">`);
+    lines.push(`      <data key="label">${xmlEscape(node.label)}</data>`);
+    network.nodeAttributes.forEach(attr => {
+      const value = node.attributes[attr.key];
+      if (value !== undefined && value !== "") lines.push(`      <data key="n_${attr.key}">${xmlEscape(value)}</data>`);
+    });
+    lines.push("    </node>");
+  });
+  network.edges.forEach(edge => {
+    lines.push(`    <edge source="${xmlEscape(edge.source)}" target="${xmlEscape(edge.target)}">`);
+    lines.push(`      <data key="weight">${edge.weight}</data>`);
+    network.edgeAttributes.forEach(attr => {
+      const value = edge.attributes[attr.key];
+      if (value !== undefined && value !== "") lines.push(`      <data key="e_${attr.key}">${xmlEscape(value)}</data>`);
+    });
+    lines.push("    </edge>");
+  });
+  lines.push("  </graph>");
+  lines.push("</graphml>");
+  return lines.join("\n");
+}
+
+// Pajek .net keeps only labels and weights; two-mode networks list directors first (*Vertices n n1)
+function toPajek(network) {
+  const index = new Map(network.nodes.map((node, i) => [node.id, i + 1]));
+  const header = network.firstModeCount !== null
+    ? `*Vertices ${network.nodes.length} ${network.firstModeCount}`
+    : `*Vertices ${network.nodes.length}`;
+  const lines = [`% ${network.name}`, header];
+  network.nodes.forEach((node, i) => lines.push(`${i + 1} "${String(node.label).replace(/"/g, "'")}"`));
+  lines.push("*Edges");
+  network.edges.forEach(edge => lines.push(`${index.get(edge.source)} ${index.get(edge.target)} ${edge.weight}`));
+  return lines.join("\r\n") + "\r\n";
+}
+
+function exportNetworkFile(graph, report, kind, format) {
+  const network = buildExportNetwork(graph, report, kind);
+  if (format === "graphml") return toGraphML(network);
+  if (format === "pajek") return toPajek(network);
+  return toGEXF(network);
+}
+
+function attributeLabel(key) {
+  return NODE_ATTRIBUTE_FIELDS.find(field => field.key === key)?.label || key;
+}
+
+// Cell shading for report heatmaps: blue intensity for 0..max, red–blue around 0 when diverging
+function heatmapCellStyle(value, max, diverging = false) {
+  if (typeof value !== "number" || !Number.isFinite(value) || !max) return { background: "#f8fafc", color: "#94a3b8" };
+  const intensity = Math.min(1, Math.abs(value) / max);
+  const rgb = diverging && value < 0 ? "220,38,38" : "37,99,235";
+  return { background: `rgba(${rgb},${0.08 + 0.82 * intensity})`, color: intensity > 0.55 ? "#ffffff" : "#0f172a" };
+}
+
+// Quotes cells with delimiters, quotes or line breaks, and any leading "#" so the importer
+// doesn't read the line as a comment
+function csvCell(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]|^#/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const PATH_LENGTH_OPTIONS = [
+  { value: 0, label: "All shortest paths" },
+  { value: 3, label: "3 shortest paths" },
+  { value: 5, label: "5 shortest paths" },
+  { value: PATH_LIMITS.maxK, label: `${PATH_LIMITS.maxK} shortest paths` }
+];
+
+// One row per step of every chain, with the seat that links the step to the one before
+function pathsToCSV(pathResult) {
+  const lines = [["Path", "Length", "Step", "Type", "Name", "Seat role", "Seat period"].join(",")];
+  pathResult.paths.forEach((path, pathIndex) => {
+    path.steps.forEach((step, stepIndex) => {
+      lines.push([
+        pathIndex + 1,
+        path.length,
+        stepIndex,
+        step.type === "person" ? "Director" : "Company",
+        step.name,
+        step.seat?.role ? SEAT_ROLES[step.seat.role].label : "",
+        step.seat ? formatSeatPeriod(step.seat) : ""
+      ].map(csvCell).join(","));
+    });
+  });
+  return lines.join("\n");
+}
+
+function download(filename, text, type = "text/plain") {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+function dataUrlToBlob(dataUrl) {
+  if (!dataUrl || typeof dataUrl !== "string") {
+    throw new Error("Invalid data URL");
+  }
+
+  const [metadata, data] = dataUrl.split(",");
+  if (typeof data === "undefined") {
+    throw new Error("Malformed data URL");
+  }
+
+  const mimeMatch = metadata.match(/data:(.*?)(;base64)?$/);
+  const mimeType = mimeMatch && mimeMatch[1] ? mimeMatch[1] : "application/octet-stream";
+  const isBase64 = metadata.includes(";base64");
 
   if (!isBase64) {
     return new Blob([decodeURIComponent(data)], { type: mimeType });
@@ -1051,6 +2128,457 @@ function dataUrlToBlob(dataUrl) {
 
 }
 
+const WORKSPACE_STORAGE_KEY = "interlockingdir.workspace";
+const SAVED_WORKSPACES_KEY = "interlockingdir.workspaces";
+const WORKSPACE_HASH_PARAM = "ws";
+const WORKSPACE_VERSION = 1;
+
+// Plain-JSON view of everything needed to reproduce the current graph and view
+function serializeWorkspace(state) {
+  return {
+    version: WORKSPACE_VERSION,
+    raw: state.raw,
+    columnOverrides: state.columnOverrides || {},
+    compareRaw: state.compareRaw || "",
+    nodesRaw: state.nodesRaw || "",
+    attributeMapping: state.attributeMapping || { color: "", size: "", shape: "" },
+    aliases: { people: state.aliasTable?.people || {}, companies: state.aliasTable?.companies || {} },
+    timelineYear: state.timelineYear ?? null,
+    viewMode: state.viewMode,
+    egoDepth: state.egoDepth || 0,
+    pathFrom: state.pathFrom || "",
+    pathTo: state.pathTo || "",
+    pathK: state.pathK || 0,
+    nullSimulations: state.nullSimulations || NULL_MODEL_DEFAULTS.simulations,
+    nullSeed: state.nullSeed ?? NULL_MODEL_DEFAULTS.seed,
+    focusNode: state.focusNode ? { id: state.focusNode.id, label: state.focusNode.label, type: state.focusNode.type } : null,
+    minDegree: state.minDegree,
+    cliqueSizeFilter: state.cliqueSizeFilter,
+    haloMode: state.haloMode,
+    tieWeighting: state.tieWeighting || "none",
+    samplingMode: state.samplingMode || "auto",
+    samplingBudget: state.samplingBudget || "balanced",
+    subgroupMeasure: state.subgroupMeasure || "kcore",
+    subgroupParameters: state.subgroupParameters || {},
+    query: state.query,
+    nodePositions: state.nodePositions || {},
+    notes: state.notes || ""
+  };
+}
+
+function isWorkspaceSnapshot(value) {
+  return Boolean(value && typeof value === "object" && typeof value.raw === "string");
+}
+
+function readStoredWorkspace() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(WORKSPACE_STORAGE_KEY) || "null");
+    return isWorkspaceSnapshot(stored) ? stored : null;
+  } catch (err) {
+    console.warn("Could not read the autosaved workspace.", err);
+    return null;
+  }
+}
+
+function readSavedWorkspaces() {
+  try {
+    const stored = JSON.parse(window.localStorage.getItem(SAVED_WORKSPACES_KEY) || "null");
+    return stored && typeof stored === "object" ? stored : {};
+  } catch (err) {
+    console.warn("Could not read saved workspaces.", err);
+    return {};
+  }
+}
+
+function bytesToBase64Url(bytes) {
+  let binary = "";
+  for (let i = 0; i < bytes.length; i += 1) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function base64UrlToBytes(text) {
+  const padded = text.replace(/-/g, "+").replace(/_/g, "/").padEnd(Math.ceil(text.length / 4) * 4, "=");
+  const binary = atob(padded);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i += 1) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+async function pipeBytes(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+// "z" payloads are deflate-compressed JSON; "j" is the uncompressed fallback for older browsers
+async function encodeWorkspaceHash(snapshot) {
+  const bytes = new TextEncoder().encode(JSON.stringify(snapshot));
+  if (typeof CompressionStream === "function") {
+    const compressed = await pipeBytes(bytes, new CompressionStream("deflate-raw"));
+    return `${WORKSPACE_HASH_PARAM}=z${bytesToBase64Url(compressed)}`;
+  }
+  return `${WORKSPACE_HASH_PARAM}=j${bytesToBase64Url(bytes)}`;
+}
+
+async function decodeWorkspaceHash(hash) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const payload = params.get(WORKSPACE_HASH_PARAM);
+  if (!payload) return null;
+  const kind = payload[0];
+  let bytes = base64UrlToBytes(payload.slice(1));
+  if (kind === "z") {
+    if (typeof DecompressionStream !== "function") {
+      throw new Error("This browser cannot decompress shared workspace links.");
+    }
+    bytes = await pipeBytes(bytes, new DecompressionStream("deflate-raw"));
+  } else if (kind !== "j") {
+    throw new Error("Unrecognised workspace link format.");
+  }
+  const snapshot = JSON.parse(new TextDecoder().decode(bytes));
+  if (!isWorkspaceSnapshot(snapshot)) throw new Error("The shared link does not contain a workspace.");
+  return snapshot;
+}
+
+const PROJECT_FORMAT = "interlockingdir-project";
+const PROJECT_EXTENSION = ".idproj";
+
+function seatsToCSV(seats) {
+  const lines = ["Director,Company,Role,Start,End,Committees"];
+  for (const seat of seats) {
+    lines.push([
+      seat.person,
+      seat.company,
+      seat.roleTitle || (seat.role ? SEAT_ROLES[seat.role]?.label : "") || "",
+      seat.start || "",
+      seat.end || "",
+      (seat.committees || []).join("|")
+    ].map(csvCell).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// A project is a workspace snapshot plus the parsed seat list and alias decisions
+function serializeProject(workspace, seats, aliasTable) {
+  return {
+    format: PROJECT_FORMAT,
+    version: WORKSPACE_VERSION,
+    savedAt: new Date().toISOString(),
+    seats: seats.map(seat => ({
+      person: seat.person,
+      company: seat.company,
+      role: seat.role,
+      roleTitle: seat.roleTitle,
+      start: seat.start,
+      end: seat.end,
+      committees: seat.committees
+    })),
+    ...workspace,
+    aliases: {
+      people: aliasTable?.people || {},
+      companies: aliasTable?.companies || {},
+      rejected: aliasTable?.rejected || []
+    }
+  };
+}
+
+function parseProjectFile(text) {
+  let project;
+  try {
+    project = JSON.parse(text);
+  } catch (err) {
+    throw new Error("The project file is not valid JSON.");
+  }
+  if (!project || project.format !== PROJECT_FORMAT) {
+    throw new Error("This file is not an Interlocking Directors project.");
+  }
+  if (typeof project.version === "number" && project.version > WORKSPACE_VERSION) {
+    throw new Error(`Project version ${project.version} is newer than this app supports.`);
+  }
+  const seats = Array.isArray(project.seats) ? project.seats : [];
+  const raw = typeof project.raw === "string" && project.raw.trim() ? project.raw : seatsToCSV(seats);
+  // Rebuilt CSV always carries a header, so saved column overrides no longer apply
+  const columnOverrides = raw === project.raw ? project.columnOverrides || {} : {};
+  return { ...project, raw, columnOverrides };
+}
+
+const IMPORT_ACCEPT = ".csv,.tsv,.txt,.graphml,.gexf,.json,.net,text/csv,text/tab-separated-values,text/plain,application/json,application/xml";
+const NODE_TYPE_KEYS = ["type", "kind", "mode", "nodetype", "node type", "category", "class", "role", "group", "partition", "bipartite"];
+const PERSON_TYPE_VALUES = new Set(["person", "people", "director", "directors", "individual", "member", "officer", "actor", "p"]);
+const COMPANY_TYPE_VALUES = new Set(["company", "companies", "board", "boards", "organisation", "organization", "firm", "entity", "issuer", "event", "c"]);
+
+function detectNetworkFormat(text, filename = "") {
+  const ext = filename.toLowerCase().split(".").pop();
+  const head = text.replace(/^\uFEFF/, "").trimStart().slice(0, 2000).toLowerCase();
+  if (ext === "gexf" || head.includes("<gexf")) return "gexf";
+  if (ext === "graphml" || head.includes("<graphml")) return "graphml";
+  if (ext === "net" || /^(%[^\n]*\n\s*)*\*vertices/.test(head)) return "pajek";
+  if (ext === "json" || head.startsWith("{")) return "json";
+  return null;
+}
+
+function parseXML(text) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  const error = doc.getElementsByTagName("parsererror")[0];
+  if (error) throw new Error(`The file is not well-formed XML: ${error.textContent.trim().split("\n")[0]}`);
+  return doc;
+}
+
+// Element children by local name, ignoring XML namespaces
+function childElements(parent, name) {
+  return Array.from(parent.getElementsByTagNameNS("*", name));
+}
+
+function readGraphML(text) {
+  const doc = parseXML(text);
+  const keys = new Map(childElements(doc, "key").map(key => [
+    key.getAttribute("id"),
+    normalizeHeader(key.getAttribute("attr.name") || key.getAttribute("id"))
+  ]));
+  const readData = (element) => {
+    const attrs = {};
+    Array.from(element.children).forEach(child => {
+      if (child.localName !== "data") return;
+      attrs[keys.get(child.getAttribute("key")) || child.getAttribute("key")] = child.textContent.trim();
+    });
+    return attrs;
+  };
+  const nodes = childElements(doc, "node").map(node => ({ id: node.getAttribute("id"), attrs: readData(node) }));
+  const edges = childElements(doc, "edge").map(edge => ({
+    source: edge.getAttribute("source"),
+    target: edge.getAttribute("target"),
+    attrs: readData(edge)
+  }));
+  return { nodes, edges };
+}
+
+function readGEXF(text) {
+  const doc = parseXML(text);
+  const titles = new Map();
+  childElements(doc, "attributes").forEach(group => {
+    childElements(group, "attribute").forEach(attr => {
+      titles.set(`${group.getAttribute("class")}:${attr.getAttribute("id")}`, normalizeHeader(attr.getAttribute("title") || attr.getAttribute("id")));
+    });
+  });
+  const readValues = (element, cls) => {
+    const attrs = {};
+    childElements(element, "attvalue").forEach(value => {
+      const key = value.getAttribute("for") || value.getAttribute("id");
+      attrs[titles.get(`${cls}:${key}`) || key] = value.getAttribute("value") || "";
+    });
+    return attrs;
+  };
+  const nodes = childElements(doc, "node").map(node => ({
+    id: node.getAttribute("id"),
+    attrs: { label: node.getAttribute("label") || "", ...readValues(node, "node") }
+  }));
+  const edges = childElements(doc, "edge").map(edge => ({
+    source: edge.getAttribute("source"),
+    target: edge.getAttribute("target"),
+    attrs: readValues(edge, "edge")
+  }));
+  return { nodes, edges };
+}
+
+// node-link JSON as written by networkx, d3 or graphology ({ nodes, links | edges })
+function readNodeLinkJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error("The file is not valid JSON.");
+  }
+  const rawNodes = Array.isArray(data?.nodes) ? data.nodes : null;
+  const rawEdges = Array.isArray(data?.links) ? data.links : Array.isArray(data?.edges) ? data.edges : null;
+  if (!rawNodes || !rawEdges) throw new Error("Expected a node-link JSON object with \"nodes\" and \"links\" (or \"edges\").");
+  const flatten = (item) => {
+    const attrs = {};
+    Object.entries({ ...(item.attributes || {}), ...item }).forEach(([key, value]) => {
+      if (value !== null && typeof value !== "object") attrs[normalizeHeader(key)] = String(value);
+    });
+    return attrs;
+  };
+  const nodes = rawNodes.map((node, index) => {
+    const id = node.id ?? node.key ?? index;
+    return { id: String(id), attrs: flatten(node) };
+  });
+  const resolveEndpoint = (value) => {
+    if (value && typeof value === "object") return String(value.id ?? value.key);
+    if (typeof value === "number" && !nodes.some(node => node.id === String(value)) && nodes[value]) return nodes[value].id;
+    return String(value);
+  };
+  const edges = rawEdges.map(edge => ({
+    source: resolveEndpoint(edge.source),
+    target: resolveEndpoint(edge.target),
+    attrs: flatten(edge)
+  }));
+  return { nodes, edges };
+}
+
+// Pajek .net: *Vertices n [n1] puts the first n1 vertices in the first (director) mode
+function readPajek(text) {
+  const nodes = [];
+  const edges = [];
+  let section = null;
+  let firstModeCount = null;
+  for (const rawLine of text.replace(/^\uFEFF/, "").split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("%")) continue;
+    if (line.startsWith("*")) {
+      const [keyword, , second] = line.split(/\s+/);
+      section = keyword.toLowerCase();
+      if (section === "*vertices" && second) firstModeCount = Number(second);
+      continue;
+    }
+    if (section === "*vertices") {
+      // Vertices without a label are named by their number
+      const match = line.match(/^(\S+)(?:\s+(?:"([^"]*)"|(\S+)))?/);
+      if (!match) continue;
+      const index = Number(match[1]);
+      const attrs = { label: match[2] ?? match[3] ?? match[1] };
+      if (firstModeCount) attrs.bipartite = index <= firstModeCount ? "0" : "1";
+      nodes.push({ id: match[1], attrs });
+    } else if (section === "*edges" || section === "*arcs") {
+      const [source, target] = line.split(/\s+/);
+      if (source && target) edges.push({ source, target, attrs: {} });
+    } else if (section === "*edgeslist" || section === "*arcslist") {
+      const [source, ...targets] = line.split(/\s+/);
+      targets.forEach(target => edges.push({ source, target, attrs: {} }));
+    }
+  }
+  return { nodes, edges };
+}
+
+function inferNodeMode(node) {
+  if (node.id.startsWith("P:")) return "person";
+  if (node.id.startsWith("C:")) return "company";
+  for (const key of NODE_TYPE_KEYS) {
+    const value = node.attrs[key];
+    if (value === undefined) continue;
+    const normalized = String(value).trim().toLowerCase();
+    if (key === "bipartite") {
+      if (normalized === "0" || normalized === "false") return "person";
+      if (normalized === "1" || normalized === "true") return "company";
+      continue;
+    }
+    if (PERSON_TYPE_VALUES.has(normalized)) return "person";
+    if (COMPANY_TYPE_VALUES.has(normalized)) return "company";
+  }
+  return null;
+}
+
+// Two-colours untyped nodes; the larger side of each component is taken to be the directors
+function colourBipartite(nodes, edges, modes) {
+  const adjacency = new Map(nodes.map(node => [node.id, []]));
+  edges.forEach(edge => {
+    adjacency.get(edge.source)?.push(edge.target);
+    adjacency.get(edge.target)?.push(edge.source);
+  });
+  const side = new Map();
+  for (const node of nodes) {
+    if (side.has(node.id)) continue;
+    const component = [node.id];
+    side.set(node.id, 0);
+    for (let i = 0; i < component.length; i += 1) {
+      const current = component[i];
+      for (const next of adjacency.get(current) || []) {
+        if (!side.has(next)) {
+          side.set(next, 1 - side.get(current));
+          component.push(next);
+        } else if (side.get(next) === side.get(current)) {
+          throw new Error("Nodes have no director/company type and the network is not two-mode. Add a node attribute named \"type\".");
+        }
+      }
+    }
+    const zeros = component.filter(id => side.get(id) === 0).length;
+    const personSide = zeros >= component.length - zeros ? 0 : 1;
+    component.forEach(id => {
+      if (!modes.has(id)) modes.set(id, side.get(id) === personSide ? "person" : "company");
+    });
+  }
+}
+
+function networkToSeatRows(network) {
+  const { nodes, edges } = network;
+  const modes = new Map();
+  nodes.forEach(node => {
+    const mode = inferNodeMode(node);
+    if (mode) modes.set(node.id, mode);
+  });
+  const notes = [];
+  if (modes.size < nodes.length) {
+    // Untyped neighbours of typed nodes take the opposite mode; what remains is two-coloured
+    let changed = true;
+    while (changed) {
+      changed = false;
+      edges.forEach(({ source, target }) => {
+        if (modes.has(source) && !modes.has(target)) {
+          modes.set(target, modes.get(source) === "person" ? "company" : "person");
+          changed = true;
+        } else if (modes.has(target) && !modes.has(source)) {
+          modes.set(source, modes.get(target) === "person" ? "company" : "person");
+          changed = true;
+        }
+      });
+    }
+    const untyped = nodes.filter(node => !modes.has(node.id));
+    const untypedIds = new Set(untyped.map(node => node.id));
+    colourBipartite(untyped, edges.filter(edge => untypedIds.has(edge.source) && untypedIds.has(edge.target)), modes);
+    notes.push("Some nodes had no type attribute; directors and companies were inferred from the two-mode structure.");
+  }
+  const labels = new Map(nodes.map(node => {
+    const label = node.attrs.label || node.attrs.name || node.id.replace(/^[PC]:/, "");
+    return [node.id, String(label).trim()];
+  }));
+
+  const rows = [];
+  let skipped = 0;
+  const dateText = (attrs, keys) => keys.map(key => attrs[key]).find(Boolean) || "";
+  const START_KEYS = ["start", "start date", "appointed"];
+  const END_KEYS = ["end", "end date", "departed"];
+  const dateOrder = detectDateOrder(edges.flatMap(edge => [dateText(edge.attrs || {}, START_KEYS), dateText(edge.attrs || {}, END_KEYS)]));
+  const unreadableDates = new Set();
+  edges.forEach(edge => {
+    const sourceMode = modes.get(edge.source);
+    const targetMode = modes.get(edge.target);
+    if (!sourceMode || !targetMode || sourceMode === targetMode) {
+      skipped += 1;
+      return;
+    }
+    const personId = sourceMode === "person" ? edge.source : edge.target;
+    const companyId = sourceMode === "person" ? edge.target : edge.source;
+    const attrs = edge.attrs || {};
+    const roleText = attrs.role || attrs.position || attrs.title || "";
+    const start = dateText(attrs, START_KEYS);
+    const end = dateText(attrs, END_KEYS);
+    [start, end].forEach(value => {
+      if (isUnreadableDate(value, dateOrder)) unreadableDates.add(value);
+    });
+    rows.push({
+      person: labels.get(personId) || personId,
+      company: labels.get(companyId) || companyId,
+      role: normalizeRole(roleText),
+      roleTitle: roleText,
+      start: parseSeatDate(start, dateOrder),
+      end: parseSeatDate(end, dateOrder),
+      committees: parseCommittees(attrs.committees || attrs.committee || "")
+    });
+  });
+  if (skipped) notes.push(`${skipped} ${skipped === 1 ? "edge" : "edges"} between two directors or two companies skipped.`);
+  if (unreadableDates.size > 0) {
+    notes.push(`Unreadable ${unreadableDates.size === 1 ? "date" : "dates"} left open: ${[...unreadableDates].slice(0, 5).join(", ")}${unreadableDates.size > 5 ? "…" : ""}.`);
+  }
+  return { rows, notes };
+}
+
+// Converts a GraphML/GEXF/JSON/Pajek file into seat CSV, or returns null for plain CSV input
+function importNetworkFile(text, filename = "") {
+  const format = detectNetworkFormat(text, filename);
+  if (!format) return null;
+  const readers = { graphml: readGraphML, gexf: readGEXF, json: readNodeLinkJSON, pajek: readPajek };
+  const { rows, notes } = networkToSeatRows(readers[format](text));
+  if (rows.length === 0) throw new Error("No director–company ties were found in the file.");
+  return { format, rows, notes, csv: seatsToCSV(rows) };
+}
+
 function useDebounced(value, delay = 300) {
   const [v, setV] = useState(value);
   useEffect(() => {
@@ -1060,13 +2588,143 @@ function useDebounced(value, delay = 300) {
   return v;
 }
 
+const WORKER_TASKS = {
+  analysis: runAnalysis,
+  subgroups: runSubgroups,
+  nullModel: runNullModel
+};
+
+// Columns of the network structure table; each network names its clustering measure
+const STRUCTURE_NETWORKS = [
+  { key: "bipartite", label: "Two-mode", clustering: "Robins–Alexander clustering" },
+  { key: "directors", label: "Director projection", clustering: "Transitivity" },
+  { key: "companies", label: "Company projection", clustering: "Transitivity" }
+];
+
+const DEGREE_DISTRIBUTIONS = [
+  { key: "boards-per-director", label: "Boards per director", pick: structure => structure.bipartite.degrees.directors, bar: "bg-blue-400" },
+  { key: "board-size", label: "Directors per board", pick: structure => structure.bipartite.degrees.companies, bar: "bg-amber-400" },
+  { key: "director-degree", label: "Director projection degree", pick: structure => structure.directors.degrees, bar: "bg-blue-400" },
+  { key: "company-degree", label: "Company projection degree", pick: structure => structure.companies.degrees, bar: "bg-amber-400" }
+];
+
+function degreeBinLabel(bin) {
+  return bin.from === bin.to ? String(bin.from) : `${bin.from}–${bin.to}`;
+}
+
+// Job for the null-model task while it is switched off; a stable object so it never reruns
+const NULL_MODEL_IDLE_JOB = { rows: [], simulations: 0 };
+
+// Empty results shown until the first worker run returns, computed once on empty input
+const PLACEHOLDER_RESULTS = {
+  analysis: runAnalysis({ rows: [] }),
+  subgroups: runSubgroups({ rows: [], measure: "kcore", parameter: 2 }),
+  nullModel: runNullModel(NULL_MODEL_IDLE_JOB)
+};
+
+function formatPValue(p) {
+  if (p === null) return "–";
+  return p < 0.001 ? "<0.001" : p.toFixed(3);
+}
+
+// Runs one of the analysis.worker.js tasks off the main thread. A new job terminates the one in
+// flight; until it finishes the previous result stays in place, `status` carries the stage and
+// fraction done and `current` is false. A null job waits without running anything.
+function useWorkerTask(task, job, initialResult) {
+  const [settled, setSettled] = useState({ job: null, result: initialResult });
+  const [status, setStatus] = useState(null);
+  const [revision, setRevision] = useState(0);
+  const workerRef = useRef(null);
+
+  useEffect(() => {
+    if (job === null) return undefined;
+    if (typeof Worker === "undefined") {
+      setSettled({ job, result: WORKER_TASKS[task](job) });
+      return undefined;
+    }
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const worker = new Worker(new URL("./analysis.worker.js", import.meta.url), { type: "module" });
+    workerRef.current = worker;
+    const finish = () => {
+      worker.terminate();
+      if (workerRef.current === worker) workerRef.current = null;
+    };
+    worker.onmessage = (event) => {
+      const message = event.data;
+      if (message.id !== id) return;
+      if (message.type === "progress") {
+        setStatus({ state: "running", stage: message.stage, fraction: message.fraction });
+        return;
+      }
+      if (message.type === "result") {
+        setSettled({ job, result: message.result });
+        setStatus(null);
+      } else {
+        setStatus({ state: "error", message: message.message });
+      }
+      finish();
+    };
+    worker.onerror = (event) => {
+      setStatus({ state: "error", message: event.message || "The analysis worker failed." });
+      finish();
+    };
+    setStatus({ state: "running", stage: "Starting", fraction: 0 });
+    worker.postMessage({ id, task, job });
+    return finish;
+  }, [task, job, revision]);
+
+  const cancel = useCallback(() => {
+    if (!workerRef.current) return;
+    workerRef.current.terminate();
+    workerRef.current = null;
+    setStatus({ state: "cancelled" });
+  }, []);
+  const rerun = useCallback(() => setRevision(value => value + 1), []);
+
+  return { ...settled.result, current: settled.job === job, status, cancel, rerun };
+}
+
 export default function InterlockingDirectorsApp() {
-  const [raw, setRaw] = useState(SAMPLE);
-  const [minDegree, setMinDegree] = useState(0);
-  const [cliqueSizeFilter, setCliqueSizeFilter] = useState(3);
-  const [haloMode, setHaloMode] = useState("clique");
-  const [query, setQuery] = useState("");
-  const [viewMode, setViewMode] = useState("bipartite");
+  const [restoredWorkspace] = useState(readStoredWorkspace);
+  const [raw, setRaw] = useState(restoredWorkspace?.raw ?? SAMPLE);
+  const [columnOverrides, setColumnOverrides] = useState(restoredWorkspace?.columnOverrides ?? {});
+  const [timelineYear, setTimelineYear] = useState(restoredWorkspace?.timelineYear ?? null);
+  const [timelinePlaying, setTimelinePlaying] = useState(false);
+  const [compareRaw, setCompareRaw] = useState(restoredWorkspace?.compareRaw ?? "");
+  const [nodesRaw, setNodesRaw] = useState(restoredWorkspace?.nodesRaw ?? "");
+  const [attributeMapping, setAttributeMapping] = useState(restoredWorkspace?.attributeMapping ?? { color: "", size: "", shape: "" });
+  const [diffHighlight, setDiffHighlight] = useState(true);
+  const [aliasTable, setAliasTable] = useState(loadAliasTable);
+  // Aliases carried by a shared link: applied on top of the saved table for this session only
+  const [linkAliases, setLinkAliases] = useState(null);
+  const [canonicalChoices, setCanonicalChoices] = useState({});
+  const [minDegree, setMinDegree] = useState(restoredWorkspace?.minDegree ?? 0);
+  const [cliqueSizeFilter, setCliqueSizeFilter] = useState(restoredWorkspace?.cliqueSizeFilter ?? 3);
+  const [haloMode, setHaloMode] = useState(restoredWorkspace?.haloMode ?? "clique");
+  const [tieWeighting, setTieWeighting] = useState(restoredWorkspace?.tieWeighting ?? "none");
+  const [samplingMode, setSamplingMode] = useState(restoredWorkspace?.samplingMode ?? "auto");
+  const [samplingBudget, setSamplingBudget] = useState(restoredWorkspace?.samplingBudget ?? "balanced");
+  const [subgroupMeasure, setSubgroupMeasure] = useState(restoredWorkspace?.subgroupMeasure ?? "kcore");
+  const [subgroupParameters, setSubgroupParameters] = useState(() => ({
+    ...Object.fromEntries(SUBGROUP_MEASURES.map(measure => [measure.key, measure.defaultValue])),
+    ...(restoredWorkspace?.subgroupParameters || {})
+  }));
+  const [query, setQuery] = useState(restoredWorkspace?.query ?? "");
+  const [viewMode, setViewMode] = useState(restoredWorkspace?.viewMode ?? "bipartite");
+  const [egoDepth, setEgoDepth] = useState(restoredWorkspace?.egoDepth ?? 0);
+  const [pathFrom, setPathFrom] = useState(restoredWorkspace?.pathFrom ?? "");
+  const [pathTo, setPathTo] = useState(restoredWorkspace?.pathTo ?? "");
+  const [pathK, setPathK] = useState(restoredWorkspace?.pathK ?? 0);
+  // Text typed into the From/To boxes that does not (yet) name a node
+  const [pathDrafts, setPathDrafts] = useState({});
+  const [nullModelEnabled, setNullModelEnabled] = useState(false);
+  const [nullSimulations, setNullSimulations] = useState(restoredWorkspace?.nullSimulations ?? NULL_MODEL_DEFAULTS.simulations);
+  const [nullSeed, setNullSeed] = useState(restoredWorkspace?.nullSeed ?? NULL_MODEL_DEFAULTS.seed);
+  const [savedWorkspaces, setSavedWorkspaces] = useState(readSavedWorkspaces);
+  const [workspaceName, setWorkspaceName] = useState("");
+  const [workspaceStatus, setWorkspaceStatus] = useState(null);
+  // Restored clique filters survive the reset that normally follows a new report
+  const pendingCliqueSizeRef = useRef(restoredWorkspace?.cliqueSizeFilter ?? null);
   const [debugEnabled, setDebugEnabled] = useState(false);
   const [debugEvents, setDebugEvents] = useState([]);
   const [runtimeError, setRuntimeError] = useState(null);
@@ -1076,7 +2734,17 @@ export default function InterlockingDirectorsApp() {
   const [pngUrl, setPngUrl] = useState(null);
   const pngUrlRef = useRef(null);
   const [selectedNode, setSelectedNode] = useState(null);
-  const [focusNode, setFocusNode] = useState(null);
+  const [focusNode, setFocusNode] = useState(restoredWorkspace?.focusNode ?? null);
+  const [nodePositions, setNodePositions] = useState(restoredWorkspace?.nodePositions ?? {});
+  const [layoutRevision, setLayoutRevision] = useState(0);
+  const [notes, setNotes] = useState(restoredWorkspace?.notes ?? "");
+  const [exportNetworkKind, setExportNetworkKind] = useState("bipartite");
+  const [exportFormat, setExportFormat] = useState("gexf");
+  const [importStatus, setImportStatus] = useState(null);
+  const [rankingKind, setRankingKind] = useState("directors");
+  const [rankingSort, setRankingSort] = useState({ key: "degree", direction: "desc" });
+  const [rankingFilters, setRankingFilters] = useState({});
+  const [rankingPage, setRankingPage] = useState(0);
   const [selectionPosition, setSelectionPosition] = useState(null);
   const visibleNodesRef = useRef([]);
   const overlayPositionRef = useRef(null);
@@ -1119,26 +2787,149 @@ export default function InterlockingDirectorsApp() {
     if (pngUrl) window.open(pngUrl, '_blank', 'noopener');
   };
 
-  const rows = useMemo(() => parseCSV(raw), [raw]);
-  const baseGraph = useMemo(() => toGraph(rows), [rows]);
-  const report = useMemo(() => genReport(baseGraph), [baseGraph]);
-  const displayGraph = useMemo(
-    () => buildVisualization(baseGraph, viewMode, focusNode),
-    [baseGraph, viewMode, focusNode]
+  const parsedCSV = useMemo(() => parseCSV(raw, columnOverrides), [raw, columnOverrides]);
+  const activeAliasTable = useMemo(() => (linkAliases
+    ? {
+      ...aliasTable,
+      people: { ...aliasTable.people, ...linkAliases.people },
+      companies: { ...aliasTable.companies, ...linkAliases.companies }
+    }
+    : aliasTable), [aliasTable, linkAliases]);
+  const linkAliasCount = linkAliases ? Object.keys(linkAliases.people).length + Object.keys(linkAliases.companies).length : 0;
+  const rows = useMemo(() => applyAliases(parsedCSV.rows, activeAliasTable), [parsedCSV, activeAliasTable]);
+  const mergeSuggestions = useMemo(
+    () => suggestEntityMerges(rows, new Set(aliasTable.rejected)),
+    [rows, aliasTable.rejected]
+  );
+  const aliasGroups = useMemo(() => {
+    const groups = [];
+    for (const [kind, field] of [["person", "people"], ["company", "companies"]]) {
+      const byCanonical = new Map();
+      Object.entries(aliasTable[field]).forEach(([variant, canonical]) => {
+        if (!byCanonical.has(canonical)) byCanonical.set(canonical, []);
+        byCanonical.get(canonical).push(variant);
+      });
+      byCanonical.forEach((variants, canonical) => groups.push({ kind, canonical, variants: variants.sort() }));
+    }
+    return groups.sort((a, b) => a.canonical.localeCompare(b.canonical));
+  }, [aliasTable]);
+  const timelineRange = useMemo(() => computeTimelineRange(rows), [rows]);
+  const asOfDate = timelineRange && timelineYear !== null
+    ? `${Math.min(Math.max(timelineYear, timelineRange.min), timelineRange.max)}-12-31`
+    : null;
+  const activeRows = useMemo(() => filterRowsAsOf(rows, asOfDate), [rows, asOfDate]);
+  const compareRows = useMemo(() => {
+    if (!compareRaw.trim()) return null;
+    // Same layout as the current register, so the same delimiter and column choices apply
+    return filterRowsAsOf(applyAliases(parseCSV(compareRaw, columnOverrides).rows, activeAliasTable), asOfDate);
+  }, [compareRaw, columnOverrides, asOfDate, activeAliasTable]);
+  const nodeTable = useMemo(() => parseNodeTable(nodesRaw), [nodesRaw]);
+  const nodeAttributes = useMemo(
+    () => resolveNodeAttributes(nodeTable.entries, rows, activeAliasTable),
+    [nodeTable, rows, activeAliasTable]
+  );
+  // Text edits reach the workers after a pause in typing, so each keystroke doesn't restart them
+  const analysisInputs = useMemo(
+    () => ({ rows: activeRows, compareRows, attributes: nodeAttributes }),
+    [activeRows, compareRows, nodeAttributes]
+  );
+  const settledInputs = useDebounced(analysisInputs, 300);
+  const analysisJob = useMemo(
+    () => ({
+      rows: settledInputs.rows,
+      compareRows: settledInputs.compareRows,
+      weighting: tieWeighting,
+      sampling: { mode: samplingMode, budget: samplingBudget },
+      attributes: { people: settledInputs.attributes.people, companies: settledInputs.attributes.companies }
+    }),
+    [settledInputs, tieWeighting, samplingMode, samplingBudget]
+  );
+  const analysis = useWorkerTask("analysis", analysisJob, PLACEHOLDER_RESULTS.analysis);
+  const subgroupJob = useMemo(
+    () => ({ rows: settledInputs.rows, measure: subgroupMeasure, parameter: subgroupParameters[subgroupMeasure] }),
+    [settledInputs, subgroupMeasure, subgroupParameters]
   );
+  const subgroups = useWorkerTask("subgroups", subgroupJob, PLACEHOLDER_RESULTS.subgroups);
+  // The null model tests the clique figures the report shows, so it starts once that report is in
+  const reportedSummary = analysis.current ? analysis.report.summary : null;
+  const reportedTruncated = analysis.current ? Boolean(analysis.report.cliques?.truncated) : false;
+  const nullModelJob = useMemo(() => {
+    if (!nullModelEnabled) return NULL_MODEL_IDLE_JOB;
+    if (!reportedSummary) return null;
+    return {
+      rows: settledInputs.rows,
+      simulations: nullSimulations,
+      seed: nullSeed,
+      sampling: { mode: samplingMode, budget: samplingBudget },
+      reported: {
+        truncated: reportedTruncated,
+        values: {
+          directorCliques: reportedSummary.directorCliques,
+          largestDirectorClique: reportedSummary.largestDirectorClique,
+          crossCliqueConnectors: reportedSummary.crossCliqueConnectors
+        }
+      }
+    };
+  }, [
+    nullModelEnabled, settledInputs, nullSimulations, nullSeed, samplingMode, samplingBudget, reportedTruncated,
+    reportedSummary?.directorCliques, reportedSummary?.largestDirectorClique, reportedSummary?.crossCliqueConnectors,
+    reportedSummary === null
+  ]);
+  const nullModel = useWorkerTask("nullModel", nullModelJob, PLACEHOLDER_RESULTS.nullModel);
+  const nullBySummary = Object.fromEntries(
+    nullModel.statistics.filter(statistic => statistic.summaryKey).map(statistic => [statistic.summaryKey, statistic])
+  );
+  const { graph: baseGraph, report, diff: snapshotDiff, status: analysisStatus } = analysis;
+  // Restored focus, clique size and minimum degree are checked against the graph only once the
+  // analysis of the current (settled) rows is in; the placeholder or previous graph would wipe them
+  const analysisReady = analysis.current && settledInputs === analysisInputs;
+  const pathResult = useMemo(
+    () => findPaths(baseGraph, pathFrom, pathTo, pathK || null),
+    [baseGraph, pathFrom, pathTo, pathK]
+  );
+  // Suggestions for the From/To boxes; a name used by both a director and a company is suffixed
+  const pathOptions = useMemo(() => {
+    const companies = new Set(baseGraph.companies);
+    const shared = new Set(baseGraph.people.filter(name => companies.has(name)));
+    const options = [
+      ...baseGraph.people.map(name => ({ id: `P:${name}`, text: shared.has(name) ? `${name} (director)` : name })),
+      ...baseGraph.companies.map(name => ({ id: `C:${name}`, text: shared.has(name) ? `${name} (company)` : name }))
+    ];
+    return { options, byText: new Map(options.map(option => [option.text, option.id])), byId: new Map(options.map(option => [option.id, option.text])) };
+  }, [baseGraph]);
+  // With change highlighting on, departed seats stay on the canvas so they can be shown as removed
+  const visualGraph = snapshotDiff && diffHighlight && analysis.diffGraph ? analysis.diffGraph : baseGraph;
+  const brokerSizeFields = BROKER_SIZE_FIELDS.filter(field => (
+    field.key !== "brokerage" || report.brokers.directors.brokerage || report.brokers.companies.brokerage
+  ));
+  const attributeStyling = useMemo(() => {
+    const available = new Set([...nodeTable.fields, ...brokerSizeFields.map(field => field.key)]);
+    const mapping = Object.fromEntries(Object.entries(attributeMapping).map(([channel, key]) => [channel, available.has(key) ? key : ""]));
+    return applyNodeAttributeStyles(visualGraph, withBrokerScores(nodeAttributes, report.brokers), mapping);
+  }, [visualGraph, nodeAttributes, nodeTable, attributeMapping, report]);
+  const displayGraph = useMemo(() => {
+    const graph = withCentralityTooltips(buildVisualization(attributeStyling.graph, viewMode, focusNode, { tieWeighting, egoDepth }), report.metrics);
+    const highlighted = snapshotDiff && diffHighlight ? applyDiffHighlight(graph, snapshotDiff) : graph;
+    return applyPathHighlight(highlighted, pathResult);
+  }, [attributeStyling, viewMode, focusNode, tieWeighting, egoDepth, report, snapshotDiff, diffHighlight, pathResult]);
   const focusNodeId = focusNode?.id || null;
+  const layoutKey = focusNodeId
+    ? `${viewMode}|${focusNodeId}${egoDepth > 0 ? `|ego${egoDepth}` : ""}`
+    : viewMode;
+  const nodePositionsRef = useRef(nodePositions);
+  nodePositionsRef.current = nodePositions;
   const maxDegree = useMemo(() => {
     const values = Array.from(displayGraph.nodeDegrees.values());
     return values.length ? Math.max(...values) : 0;
   }, [displayGraph]);
 
   useEffect(() => {
-    if (!focusNode) return;
+    if (!focusNode || !analysisReady) return;
     const exists = baseGraph.nodes.some(node => node.id === focusNode.id);
     if (!exists) {
       setFocusNode(null);
     }
-  }, [baseGraph, focusNode]);
+  }, [baseGraph, focusNode, analysisReady]);
 
   useEffect(() => {
     if (viewMode === "company") {
@@ -1155,8 +2946,9 @@ export default function InterlockingDirectorsApp() {
   }, [viewMode, focusNode]);
 
   useEffect(() => {
+    if (!analysisReady) return;
     setMinDegree(prev => (prev > maxDegree ? maxDegree : prev));
-  }, [maxDegree]);
+  }, [maxDegree, analysisReady]);
 
   const sliderMax = Math.max(10, maxDegree);
   const degreeCopy = DEGREE_COPY[viewMode] || DEGREE_COPY.bipartite;
@@ -1166,9 +2958,14 @@ export default function InterlockingDirectorsApp() {
     company: "Rebalances the entire network so every company sits at the heart of its director circle. Shared directors naturally land between overlapping firms.",
     director: "Repositions the full graph with directors anchoring their companies. Firms shared by multiple directors fall between the cliques they connect."
   };
-  const haloDescription = haloMode === "company"
-    ? "Shaded halos outline each company's board members."
-    : "Shaded halos outline detected director cliques.";
+  const haloSubgroup = SUBGROUP_MEASURES.find(measure => measure.key === haloMode);
+  const haloDescription = haloSubgroup
+    ? `Shaded halos outline director ${haloSubgroup.label} (${haloSubgroup.key === "nclan" ? "n" : "k"} = ${subgroupParameters[haloSubgroup.key]}).`
+    : haloMode in COMMUNITY_HALO_MODES
+      ? COMMUNITY_HALO_MODES[haloMode].description
+      : haloMode === "company"
+        ? "Shaded halos outline each company's board members."
+        : "Shaded halos outline detected director cliques.";
 
   const viewOptions = [
     { key: "bipartite", label: "Combined" },
@@ -1204,6 +3001,7 @@ export default function InterlockingDirectorsApp() {
         allowedIds = new Set([...matched, ...neighbors]);
       }
 
+      const pinned = nodePositionsRef.current[layoutKey] || {};
       const nodes = availableNodes.filter(node => {
         const deg = displayGraph.nodeDegrees.get(node.id) || 0;
         const passDeg = deg >= (minDegree || 0);
@@ -1212,7 +3010,7 @@ export default function InterlockingDirectorsApp() {
           return passDeg && allowedIds.has(node.id);
         }
         return false;
-      });
+      }).map(node => (pinned[node.id] ? { ...node, ...pinned[node.id], physics: false } : node));
 
       const nodeSet = new Set(nodes.map(node => node.id));
       const edges = availableEdges.filter(edge => nodeSet.has(edge.from) && nodeSet.has(edge.to));
@@ -1277,7 +3075,26 @@ export default function InterlockingDirectorsApp() {
       setRuntimeError(error);
       appendDebug("error", { stage: "network", message: error?.message || String(error) });
     }
-  }, [displayGraph, minDegree, debouncedQuery, appendDebug, focusNodeId]);
+  }, [displayGraph, minDegree, debouncedQuery, appendDebug, focusNodeId, layoutKey, layoutRevision]);
+
+  // Remember manually dragged nodes for the current layout so curated arrangements can be saved
+  useEffect(() => {
+    const net = networkRef.current;
+    if (!net) return;
+    const handleDragEnd = (params) => {
+      if (!params.nodes || params.nodes.length === 0) return;
+      const positions = net.getPositions(params.nodes);
+      const moved = {};
+      Object.entries(positions).forEach(([id, pos]) => {
+        if (pos && Number.isFinite(pos.x) && Number.isFinite(pos.y)) {
+          moved[id] = { x: Math.round(pos.x), y: Math.round(pos.y) };
+        }
+      });
+      setNodePositions(prev => ({ ...prev, [layoutKey]: { ...(prev[layoutKey] || {}), ...moved } }));
+    };
+    net.on('dragEnd', handleDragEnd);
+    return () => net.off('dragEnd', handleDragEnd);
+  }, [displayGraph, layoutKey]);
 
   useEffect(() => {
     appendDebug("data:rows", { count: rows.length });
@@ -1306,6 +3123,225 @@ export default function InterlockingDirectorsApp() {
     appendDebug("state:query", { query: debouncedQuery });
   }, [debouncedQuery, appendDebug]);
 
+  useEffect(() => {
+    appendDebug("state:asOf", { asOf: asOfDate });
+  }, [asOfDate, appendDebug]);
+
+  const workspaceSnapshot = useMemo(() => serializeWorkspace({
+    raw,
+    columnOverrides,
+    compareRaw,
+    nodesRaw,
+    attributeMapping,
+    aliasTable: activeAliasTable,
+    timelineYear,
+    viewMode,
+    egoDepth,
+    pathFrom,
+    pathTo,
+    pathK,
+    nullSimulations,
+    nullSeed,
+    focusNode,
+    minDegree,
+    cliqueSizeFilter,
+    haloMode,
+    tieWeighting,
+    samplingMode,
+    samplingBudget,
+    subgroupMeasure,
+    subgroupParameters,
+    query,
+    nodePositions,
+    notes
+  }), [raw, columnOverrides, compareRaw, nodesRaw, attributeMapping, activeAliasTable, timelineYear, viewMode, egoDepth, pathFrom, pathTo, pathK, nullSimulations, nullSeed, focusNode, minDegree, cliqueSizeFilter, haloMode, tieWeighting, samplingMode, samplingBudget, subgroupMeasure, subgroupParameters, query, nodePositions, notes]);
+  const debouncedWorkspace = useDebounced(workspaceSnapshot, 500);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(WORKSPACE_STORAGE_KEY, JSON.stringify(debouncedWorkspace));
+    } catch (err) {
+      console.warn("Could not autosave the workspace.", err);
+    }
+  }, [debouncedWorkspace]);
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(SAVED_WORKSPACES_KEY, JSON.stringify(savedWorkspaces));
+    } catch (err) {
+      console.warn("Could not save named workspaces.", err);
+    }
+  }, [savedWorkspaces]);
+
+  // Aliases in a shared link stay in this session (`linkOnly`); a project or saved workspace the
+  // user opens replaces the saved alias table
+  const applyWorkspace = useCallback((snapshot, { linkOnly = false } = {}) => {
+    setTimelinePlaying(false);
+    setRaw(snapshot.raw);
+    setColumnOverrides(snapshot.columnOverrides || {});
+    setCompareRaw(snapshot.compareRaw || "");
+    setNodesRaw(snapshot.nodesRaw || "");
+    setAttributeMapping({ color: "", size: "", shape: "", ...(snapshot.attributeMapping || {}) });
+    if (linkOnly) {
+      setLinkAliases(snapshot.aliases ? { people: snapshot.aliases.people || {}, companies: snapshot.aliases.companies || {} } : null);
+    } else {
+      setLinkAliases(null);
+    }
+    // Projects and named workspaces add their aliases to the saved table rather than replacing it
+    if (snapshot.aliases && !linkOnly) {
+      setAliasTable(prev => ({
+        ...prev,
+        people: { ...prev.people, ...(snapshot.aliases.people || {}) },
+        companies: { ...prev.companies, ...(snapshot.aliases.companies || {}) }
+      }));
+    }
+    setTimelineYear(snapshot.timelineYear ?? null);
+    setViewMode(snapshot.viewMode || "bipartite");
+    setEgoDepth(snapshot.egoDepth || 0);
+    setPathFrom(snapshot.pathFrom || "");
+    setPathTo(snapshot.pathTo || "");
+    setPathK(snapshot.pathK || 0);
+    setNullSimulations(snapshot.nullSimulations || NULL_MODEL_DEFAULTS.simulations);
+    setNullSeed(snapshot.nullSeed ?? NULL_MODEL_DEFAULTS.seed);
+    setFocusNode(snapshot.focusNode || null);
+    setSelectedNode(null);
+    setMinDegree(snapshot.minDegree ?? 0);
+    pendingCliqueSizeRef.current = snapshot.cliqueSizeFilter ?? null;
+    setCliqueSizeFilter(snapshot.cliqueSizeFilter ?? 3);
+    setHaloMode(snapshot.haloMode || "clique");
+    setTieWeighting(snapshot.tieWeighting || "none");
+    setSamplingMode(snapshot.samplingMode || "auto");
+    setSamplingBudget(snapshot.samplingBudget || "balanced");
+    setSubgroupMeasure(snapshot.subgroupMeasure || "kcore");
+    setSubgroupParameters(prev => ({ ...prev, ...(snapshot.subgroupParameters || {}) }));
+    setQuery(snapshot.query || "");
+    setNodePositions(snapshot.nodePositions || {});
+    setNotes(snapshot.notes || "");
+    setLayoutRevision(prev => prev + 1);
+  }, []);
+
+  // A shared link (#ws=…) takes precedence over the autosaved workspace
+  useEffect(() => {
+    if (!window.location.hash) return;
+    let cancelled = false;
+    decodeWorkspaceHash(window.location.hash)
+      .then(snapshot => {
+        if (cancelled || !snapshot) return;
+        applyWorkspace(snapshot, { linkOnly: true });
+        window.history.replaceState(null, "", window.location.pathname + window.location.search);
+        appendDebug("workspace:link", { bytes: window.location.hash.length });
+      })
+      .catch(err => {
+        console.error(err);
+        setWorkspaceStatus(`Could not open shared link: ${err.message || err}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [applyWorkspace, appendDebug]);
+
+  const copyWorkspaceLink = async () => {
+    try {
+      const hash = await encodeWorkspaceHash(workspaceSnapshot);
+      const url = `${window.location.origin}${window.location.pathname}${window.location.search}#${hash}`;
+      try {
+        await navigator.clipboard.writeText(url);
+        setWorkspaceStatus("Link copied to clipboard.");
+      } catch (err) {
+        window.prompt("Copy this link:", url);
+      }
+      appendDebug("workspace:share", { length: url.length });
+    } catch (err) {
+      console.error(err);
+      setWorkspaceStatus(`Could not create a link: ${err.message || err}`);
+    }
+  };
+
+  const exportPaths = () => {
+    if (pathResult.paths.length === 0) return;
+    const slug = (id) => id.slice(2).replace(/[^a-z0-9]+/gi, "-").replace(/^-|-$/g, "").toLowerCase();
+    download(`paths-${slug(pathResult.from)}-to-${slug(pathResult.to)}.csv`, pathsToCSV(pathResult), "text/csv");
+    appendDebug("export:paths", { from: pathResult.from, to: pathResult.to, paths: pathResult.paths.length });
+  };
+
+  const exportNetwork = () => {
+    const format = EXPORT_FORMATS.find(f => f.key === exportFormat) || EXPORT_FORMATS[0];
+    const text = exportNetworkFile(baseGraph, report, exportNetworkKind, format.key);
+    download(`interlocking-${exportNetworkKind}.${format.extension}`, text, format.mime);
+    appendDebug("export:network", { network: exportNetworkKind, format: format.key });
+  };
+
+  const saveProject = () => {
+    const project = serializeProject(workspaceSnapshot, parsedCSV.rows, activeAliasTable);
+    const baseName = (workspaceName.trim() || "interlocking-directors").replace(/[^\w.-]+/g, "-");
+    download(`${baseName}${PROJECT_EXTENSION}`, JSON.stringify(project, null, 2), "application/json");
+    appendDebug("project:save", { seats: project.seats.length });
+  };
+
+  const openProject = (text) => {
+    try {
+      const project = parseProjectFile(text);
+      applyWorkspace(project);
+      setAliasTable(prev => ({ ...prev, rejected: project.aliases?.rejected || prev.rejected }));
+      setWorkspaceStatus("Project loaded.");
+      appendDebug("project:open", { seats: (project.seats || []).length });
+    } catch (err) {
+      console.error(err);
+      setWorkspaceStatus(err.message || String(err));
+    }
+  };
+
+  const saveNamedWorkspace = () => {
+    const name = workspaceName.trim();
+    if (!name) return;
+    setSavedWorkspaces(prev => ({ ...prev, [name]: { savedAt: new Date().toISOString(), workspace: workspaceSnapshot } }));
+    setWorkspaceStatus(`Saved "${name}".`);
+  };
+
+  const loadNamedWorkspace = (name) => {
+    const entry = savedWorkspaces[name];
+    if (!entry || !isWorkspaceSnapshot(entry.workspace)) return;
+    applyWorkspace(entry.workspace);
+    setWorkspaceName(name);
+    setWorkspaceStatus(`Loaded "${name}".`);
+  };
+
+  const deleteNamedWorkspace = (name) => {
+    setSavedWorkspaces(prev => {
+      const next = { ...prev };
+      delete next[name];
+      return next;
+    });
+  };
+
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(ALIAS_STORAGE_KEY, JSON.stringify(aliasTable));
+    } catch (err) {
+      console.warn("Could not save the alias table.", err);
+    }
+  }, [aliasTable]);
+
+  useEffect(() => {
+    if (!timelineRange) {
+      setTimelineYear(null);
+      setTimelinePlaying(false);
+    }
+  }, [timelineRange]);
+
+  // Advance the replay one year at a time until the latest year is reached
+  useEffect(() => {
+    if (!timelinePlaying || !timelineRange) return;
+    const timer = setTimeout(() => {
+      if (timelineYear === null || timelineYear >= timelineRange.max) {
+        setTimelinePlaying(false);
+        return;
+      }
+      setTimelineYear(timelineYear + 1);
+    }, 1200);
+    return () => clearTimeout(timer);
+  }, [timelinePlaying, timelineYear, timelineRange]);
+
   useEffect(() => {
     if (!selectedNode) return;
     const stillVisible = (visibleNodesRef.current || []).some(node => node.id === selectedNode.id);
@@ -1325,6 +3361,10 @@ export default function InterlockingDirectorsApp() {
     if (!visible.has(focusNodeId)) return;
 
     const animation = { duration: 600, easingFunction: 'easeInOutQuad' };
+    if (displayGraph.rings?.length > 1) {
+      net.fit({ nodes: Array.from(visible), animation });
+      return;
+    }
     const scale = viewMode === "bipartite" ? 1 : 0.9;
 
     try {
@@ -1520,6 +3560,9 @@ export default function InterlockingDirectorsApp() {
     };
     const lines = [];
     lines.push("Section,Field,Value");
+    for (const [label, sample] of Object.entries(report.approximation || {})) {
+      if (sample) lines.push(`Note,Estimated closeness/betweenness (${label}),${sample.sources} of ${sample.nodes} nodes sampled as sources`);
+    }
     lines.push(`Summary,Total Companies,${summary.totalCompanies}`);
     lines.push(`Summary,Total Directors,${summary.totalDirectors}`);
     lines.push(`Summary,Total Board Seats,${summary.totalBoardSeats}`);
@@ -1538,12 +3581,27 @@ export default function InterlockingDirectorsApp() {
     lines.push(`Summary,Company centralization (degree),${formatScore(companyCentralization.degree || 0)}`);
     lines.push(`Summary,Company centralization (closeness),${formatScore(companyCentralization.closeness || 0)}`);
     lines.push(`Summary,Company centralization (betweenness),${formatScore(companyCentralization.betweenness || 0)}`);
+    if (nullModelEnabled && nullModel.statistics.length > 0) {
+      lines.push("");
+      lines.push(`Null Model,Figure,Observed,Random Mean,Random SD,z,p (${nullModel.simulations} simulations; seed ${nullModel.seed})`);
+      for (const statistic of nullModel.statistics) {
+        lines.push([
+          "Null Model",
+          statistic.label,
+          formatScore(statistic.observed),
+          formatScore(statistic.mean),
+          formatScore(statistic.sd),
+          statistic.z === null ? "" : formatScore(statistic.z),
+          statistic.p === null ? "" : formatScore(statistic.p)
+        ].map(csvCell).join(","));
+      }
+    }
     lines.push("");
     lines.push("Directors with Multiple Seats,Director,Boards");
-    for (const d of multiSeatDirectors) lines.push(`Director,${d.name},${d.boards}`);
+    for (const d of multiSeatDirectors) lines.push(["Director", d.name, d.boards].map(csvCell).join(","));
     lines.push("");
     lines.push("Company Overlaps,Company Pair,Shared Directors,Via");
-    for (const p of highOverlapPairs) lines.push(`Overlap,${p.pair},${p.shared},"${p.via.join(" | ")}` + `"`);
+    for (const p of highOverlapPairs) lines.push(["Overlap", p.pair, p.shared, p.via.join(" | ")].map(csvCell).join(","));
 
     const directorCentralityLists = centrality?.directors || {};
     const companyCentralityLists = centrality?.companies || {};
@@ -1552,34 +3610,206 @@ export default function InterlockingDirectorsApp() {
       lines.push(`${title},Measure,Name,Score,Details`);
       const measures = [
         ["Degree", lists.degree || []],
+        ["Strength", lists.strength || []],
         ["Closeness", lists.closeness || []],
-        ["Betweenness", lists.betweenness || []]
+        ["Betweenness", lists.betweenness || []],
+        ["Eigenvector", lists.eigenvector || []],
+        ["PageRank", lists.pagerank || []],
+        ["Katz", lists.katz || []],
+        ["Harmonic", lists.harmonic || []]
       ];
       for (const [label, items] of measures) {
         for (const item of items) {
           const detail = typeof item.connections === "number"
             ? `Connections: ${item.connections}`
             : "";
-          lines.push(`${title},${label},${item.name},${formatScore(item.score)},${detail}`);
+          lines.push([title, label, item.name, formatScore(item.score), detail].map(csvCell).join(","));
         }
       }
     };
 
-    addCentralityRows("Director Centrality", directorCentralityLists);
-    addCentralityRows("Company Centrality", companyCentralityLists);
+    addCentralityRows("Director Centrality (projection)", directorCentralityLists);
+    addCentralityRows("Company Centrality (projection)", companyCentralityLists);
+
+    const rankingColumns = RANKING_COLUMNS.filter(column => !column.weightedOnly || report.weighting !== "none");
+    for (const [title, rankingRows] of [["Director Ranking", report.rankings?.directors || []], ["Company Ranking", report.rankings?.companies || []]]) {
+      lines.push("");
+      lines.push([title, "Rank", "Name", ...rankingColumns.map(column => column.label)].map(csvCell).join(","));
+      rankingRows.forEach((row, index) => {
+        const values = rankingColumns.map(column => (column.integer ? row[column.key] ?? "" : formatScore(row[column.key])));
+        lines.push([title, index + 1, row.name, ...values].map(csvCell).join(","));
+      });
+    }
+
+    const communityLists = report.communities;
+    if (communityLists) {
+      lines.push("");
+      lines.push("Communities,Network,Community,Size,Modularity,Members");
+      for (const [label, result] of [["Director projection", communityLists.directors], ["Company projection", communityLists.companies]]) {
+        for (const community of result.communities) {
+          lines.push(["Community", label, community.id, community.size, result.modularity, community.members.join(" | ")].map(csvCell).join(","));
+        }
+      }
+      for (const community of communityLists.bipartite.communities) {
+        const members = [...community.directors, ...community.companies].join(" | ");
+        lines.push(["Community", "Two-mode (Barber)", community.id, community.size, communityLists.bipartite.modularity, members].map(csvCell).join(","));
+      }
+    }
+
+    const structure = report.structure;
+    lines.push("");
+    lines.push("Network Structure,Network,Nodes,Ties,Density,Components,Giant component,Giant share,Isolated,Diameter,Average path length,Clustering,Clustering measure,Sampled sources");
+    for (const network of STRUCTURE_NETWORKS) {
+      const item = structure[network.key];
+      lines.push([
+        "Network Structure",
+        network.label,
+        item.nodes,
+        item.edges,
+        formatScore(item.density),
+        item.components,
+        item.giant.size,
+        formatScore(item.giant.share),
+        item.isolated ? item.isolated.length : "",
+        item.diameter,
+        formatScore(item.averagePathLength),
+        formatScore(network.key === "bipartite" ? item.clustering : item.transitivity),
+        network.clustering,
+        item.approximate ? item.approximate.pivots : ""
+      ].map(csvCell).join(","));
+    }
+    lines.push("");
+    lines.push("Degree Distribution,Distribution,From,To,Count");
+    for (const distribution of DEGREE_DISTRIBUTIONS) {
+      for (const bin of distribution.pick(structure).bins) {
+        lines.push(["Degree Distribution", distribution.label, bin.from, bin.to, bin.count].map(csvCell).join(","));
+      }
+    }
+    if (structure.companies.isolated.length > 0) {
+      lines.push("");
+      lines.push("Isolated Boards,Company");
+      for (const name of structure.companies.isolated) lines.push(["Isolated Boards", name].map(csvCell).join(","));
+    }
+
+    if (attributeReport?.boardGender) {
+      const { values, boards } = attributeReport.boardGender;
+      lines.push("");
+      lines.push(["Board Gender", "Company", "Board size", ...values.flatMap(value => [value, `${value} share`]), "Not set"].map(csvCell).join(","));
+      for (const board of boards) {
+        lines.push([
+          "Board Gender",
+          board.company,
+          board.size,
+          ...values.flatMap(value => [board.counts[value], board.shares[value] === null ? "" : formatScore(board.shares[value])]),
+          board.unknown
+        ].map(csvCell).join(","));
+      }
+    }
+    if (attributeReport?.sectorInterlocks) {
+      const { sectors, matrix, bySector, crossSector, interlocks, crossSectorShare } = attributeReport.sectorInterlocks;
+      lines.push("");
+      lines.push(["Sector Interlocks", "Sector", ...sectors, "Interlocks", "Cross-sector", "Cross-sector share"].map(csvCell).join(","));
+      sectors.forEach((sector, i) => {
+        lines.push([
+          "Sector Interlocks",
+          sector,
+          ...matrix[i],
+          bySector[i].interlocks,
+          bySector[i].crossSector,
+          bySector[i].share === null ? "" : formatScore(bySector[i].share)
+        ].map(csvCell).join(","));
+      });
+      lines.push(["Sector Interlocks", "All sectors", ...sectors.map(() => ""), interlocks, crossSector, crossSectorShare === null ? "" : formatScore(crossSectorShare)].map(csvCell).join(","));
+    }
+    if (attributeReport?.assortativity.length) {
+      lines.push("");
+      lines.push("Assortativity,Attribute,Network,Coefficient,Ties");
+      for (const entry of attributeReport.assortativity) {
+        lines.push([
+          "Assortativity",
+          attributeLabel(entry.attribute),
+          entry.projection === "directors" ? "Director projection" : "Company projection",
+          entry.coefficient === null ? "" : formatScore(entry.coefficient),
+          entry.ties
+        ].map(csvCell).join(","));
+      }
+    }
+
+    const addTwoModeRows = (title, lists) => {
+      lines.push("");
+      lines.push(`${title},Measure,Name,Score,Projection Rank`);
+      for (const [label, key] of [["Degree", "degree"], ["Closeness", "closeness"], ["Betweenness", "betweenness"]]) {
+        for (const item of lists?.[key] || []) {
+          lines.push(`${title},${label},${csvCell(item.name)},${formatScore(item.score)},${item.projectionRank ?? ""}`);
+        }
+      }
+    };
+    addTwoModeRows("Director Centrality (two-mode)", centrality?.bipartite?.directors);
+    addTwoModeRows("Company Centrality (two-mode)", centrality?.bipartite?.companies);
 
     const cliqueGroups = cliques?.directorCliques || [];
     lines.push("");
     lines.push("Director Cliques,Size,Members");
     for (const clique of cliqueGroups) {
-      lines.push(`Clique,${clique.size},"${clique.members.join(" | ")}` + `"`);
+      lines.push(["Clique", clique.size, clique.members.join(" | ")].map(csvCell).join(","));
     }
 
     const connectorRows = cliques?.crossCliqueConnectors || [];
     lines.push("");
     lines.push("Cross-Clique Connectors,Name,Cliques Participated");
     for (const connector of connectorRows) {
-      lines.push(`Connector,${connector.name},${connector.count}`);
+      lines.push(["Connector", connector.name, connector.count].map(csvCell).join(","));
+    }
+
+    const brokerRoles = report.brokers.directors.brokerage || report.brokers.companies.brokerage ? BROKERAGE_ROLES : [];
+    lines.push("");
+    lines.push(["Brokers", "Network", "Name", "Contacts", "Effective size", "Efficiency", "Constraint", ...(brokerRoles.length ? ["Sector", ...brokerRoles.map(role => role.label), "Brokered pairs"] : [])].map(csvCell).join(","));
+    for (const [key, label] of [["directors", "Director projection"], ["companies", "Company projection"]]) {
+      for (const row of report.brokers[key].rows) {
+        lines.push([
+          "Broker",
+          label,
+          row.name,
+          row.contacts,
+          row.effectiveSize === null ? "" : formatScore(row.effectiveSize),
+          row.efficiency === null ? "" : formatScore(row.efficiency),
+          row.constraint === null ? "" : formatScore(row.constraint),
+          ...(brokerRoles.length
+            ? [row.group ?? "", ...brokerRoles.map(role => (row.roles ? row.roles[role.key] : "")), row.roles ? row.roles.total : ""]
+            : [])
+        ].map(csvCell).join(","));
+      }
+    }
+
+    if (subgroups.groups.length) {
+      const measure = SUBGROUP_MEASURES.find(entry => entry.key === subgroups.measure);
+      lines.push("");
+      lines.push("Cohesive Subgroups,Measure,Parameter,Group,Size,Members");
+      subgroups.groups.forEach((group, index) => {
+        lines.push(["Subgroup", measure?.label || subgroups.measure, subgroups.parameter, index + 1, group.size, group.members.join(" | ")].map(csvCell).join(","));
+      });
+      if (subgroups.truncated) lines.push(["Subgroup", "partial", `search stopped (${subgroups.truncated})`].map(csvCell).join(","));
+    }
+
+    if (snapshotDiff) {
+      lines.push("");
+      lines.push("Snapshot Diff,Change,Name,Details");
+      const pushDiff = (change, name, details = "") => {
+        lines.push(["Snapshot Diff", change, name, details].map(csvCell).join(","));
+      };
+      snapshotDiff.addedDirectors.forEach(name => pushDiff("New director", name));
+      snapshotDiff.removedDirectors.forEach(name => pushDiff("Departed director", name));
+      snapshotDiff.addedCompanies.forEach(name => pushDiff("New company", name));
+      snapshotDiff.removedCompanies.forEach(name => pushDiff("Removed company", name));
+      snapshotDiff.addedSeats.forEach(seat => pushDiff("New seat", `${seat.person} → ${seat.company}`));
+      snapshotDiff.removedSeats.forEach(seat => pushDiff("Departed seat", `${seat.person} → ${seat.company}`));
+      snapshotDiff.newOverlaps.forEach(o => pushDiff("New overlap", `${o.a} ↔ ${o.b}`, o.via.join(" | ")));
+      snapshotDiff.brokenOverlaps.forEach(o => pushDiff("Broken overlap", `${o.a} ↔ ${o.b}`, o.via.join(" | ")));
+      const pushRanks = (scope, changes) => changes.forEach(change => {
+        pushDiff(`Rank change (${scope} ${change.measure})`, change.name, `${change.before} → ${change.after}`);
+      });
+      pushRanks("director", snapshotDiff.rankChanges.directors);
+      pushRanks("company", snapshotDiff.rankChanges.companies);
     }
 
     download("interlocking-report.csv", lines.join("\n"));
@@ -1589,16 +3819,73 @@ export default function InterlockingDirectorsApp() {
   const defaultCentralization = { degree: 0, closeness: 0, betweenness: 0 };
   const directorCentralityData = {
     degree: report.centrality?.directors?.degree || [],
+    strength: report.centrality?.directors?.strength || [],
     closeness: report.centrality?.directors?.closeness || [],
     betweenness: report.centrality?.directors?.betweenness || [],
+    eigenvector: report.centrality?.directors?.eigenvector || [],
+    pagerank: report.centrality?.directors?.pagerank || [],
+    katz: report.centrality?.directors?.katz || [],
+    harmonic: report.centrality?.directors?.harmonic || [],
     centralization: report.centrality?.directors?.centralization || defaultCentralization
   };
   const companyCentralityData = {
     degree: report.centrality?.companies?.degree || [],
+    strength: report.centrality?.companies?.strength || [],
     closeness: report.centrality?.companies?.closeness || [],
     betweenness: report.centrality?.companies?.betweenness || [],
+    eigenvector: report.centrality?.companies?.eigenvector || [],
+    pagerank: report.centrality?.companies?.pagerank || [],
+    katz: report.centrality?.companies?.katz || [],
+    harmonic: report.centrality?.companies?.harmonic || [],
     centralization: report.centrality?.companies?.centralization || defaultCentralization
   };
+  const attributeReport = report.attributes || null;
+  const activeSubgroup = SUBGROUP_MEASURES.find(measure => measure.key === subgroupMeasure) || SUBGROUP_MEASURES[0];
+  const subgroupParameterMax = activeSubgroup.max ?? Math.max(activeSubgroup.min, subgroups.measure === "kcore" ? subgroups.maxParameter || 1 : 1);
+  const approximationNotes = [
+    ["director projection", report.approximation?.directors],
+    ["company projection", report.approximation?.companies],
+    ["two-mode graph", report.approximation?.bipartite]
+  ]
+    .filter(([, sample]) => sample)
+    .map(([label, sample]) => `${label} (${sample.sources.toLocaleString()} of ${sample.nodes.toLocaleString()} nodes as sources)`);
+  const bipartiteCentralityData = {
+    directors: report.centrality?.bipartite?.directors || {},
+    companies: report.centrality?.bipartite?.companies || {}
+  };
+  const rankingColumns = RANKING_COLUMNS.filter(column => !column.weightedOnly || report.weighting !== "none");
+  const rankingRows = useMemo(() => {
+    const source = report.rankings?.[rankingKind] || [];
+    const nameFilter = (rankingFilters.name || "").trim().toLowerCase();
+    const columnFilters = Object.entries(rankingFilters)
+      .filter(([key]) => key !== "name")
+      .map(([key, text]) => [key, parseRankingFilter(text)])
+      .filter(([, test]) => test);
+    const filtered = source.filter(row => {
+      if (nameFilter && !row.name.toLowerCase().includes(nameFilter)) return false;
+      return columnFilters.every(([key, test]) => typeof row[key] === "number" && test(row[key]));
+    });
+    const { key, direction } = rankingSort;
+    const sign = direction === "asc" ? 1 : -1;
+    return filtered.slice().sort((a, b) => {
+      if (key === "name") return sign * a.name.localeCompare(b.name);
+      const delta = (a[key] ?? -Infinity) - (b[key] ?? -Infinity);
+      return delta !== 0 ? sign * delta : a.name.localeCompare(b.name);
+    });
+  }, [report, rankingKind, rankingFilters, rankingSort]);
+  const rankingPageCount = Math.max(1, Math.ceil(rankingRows.length / RANKING_PAGE_SIZE));
+  const activeRankingPage = Math.min(rankingPage, rankingPageCount - 1);
+  const rankingPageRows = rankingRows.slice(activeRankingPage * RANKING_PAGE_SIZE, (activeRankingPage + 1) * RANKING_PAGE_SIZE);
+  const toggleRankingSort = (key) => {
+    setRankingSort(prev => (prev.key === key
+      ? { key, direction: prev.direction === "asc" ? "desc" : "asc" }
+      : { key, direction: key === "name" ? "asc" : "desc" }));
+    setRankingPage(0);
+  };
+  const updateRankingFilter = (key, value) => {
+    setRankingFilters(prev => ({ ...prev, [key]: value }));
+    setRankingPage(0);
+  };
   const allDirectorCliques = useMemo(() => {
     const raw = report.cliques?.allCliques;
     if (raw && raw.length > 0) {
@@ -1612,10 +3899,13 @@ export default function InterlockingDirectorsApp() {
   }, [allDirectorCliques]);
   const sliderMaxCliqueSize = Math.max(2, maxDirectorCliqueSize);
   useEffect(() => {
+    if (!analysisReady) return;
     const defaultThreshold = Math.max(2, report.cliques?.threshold || 3);
-    const next = Math.min(defaultThreshold, sliderMaxCliqueSize);
+    const pending = pendingCliqueSizeRef.current;
+    pendingCliqueSizeRef.current = null;
+    const next = Math.min(pending ?? defaultThreshold, sliderMaxCliqueSize);
     setCliqueSizeFilter(prev => (prev !== next ? next : prev));
-  }, [report, sliderMaxCliqueSize]);
+  }, [report, sliderMaxCliqueSize, analysisReady]);
   const activeCliqueThreshold = Math.min(Math.max(2, cliqueSizeFilter || 2), sliderMaxCliqueSize);
   const filteredDirectorCliques = useMemo(
     () => allDirectorCliques.filter(clique => clique.size >= activeCliqueThreshold),
@@ -1648,6 +3938,22 @@ export default function InterlockingDirectorsApp() {
       { fill: "rgba(165,180,252,0.12)", stroke: "rgba(99,102,241,0.5)" },
       { fill: "rgba(251,191,36,0.12)", stroke: "rgba(217,119,6,0.5)" }
     ];
+    if (SUBGROUP_MEASURES.some(measure => measure.key === haloMode)) {
+      if (subgroups.measure !== haloMode) return [];
+      return subgroups.groups.map((group, index) => ({
+        key: `${haloMode}-${index}`,
+        nodeIds: group.members.map(name => `P:${name}`),
+        fill: palette[index % palette.length].fill,
+        stroke: palette[index % palette.length].stroke
+      }));
+    }
+    if (haloMode in COMMUNITY_HALO_MODES) {
+      return communityHaloGroups(report.communities, haloMode).map((group, index) => ({
+        ...group,
+        fill: palette[index % palette.length].fill,
+        stroke: palette[index % palette.length].stroke
+      }));
+    }
     const groups = haloMode === "company" ? companyHaloGroups : filteredDirectorCliques;
     return groups
       .map((group, index) => {
@@ -1661,7 +3967,7 @@ export default function InterlockingDirectorsApp() {
         };
       })
       .filter(group => group.nodeIds.length >= 2);
-  }, [companyHaloGroups, filteredDirectorCliques, haloMode]);
+  }, [companyHaloGroups, filteredDirectorCliques, haloMode, report, subgroups]);
 
   const updateSelectionOverlayPosition = useCallback(() => {
     const net = networkRef.current;
@@ -1839,6 +4145,113 @@ export default function InterlockingDirectorsApp() {
     };
   }, [haloVisuals]);
 
+  // Distance rings behind the ego network, labelled at the top of each circle
+  useEffect(() => {
+    const net = networkRef.current;
+    const rings = displayGraph.rings || [];
+    if (!net || rings.length === 0) return;
+
+    const drawRings = (ctx) => {
+      if (!ctx) return;
+      const scale = typeof net.getScale === "function" ? net.getScale() || 1 : 1;
+      ctx.save();
+      ctx.lineWidth = 1 / scale;
+      ctx.setLineDash([6 / scale, 6 / scale]);
+      ctx.font = `${12 / scale}px Inter, system-ui, sans-serif`;
+      ctx.textAlign = "center";
+      ctx.textBaseline = "bottom";
+      rings.forEach(ring => {
+        ctx.beginPath();
+        ctx.arc(0, 0, ring.radius, 0, 2 * Math.PI);
+        ctx.strokeStyle = ring.step % 2 === 0 ? "rgba(37,99,235,0.35)" : "rgba(100,116,139,0.25)";
+        ctx.stroke();
+        ctx.fillStyle = ring.step % 2 === 0 ? "#1d4ed8" : "#64748b";
+        ctx.fillText(ring.label, 0, -ring.radius - 6 / scale);
+      });
+      ctx.restore();
+    };
+
+    net.on('beforeDrawing', drawRings);
+    net.redraw();
+    return () => {
+      net.off('beforeDrawing', drawRings);
+    };
+  }, [displayGraph]);
+
+  // z-score and p-value from the null model beside a summary figure
+  const renderNullBadge = (summaryKey) => {
+    const statistic = nullBySummary[summaryKey];
+    if (!statistic || nullModel.status?.state === "running") return null;
+    return (
+      <span
+        className={`ml-2 text-xs ${statistic.p !== null && statistic.p < 0.05 ? "font-medium text-violet-700" : "text-slate-400"}`}
+        title={`Random graphs: ${statistic.mean.toFixed(2)} ± ${statistic.sd.toFixed(2)} over ${nullModel.simulations} simulations`}
+      >
+        z {statistic.z === null ? "–" : statistic.z.toFixed(1)} · p {formatPValue(statistic.p)}
+      </span>
+    );
+  };
+
+  // rows: [{ label, cells: [{ value, text, title }] }]
+  const renderHeatmap = (keyPrefix, columns, rows, max, diverging = false) => (
+    <div className="overflow-auto max-h-72">
+      <table className="text-[11px] border-separate" style={{ borderSpacing: 2 }}>
+        <thead>
+          <tr>
+            <th></th>
+            {columns.map(column => (
+              <th key={`${keyPrefix}-head-${column}`} className="px-1 font-medium text-slate-500 text-left whitespace-nowrap">{column}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(row => (
+            <tr key={`${keyPrefix}-${row.label}`}>
+              <th className="pr-2 text-left font-normal text-slate-600 whitespace-nowrap">{row.label}</th>
+              {row.cells.map((cell, index) => (
+                <td
+                  key={`${keyPrefix}-${row.label}-${index}`}
+                  className="min-w-[2.5rem] rounded px-1 py-0.5 text-center font-mono"
+                  style={heatmapCellStyle(cell.value, max, diverging)}
+                  title={cell.title}
+                >
+                  {cell.text}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+
+  const renderHistogram = (distribution) => {
+    const histogram = distribution.pick(report.structure);
+    const peak = histogram.bins.reduce((max, bin) => Math.max(max, bin.count), 0);
+    return (
+      <div key={distribution.key}>
+        <div className="flex justify-between gap-2 text-xs">
+          <span className="font-medium text-slate-600">{distribution.label}</span>
+          <span className="text-slate-400">mean {histogram.mean.toFixed(2)}</span>
+        </div>
+        <div className="mt-1 flex h-16 items-end gap-px">
+          {histogram.bins.map(bin => (
+            <div
+              key={`${distribution.key}-${bin.from}`}
+              className={`flex-1 rounded-t ${distribution.bar}`}
+              style={{ height: `${peak ? Math.max(2, (bin.count / peak) * 100) : 0}%` }}
+              title={`${degreeBinLabel(bin)}: ${bin.count}`}
+            />
+          ))}
+        </div>
+        <div className="flex justify-between text-[10px] text-slate-400">
+          <span>{histogram.bins[0] ? degreeBinLabel(histogram.bins[0]) : ""}</span>
+          <span>{histogram.bins.length > 1 ? degreeBinLabel(histogram.bins[histogram.bins.length - 1]) : ""}</span>
+        </div>
+      </div>
+    );
+  };
+
   const renderCentralityItems = (items, keyPrefix, includeConnections = false) => {
     if (!items || items.length === 0) {
       return [<li key={`${keyPrefix}-empty`} className="text-slate-500">No data</li>];
@@ -1854,6 +4267,25 @@ export default function InterlockingDirectorsApp() {
     ));
   };
 
+  const seatRolesInUse = useMemo(() => {
+    const used = new Set(baseGraph.edges.map(edge => edge.seat?.role).filter(Boolean));
+    return Object.keys(SEAT_ROLES).filter(key => used.has(key));
+  }, [baseGraph]);
+
+  const selectedSeats = useMemo(() => {
+    if (!selectedNode) return [];
+    const seats = selectedNode.type === "person"
+      ? baseGraph.personSeats.get(selectedNode.label)
+      : baseGraph.companySeats.get(selectedNode.label);
+    return seats || [];
+  }, [baseGraph, selectedNode]);
+  const selectedSeatsWithDetail = selectedSeats.filter(seat => seat.role || seat.start || seat.end || seat.committees.length);
+
+  const selectedHopCounts = useMemo(() => {
+    if (!selectedNode || !baseGraph.nodes.some(node => node.id === selectedNode.id)) return [];
+    return egoHopCounts(baseGraph, selectedNode.id, Math.max(egoDepth, 1));
+  }, [baseGraph, selectedNode, egoDepth]);
+
   const focusButtonLabel = selectedNode?.type === "company"
     ? "Center company cluster"
     : selectedNode?.type === "person"
@@ -1871,13 +4303,97 @@ export default function InterlockingDirectorsApp() {
   };
 
 
+  // Same as double-clicking the node: switch to its centric view and focus it
+  const focusRankedNode = (kind, name) => {
+    const type = kind === "directors" ? "person" : "company";
+    const selection = { id: `${type === "person" ? "P" : "C"}:${name}`, label: name, type };
+    setSelectedNode(selection);
+    setViewMode(type === "person" ? "director" : "company");
+    setFocusNode(selection);
+  };
+
   const clearFocus = () => {
     if (viewMode === "bipartite") {
       setFocusNode(null);
     }
   };
 
-  const resetSample = () => setRaw(SAMPLE);
+  const acceptMerge = (suggestion) => {
+    const canonical = canonicalChoices[suggestion.key] || suggestion.canonical;
+    const field = suggestion.kind === "person" ? "people" : "companies";
+    setAliasTable(prev => {
+      const next = { ...prev[field] };
+      // Re-point earlier aliases so chains always resolve in one step
+      Object.entries(next).forEach(([variant, target]) => {
+        if (suggestion.variants.includes(target)) next[variant] = canonical;
+      });
+      suggestion.variants.forEach(variant => {
+        if (variant !== canonical) next[variant] = canonical;
+      });
+      delete next[canonical];
+      return { ...prev, [field]: next };
+    });
+    appendDebug("aliases:accept", { kind: suggestion.kind, canonical, variants: suggestion.variants });
+  };
+
+  const rejectMerge = (suggestion) => {
+    setAliasTable(prev => ({ ...prev, rejected: unique([...prev.rejected, suggestion.key]) }));
+    appendDebug("aliases:reject", { key: suggestion.key });
+  };
+
+  const removeAliasGroup = (group) => {
+    const field = group.kind === "person" ? "people" : "companies";
+    setAliasTable(prev => {
+      const next = { ...prev[field] };
+      group.variants.forEach(variant => delete next[variant]);
+      return { ...prev, [field]: next };
+    });
+  };
+
+  const resetSample = () => {
+    setRaw(SAMPLE);
+    setColumnOverrides({});
+    setImportStatus(null);
+  };
+
+  const importDataFile = (text, filename) => {
+    try {
+      const imported = importNetworkFile(text, filename);
+      setColumnOverrides({});
+      if (!imported) {
+        setRaw(text);
+        setImportStatus(null);
+        return;
+      }
+      setRaw(imported.csv);
+      const formatLabel = { graphml: "GraphML", gexf: "GEXF", json: "node-link JSON", pajek: "Pajek" }[imported.format];
+      setImportStatus({
+        error: false,
+        message: [`Imported ${imported.rows.length} seats from ${formatLabel}.`, ...imported.notes].join(" ")
+      });
+      appendDebug("import:network", { format: imported.format, seats: imported.rows.length });
+    } catch (err) {
+      console.error(err);
+      setImportStatus({ error: true, message: `Could not import ${filename}: ${err.message || err}` });
+    }
+  };
+
+  const csvColumnLabels = useMemo(() => {
+    const { table, mapping } = parsedCSV;
+    const header = mapping.hasHeader ? table.records[0] || [] : [];
+    return Array.from({ length: table.columnCount }, (_, index) => {
+      const name = (header[index] || "").trim();
+      return name ? `${index + 1}: ${name}` : `Column ${index + 1}`;
+    });
+  }, [parsedCSV]);
+
+  const updateColumnOverride = (patch) => {
+    setColumnOverrides(prev => ({
+      ...prev,
+      ...patch,
+      columns: patch.columns ? { ...(prev.columns || {}), ...patch.columns } : prev.columns
+    }));
+  };
 
   return (
     <div className="min-h-screen bg-slate-50 text-slate-900">
@@ -1904,6 +4420,12 @@ export default function InterlockingDirectorsApp() {
                 <span className="ml-1 rounded-full bg-rose-500 px-1.5 text-[10px] font-semibold text-white">error</span>
               ) : null}
             </button>
+            <button onClick={copyWorkspaceLink} className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white border border-slate-200 hover:bg-slate-50">
+              <Link className="h-4 w-4"/> Copy link
+            </button>
+            <button onClick={saveProject} className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-white border border-slate-200 hover:bg-slate-50">
+              <FileJson className="h-4 w-4"/> Save project
+            </button>
             <button onClick={exportPNG} className="inline-flex items-center gap-2 rounded-2xl px-3 py-2 bg-slate-900 text-white hover:opacity-90 shadow">
               <Download className="h-4 w-4"/> Export PNG
             </button>
@@ -1968,10 +4490,107 @@ export default function InterlockingDirectorsApp() {
             </div>
           )}
 
+          <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+            <div className="flex items-center justify-between gap-2">
+              <div className="text-sm font-semibold">Workspace</div>
+              <span className="text-[11px] text-slate-400">Autosaved in this browser</span>
+            </div>
+            <div className="flex items-center gap-2">
+              <input
+                type="text"
+                placeholder="Workspace name…"
+                className="flex-1 rounded-xl border p-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                value={workspaceName}
+                onChange={(e) => setWorkspaceName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") saveNamedWorkspace();
+                }}
+              />
+              <button
+                type="button"
+                onClick={saveNamedWorkspace}
+                disabled={!workspaceName.trim()}
+                className="inline-flex items-center gap-2 rounded-xl px-3 py-2 bg-white border text-sm hover:bg-slate-50 disabled:opacity-50"
+              >
+                <Save className="h-4 w-4"/> Save
+              </button>
+            </div>
+            {Object.keys(savedWorkspaces).length > 0 && (
+              <ul className="text-xs space-y-1 max-h-40 overflow-auto pr-1">
+                {Object.entries(savedWorkspaces)
+                  .sort((a, b) => a[0].localeCompare(b[0]))
+                  .map(([name, entry]) => (
+                    <li key={name} className="flex items-center justify-between gap-2">
+                      <button
+                        type="button"
+                        onClick={() => loadNamedWorkspace(name)}
+                        className="truncate text-left text-blue-600 hover:underline"
+                        title={entry.savedAt ? `Saved ${entry.savedAt}` : undefined}
+                      >
+                        {name}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => deleteNamedWorkspace(name)}
+                        className="shrink-0 text-slate-400 hover:text-rose-600"
+                      >
+                        Delete
+                      </button>
+                    </li>
+                  ))}
+              </ul>
+            )}
+            <div className="flex flex-wrap items-center gap-2">
+              <label className="inline-flex items-center gap-2 rounded-xl px-3 py-2 bg-white border text-sm hover:bg-slate-50 cursor-pointer">
+                <FolderOpen className="h-4 w-4"/> Open project
+                <input
+                  type="file"
+                  accept={`${PROJECT_EXTENSION},application/json`}
+                  className="hidden"
+                  onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    if (!file) return;
+                    const reader = new FileReader();
+                    reader.onload = () => openProject(String(reader.result || ""));
+                    reader.readAsText(file);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+              {Object.keys(nodePositions[layoutKey] || {}).length > 0 && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setNodePositions(prev => {
+                      const next = { ...prev };
+                      delete next[layoutKey];
+                      return next;
+                    });
+                    setLayoutRevision(prev => prev + 1);
+                  }}
+                  className="text-xs text-blue-600 hover:underline"
+                >
+                  Reset {Object.keys(nodePositions[layoutKey]).length} dragged {Object.keys(nodePositions[layoutKey]).length === 1 ? "node" : "nodes"}
+                </button>
+              )}
+            </div>
+            {workspaceStatus && <p className="text-xs text-slate-500">{workspaceStatus}</p>}
+            <div className="border-t border-slate-100 pt-3">
+              <label htmlFor="analyst-notes" className="text-sm font-semibold">Analyst notes</label>
+              <textarea
+                id="analyst-notes"
+                className="mt-2 w-full h-24 text-sm p-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+                placeholder="Observations, sources, follow-ups…"
+                value={notes}
+                onChange={e => setNotes(e.target.value)}
+              />
+            </div>
+          </div>
+
           <div className="bg-white rounded-2xl shadow p-4 space-y-3">
             <div className="flex items-center gap-2 text-slate-700">
               <Info className="h-4 w-4"/>
-              <p className="text-sm">Paste CSV as <span className="font-mono">Director,Company</span>. Lines starting with <span className="font-mono">#</span> are ignored.</p>
+              <p className="text-sm">Paste CSV as <span className="font-mono">Director,Company</span>. Quoted fields, header rows and <span className="font-mono">;</span> or tab delimiters are supported. Lines starting with <span className="font-mono">#</span> are ignored.</p>
             </div>
             <textarea
               className="w-full h-56 font-mono text-sm p-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
@@ -1983,20 +4602,339 @@ export default function InterlockingDirectorsApp() {
                 <RefreshCw className="h-4 w-4"/> Reset sample
               </button>
               <label className="inline-flex items-center gap-2 rounded-xl px-3 py-2 bg-white border hover:bg-slate-50 cursor-pointer">
-                <Upload className="h-4 w-4"/> Import .csv
+                <Upload className="h-4 w-4"/> Import file
+                <input
+                  type="file"
+                  accept={IMPORT_ACCEPT}
+                  className="hidden"
+                  onChange={(e) => {
+                    const file = e.target.files?.[0];
+                    if (!file) return;
+                    const reader = new FileReader();
+                    reader.onload = () => importDataFile(String(reader.result || ""), file.name);
+                    reader.readAsText(file);
+                    e.target.value = "";
+                  }}
+                />
+              </label>
+            </div>
+            <p className="text-[11px] text-slate-400 leading-snug">
+              Also imports GraphML, GEXF, node-link JSON and Pajek .net files; they are converted to the CSV edge list above.
+            </p>
+            {importStatus && (
+              <p className={`text-xs leading-snug ${importStatus.error ? "text-rose-600" : "text-slate-500"}`}>{importStatus.message}</p>
+            )}
+            {parsedCSV.table.columnCount > 0 && (
+              <div className="border-t border-slate-100 pt-3 space-y-2">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="text-sm font-semibold">Column mapping</div>
+                  <span className="text-xs text-slate-500">{rows.length} {rows.length === 1 ? "seat" : "seats"} parsed</span>
+                </div>
+                <div className="grid grid-cols-2 gap-2 text-xs">
+                  <label className="flex flex-col gap-1 text-slate-600">
+                    Delimiter
+                    <select
+                      value={columnOverrides.delimiter || "auto"}
+                      onChange={(event) => updateColumnOverride({ delimiter: event.target.value })}
+                      className="rounded-lg border border-slate-200 bg-white p-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="auto">
+                        Auto ({(CSV_DELIMITERS.find(d => d.key === parsedCSV.table.delimiter) || CSV_DELIMITERS[0]).label.toLowerCase()})
+                      </option>
+                      {CSV_DELIMITERS.map(d => (
+                        <option key={d.label} value={d.key}>{d.label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="flex items-end gap-2 pb-1.5 text-slate-600">
+                    <input
+                      type="checkbox"
+                      checked={parsedCSV.mapping.hasHeader}
+                      onChange={(event) => updateColumnOverride({ hasHeader: event.target.checked })}
+                    />
+                    First row is a header
+                  </label>
+                  {CSV_FIELDS.map(field => (
+                    <label key={field.key} className="flex flex-col gap-1 text-slate-600">
+                      {field.label} column
+                      <select
+                        value={parsedCSV.mapping.columns[field.key] ?? -1}
+                        onChange={(event) => updateColumnOverride({ columns: { [field.key]: Number(event.target.value) } })}
+                        className="rounded-lg border border-slate-200 bg-white p-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        {!field.required && <option value={-1}>(none)</option>}
+                        {csvColumnLabels.map((label, index) => (
+                          <option key={label} value={index}>{label}</option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                  {(typeof parsedCSV.mapping.columns.start === "number" || typeof parsedCSV.mapping.columns.end === "number") && (
+                    <label className="flex flex-col gap-1 text-slate-600">
+                      Date order
+                      <select
+                        value={columnOverrides.dateOrder || "auto"}
+                        onChange={(event) => updateColumnOverride({ dateOrder: event.target.value })}
+                        className="rounded-lg border border-slate-200 bg-white p-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      >
+                        <option value="auto">
+                          Auto ({DATE_ORDERS.find(option => option.key === parsedCSV.mapping.dateOrder).label.toLowerCase()})
+                        </option>
+                        {DATE_ORDERS.map(option => (
+                          <option key={option.key} value={option.key}>{option.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                  )}
+                </div>
+                {parsedCSV.unreadableDates.length > 0 && (
+                  <p className="rounded-lg border border-amber-200 bg-amber-50 p-2 text-xs text-amber-800 leading-snug">
+                    {parsedCSV.unreadableDates.length} {parsedCSV.unreadableDates.length === 1 ? "date value" : "date values"} could not be read, so those seats are left open on that side:{" "}
+                    {parsedCSV.unreadableDates.slice(0, 8).join(", ")}{parsedCSV.unreadableDates.length > 8 ? "…" : ""}. Use YYYY-MM-DD, D/M/YYYY or M/D/YYYY (see Date order).
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+
+          {(mergeSuggestions.length > 0 || aliasGroups.length > 0 || aliasTable.rejected.length > 0 || linkAliasCount > 0) && (
+            <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+              <div className="text-sm font-semibold">Name resolution</div>
+              <p className="text-xs text-slate-500 leading-snug">
+                Spelling, ordering and legal-suffix variants split one director or company into several nodes. Accepted merges are saved in this browser and applied before analysis.
+              </p>
+              {linkAliasCount > 0 && (
+                <div className="rounded-xl border border-blue-200 bg-blue-50 p-2 text-xs text-blue-900 space-y-1">
+                  <div>
+                    {linkAliasCount} {linkAliasCount === 1 ? "alias" : "aliases"} from the shared link apply to this session only; your saved alias table is unchanged.
+                  </div>
+                  <div className="flex gap-3">
+                    <button
+                      type="button"
+                      onClick={() => {
+                        setAliasTable(prev => ({
+                          ...prev,
+                          people: { ...prev.people, ...linkAliases.people },
+                          companies: { ...prev.companies, ...linkAliases.companies }
+                        }));
+                        setLinkAliases(null);
+                      }}
+                      className="text-blue-700 hover:underline"
+                    >
+                      Save to this browser
+                    </button>
+                    <button type="button" onClick={() => setLinkAliases(null)} className="text-blue-700 hover:underline">
+                      Drop them
+                    </button>
+                  </div>
+                </div>
+              )}
+              {mergeSuggestions.length > 0 && (
+                <ul className="space-y-2 max-h-72 overflow-auto pr-1">
+                  {mergeSuggestions.map(suggestion => (
+                    <li key={suggestion.key} className="rounded-xl border border-slate-200 bg-slate-50 p-3 space-y-2 text-xs">
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="font-medium text-slate-700">
+                          {suggestion.kind === "person" ? "Director" : "Company"} · {suggestion.variants.length} variants
+                        </span>
+                        <span className="text-slate-500">{Math.round(suggestion.score * 100)}% match</span>
+                      </div>
+                      <div className="text-slate-600">{suggestion.variants.join(" • ")}</div>
+                      <div className="text-[11px] text-slate-500">{suggestion.reasons.join("; ")}</div>
+                      <div className="flex items-center gap-2">
+                        <select
+                          value={canonicalChoices[suggestion.key] || suggestion.canonical}
+                          onChange={(event) => setCanonicalChoices(prev => ({ ...prev, [suggestion.key]: event.target.value }))}
+                          className="flex-1 rounded-lg border border-slate-200 bg-white p-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                          aria-label="Canonical name"
+                        >
+                          {suggestion.variants.map(variant => (
+                            <option key={variant} value={variant}>{variant}</option>
+                          ))}
+                        </select>
+                        <button
+                          type="button"
+                          onClick={() => acceptMerge(suggestion)}
+                          className="rounded-lg bg-slate-900 px-3 py-1.5 text-xs font-medium text-white shadow hover:opacity-90"
+                        >
+                          Merge
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => rejectMerge(suggestion)}
+                          className="rounded-lg border border-slate-200 bg-white px-3 py-1.5 text-xs text-slate-600 hover:bg-slate-50"
+                        >
+                          Keep apart
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {aliasGroups.length > 0 && (
+                <div>
+                  <div className="text-xs font-semibold text-slate-600 mb-1">Alias table</div>
+                  <ul className="text-xs space-y-1 max-h-40 overflow-auto pr-1">
+                    {aliasGroups.map(group => (
+                      <li key={`${group.kind}-${group.canonical}`} className="flex items-start justify-between gap-2">
+                        <span>
+                          <span className="font-medium text-slate-700">{group.canonical}</span>
+                          <span className="text-slate-500"> ← {group.variants.join(" • ")}</span>
+                        </span>
+                        <button
+                          type="button"
+                          onClick={() => removeAliasGroup(group)}
+                          className="shrink-0 text-blue-600 hover:underline"
+                        >
+                          Undo
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {aliasTable.rejected.length > 0 && (
+                <button
+                  type="button"
+                  onClick={() => setAliasTable(prev => ({ ...prev, rejected: [] }))}
+                  className="text-xs text-blue-600 hover:underline"
+                >
+                  Show {aliasTable.rejected.length} dismissed {aliasTable.rejected.length === 1 ? "suggestion" : "suggestions"} again
+                </button>
+              )}
+            </div>
+          )}
+
+          <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+            <div className="flex items-center justify-between gap-2">
+              <div className="text-sm font-semibold">Compare with previous register</div>
+              {compareRaw && (
+                <button
+                  type="button"
+                  onClick={() => setCompareRaw("")}
+                  className="text-xs text-blue-600 hover:underline"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+            <p className="text-xs text-slate-500 leading-snug">
+              Paste or import an earlier filing in the same CSV layout (it reuses the delimiter and column choices above) to list new and departed directors, changed company overlaps and centrality rank moves.
+            </p>
+            <textarea
+              className="w-full h-28 font-mono text-sm p-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder="Director,Company (previous snapshot)"
+              value={compareRaw}
+              onChange={e => setCompareRaw(e.target.value)}
+            />
+            <div className="flex flex-wrap items-center gap-3">
+              <label className="inline-flex items-center gap-2 rounded-xl px-3 py-2 bg-white border hover:bg-slate-50 cursor-pointer text-sm">
+                <Upload className="h-4 w-4"/> Import previous .csv
                 <input
                   type="file"
-                  accept=".csv,text/csv,text/plain"
+                  accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain"
                   className="hidden"
                   onChange={(e) => {
                     const file = e.target.files?.[0];
                     if (!file) return;
                     const reader = new FileReader();
-                    reader.onload = () => setRaw(String(reader.result || ""));
+                    reader.onload = () => setCompareRaw(String(reader.result || ""));
                     reader.readAsText(file);
+                    e.target.value = "";
                   }}
                 />
               </label>
+              {snapshotDiff && (
+                <label className="flex items-center gap-2 text-xs text-slate-600">
+                  <input
+                    type="checkbox"
+                    checked={diffHighlight}
+                    onChange={(event) => setDiffHighlight(event.target.checked)}
+                  />
+                  Highlight changes on canvas
+                </label>
+              )}
+            </div>
+          </div>
+
+          <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+            <div className="flex items-center justify-between gap-2">
+              <div className="text-sm font-semibold">Node attributes</div>
+              {nodesRaw && (
+                <button
+                  type="button"
+                  onClick={() => setNodesRaw("")}
+                  className="text-xs text-blue-600 hover:underline"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+            <p className="text-xs text-slate-500 leading-snug">
+              Optional table with one row per director or company: a Name column, an optional Type column (director/company) and any of {NODE_ATTRIBUTE_FIELDS.map(field => field.label.toLowerCase()).join(", ")}.
+            </p>
+            <textarea
+              className="w-full h-24 font-mono text-sm p-3 border rounded-xl focus:outline-none focus:ring-2 focus:ring-blue-500"
+              placeholder={"Name,Type,Sector,Market cap,Listed,Country,Gender,Independence"}
+              value={nodesRaw}
+              onChange={e => setNodesRaw(e.target.value)}
+            />
+            <label className="inline-flex items-center gap-2 rounded-xl px-3 py-2 bg-white border hover:bg-slate-50 cursor-pointer text-sm">
+              <Upload className="h-4 w-4"/> Import node table
+              <input
+                type="file"
+                accept=".csv,.tsv,.txt,text/csv,text/tab-separated-values,text/plain"
+                className="hidden"
+                onChange={(e) => {
+                  const file = e.target.files?.[0];
+                  if (!file) return;
+                  const reader = new FileReader();
+                  reader.onload = () => setNodesRaw(String(reader.result || ""));
+                  reader.readAsText(file);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+            {nodesRaw.trim() && !nodeTable.hasHeader ? (
+              <p className="text-xs text-rose-700">Add a header row with a Name column so rows can be matched to nodes.</p>
+            ) : nodeTable.entries.length > 0 && (
+              <>
+                <p className="text-xs text-slate-600">
+                  {Object.keys(nodeAttributes.people).length} directors and {Object.keys(nodeAttributes.companies).length} companies matched
+                  {nodeTable.fields.length > 0
+                    ? ` · ${nodeTable.fields.map(key => NODE_ATTRIBUTE_FIELDS.find(field => field.key === key).label).join(", ")}`
+                    : " · no known attribute columns"}
+                </p>
+                {nodeAttributes.unmatched.length > 0 && (
+                  <p className="text-[11px] text-amber-700">
+                    Not in the register: {nodeAttributes.unmatched.slice(0, 5).join(", ")}
+                    {nodeAttributes.unmatched.length > 5 ? ` and ${nodeAttributes.unmatched.length - 5} more` : ""}
+                  </p>
+                )}
+              </>
+            )}
+            <div className="grid grid-cols-3 gap-2 text-xs">
+              {[
+                ["color", "Colour by", () => true, []],
+                ["size", "Size by", field => field.kind === "number", brokerSizeFields],
+                ["shape", "Shape by", field => field.kind === "category", []]
+              ].map(([channel, label, accepts, extra]) => {
+                const options = [...NODE_ATTRIBUTE_FIELDS.filter(field => nodeTable.fields.includes(field.key) && accepts(field)), ...extra];
+                if (options.length === 0) return null;
+                return (
+                  <label key={channel} className="flex flex-col gap-1 text-slate-600">
+                    {label}
+                    <select
+                      value={attributeMapping[channel] || ""}
+                      onChange={(event) => setAttributeMapping(prev => ({ ...prev, [channel]: event.target.value }))}
+                      className="rounded-lg border border-slate-200 bg-white p-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    >
+                      <option value="">Node type</option>
+                      {options.map(field => <option key={field.key} value={field.key}>{field.label}</option>)}
+                    </select>
+                  </label>
+                );
+              })}
             </div>
           </div>
 
@@ -2054,33 +4992,226 @@ export default function InterlockingDirectorsApp() {
                 })}
               </div>
               <p className="text-xs text-slate-500 mt-2 leading-snug">{modeDescriptions[viewMode]}</p>
+              <label className="mt-3 flex items-center justify-between gap-2 text-xs text-slate-600">
+                <span className="font-medium">Ego network</span>
+                <select
+                  value={egoDepth}
+                  onChange={(event) => setEgoDepth(Number(event.target.value))}
+                  className="rounded-lg border border-slate-200 bg-white p-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {EGO_DEPTHS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+              <p className="text-xs text-slate-500 mt-1 leading-snug">
+                {egoDepth > 0
+                  ? `A focused ${viewMode === "company" ? "company" : "director"} is drawn at the centre of concentric rings, alternating the ${viewMode === "company" ? "directors" : "boards"} that link each hop with the ${viewMode === "company" ? "companies" : "directors"} reached up to ${egoDepth} ${egoDepth === 1 ? "hop" : "hops"} away.`
+                  : "Focused nodes are highlighted inside the full cluster layout. Pick a depth to draw their multi-hop ego network on concentric rings."}
+              </p>
             </div>
 
+            {timelineRange && (
+              <div className="border-t border-slate-100 pt-3 space-y-2">
+                <div className="flex items-center justify-between gap-2">
+                  <div className="text-sm font-semibold">Timeline</div>
+                  <label className="flex items-center gap-2 text-xs text-slate-600">
+                    <input
+                      type="checkbox"
+                      checked={timelineYear !== null}
+                      onChange={(event) => {
+                        setTimelinePlaying(false);
+                        setTimelineYear(event.target.checked ? timelineRange.max : null);
+                      }}
+                    />
+                    Replay by date
+                  </label>
+                </div>
+                {timelineYear !== null ? (
+                  <>
+                    <div className="flex items-center gap-2">
+                      <button
+                        type="button"
+                        onClick={() => {
+                          if (timelinePlaying) {
+                            setTimelinePlaying(false);
+                            return;
+                          }
+                          if (timelineYear >= timelineRange.max) setTimelineYear(timelineRange.min);
+                          setTimelinePlaying(true);
+                        }}
+                        className="inline-flex items-center justify-center rounded-lg border border-slate-200 bg-white p-1.5 text-slate-700 hover:bg-slate-50"
+                        aria-label={timelinePlaying ? "Pause timeline" : "Play timeline"}
+                      >
+                        {timelinePlaying ? <Pause className="h-4 w-4"/> : <Play className="h-4 w-4"/>}
+                      </button>
+                      <input
+                        type="range"
+                        min={timelineRange.min}
+                        max={timelineRange.max}
+                        step={1}
+                        value={Math.min(Math.max(timelineYear, timelineRange.min), timelineRange.max)}
+                        onChange={(event) => {
+                          setTimelinePlaying(false);
+                          setTimelineYear(Number(event.target.value));
+                        }}
+                        className="flex-1"
+                      />
+                      <span className="w-10 text-right font-mono text-xs text-slate-700">{asOfDate?.slice(0, 4)}</span>
+                    </div>
+                    <p className="text-xs text-slate-500 leading-snug">
+                      Showing {activeRows.length} of {rows.length} seats held as of {asOfDate}. Graph, report and halos reflect this date.
+                    </p>
+                  </>
+                ) : (
+                  <p className="text-xs text-slate-500 leading-snug">
+                    Seats carry dates from {timelineRange.min} to {timelineRange.max}. Enable replay to rebuild the network as of any year and animate how overlaps formed and dissolved.
+                  </p>
+                )}
+              </div>
+            )}
+
             <div className="border-t border-slate-100 pt-3">
               <div className="text-sm font-semibold mb-2">Halo grouping</div>
               <select
                 id="halo-mode"
                 value={haloMode}
-                onChange={(event) => setHaloMode(event.target.value)}
+                onChange={(event) => {
+                  const mode = event.target.value;
+                  setHaloMode(mode);
+                  if (SUBGROUP_MEASURES.some(measure => measure.key === mode)) setSubgroupMeasure(mode);
+                }}
                 className="w-full rounded-xl border border-slate-200 bg-white p-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
               >
                 <option value="clique">Director cliques</option>
                 <option value="company">Company boards</option>
+                {SUBGROUP_MEASURES.map(measure => (
+                  <option key={measure.key} value={measure.key}>Director {measure.label}</option>
+                ))}
+                {Object.entries(COMMUNITY_HALO_MODES).map(([key, mode]) => (
+                  <option key={key} value={key}>{mode.label}</option>
+                ))}
               </select>
               <p className="text-xs text-slate-500 mt-2 leading-snug">{haloDescription}</p>
             </div>
 
+            <div className="border-t border-slate-100 pt-3">
+              <div className="text-sm font-semibold mb-2">Tie strength</div>
+              <select
+                id="tie-weighting"
+                value={tieWeighting}
+                onChange={(event) => setTieWeighting(event.target.value)}
+                className="w-full rounded-xl border border-slate-200 bg-white p-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                {TIE_WEIGHTINGS.map(option => (
+                  <option key={option.key} value={option.key}>{option.label}</option>
+                ))}
+              </select>
+              <p className="text-xs text-slate-500 mt-2 leading-snug">
+                {tieWeighting === "none"
+                  ? "Every overlap counts once. Choose a weighting to rank strength and route closeness and betweenness over stronger ties."
+                  : tieWeighting === "newman"
+                    ? "Each shared board contributes 1/(n−1), so ties through small boards count more. Company and director views draw thicker edges for stronger ties."
+                    : "Ties are weighted by the number of shared seats. Company and director views draw thicker edges for stronger ties."}
+              </p>
+            </div>
+
+            <div className="border-t border-slate-100 pt-3">
+              <div className="text-sm font-semibold mb-2">Closeness &amp; betweenness</div>
+              <div className="grid grid-cols-2 gap-2">
+                <select
+                  id="sampling-mode"
+                  value={samplingMode}
+                  onChange={(event) => setSamplingMode(event.target.value)}
+                  className="w-full rounded-xl border border-slate-200 bg-white p-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {CENTRALITY_SAMPLING.modes.map(option => (
+                    <option key={option.key} value={option.key}>{option.label}</option>
+                  ))}
+                </select>
+                <select
+                  id="sampling-budget"
+                  value={samplingBudget}
+                  onChange={(event) => setSamplingBudget(event.target.value)}
+                  disabled={samplingMode === "exact"}
+                  className="w-full rounded-xl border border-slate-200 bg-white p-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                >
+                  {CENTRALITY_SAMPLING.budgets.map(option => (
+                    <option key={option.key} value={option.key}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              <p className="text-xs text-slate-500 mt-2 leading-snug">
+                {samplingMode === "exact"
+                  ? "Every node is used as a source. Large registers may take minutes."
+                  : samplingMode === "approximate"
+                    ? "Closeness, harmonic and betweenness are estimated from sampled pivot sources. More pivots are slower but closer to the exact figures; a budget that covers nearly every node runs exact."
+                    : `Networks above ${CENTRALITY_SAMPLING.autoThreshold.toLocaleString()} nodes switch to sampled pivot estimates; smaller ones stay exact.`}
+              </p>
+            </div>
+
             <div className="border-t border-slate-100 pt-3">
               <div className="text-sm font-semibold mb-2">Legend</div>
+              {attributeStyling.legend.map(section => (
+                <div key={section.title} className="mb-2">
+                  <div className="text-xs font-medium text-slate-600 mb-1">{section.title}</div>
+                  <div className="grid grid-cols-2 gap-x-2 gap-y-1 text-xs">
+                    {section.items.map(item => (
+                      <div key={`${section.title}-${item.label}`} className="flex items-center gap-2 min-w-0">
+                        {item.color ? (
+                          <span className="inline-block h-3 w-3 shrink-0 rounded-full" style={{ background: item.color }}></span>
+                        ) : item.shape ? (
+                          <span className="inline-block w-3 shrink-0 text-center leading-none text-slate-600">{ATTRIBUTE_SHAPE_GLYPHS[item.shape]}</span>
+                        ) : (
+                          <span
+                            className="inline-block shrink-0 rounded-full bg-slate-400"
+                            style={{ width: 6 + 10 * item.size, height: 6 + 10 * item.size }}
+                          ></span>
+                        )}
+                        <span className="truncate">{item.label}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+              {attributeStyling.legend.length > 0 && (
+                <p className="mb-2 text-[11px] text-slate-400">Nodes without a value keep the default director and company style below.</p>
+              )}
+              {snapshotDiff && diffHighlight && (
+                <div className="mb-2 grid grid-cols-2 gap-2 text-xs">
+                  {Object.entries(DIFF_STYLES).map(([key, style]) => (
+                    <div key={key} className="flex items-center gap-2">
+                      <span className="inline-block h-3 w-3 rounded-full border" style={{ background: style.background, borderColor: style.border }}></span>
+                      {style.label} since previous register
+                    </div>
+                  ))}
+                </div>
+              )}
+              {seatRolesInUse.length > 0 && (
+                <div className="mb-2 grid grid-cols-2 gap-2 text-xs">
+                  {seatRolesInUse.map(key => {
+                    const style = SEAT_ROLES[key];
+                    return (
+                      <div key={key} className="flex items-center gap-2">
+                        <span
+                          className="inline-block w-5"
+                          style={{ borderTop: `${Math.round(style.width)}px ${style.dashes ? "dashed" : "solid"} ${style.color}` }}
+                        ></span>
+                        {style.label} seat
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
               {viewMode === "bipartite" ? (
                 <>
                   <div className="grid grid-cols-2 gap-2 text-sm">
                     <div className="flex items-center gap-2">
-                      <span className="inline-block h-3 w-3 rounded-full" style={{ background: "#2563eb" }}></span>
+                      <span className="inline-block h-3 w-3 rounded-full" style={{ background: NODE_TYPE_STYLES.person.background }}></span>
                       Director (dot)
                     </div>
                     <div className="flex items-center gap-2">
-                      <span className="inline-block h-3 w-3" style={{ background: "#f59e0b" }}></span>
+                      <span className="inline-block h-3 w-3" style={{ background: NODE_TYPE_STYLES.company.background }}></span>
                       Company (box)
                     </div>
                   </div>
@@ -2090,11 +5221,11 @@ export default function InterlockingDirectorsApp() {
                 <>
                   <div className="grid grid-cols-2 gap-2 text-sm">
                     <div className="flex items-center gap-2">
-                      <span className="inline-block h-3 w-3" style={{ background: "#f59e0b" }}></span>
+                      <span className="inline-block h-3 w-3" style={{ background: NODE_TYPE_STYLES.company.background }}></span>
                       Company (center)
                     </div>
                     <div className="flex items-center gap-2">
-                      <span className="inline-block h-3 w-3 rounded-full" style={{ background: "#2563eb" }}></span>
+                      <span className="inline-block h-3 w-3 rounded-full" style={{ background: NODE_TYPE_STYLES.person.background }}></span>
                       Directors (ring)
                     </div>
                   </div>
@@ -2104,11 +5235,11 @@ export default function InterlockingDirectorsApp() {
                 <>
                   <div className="grid grid-cols-2 gap-2 text-sm">
                     <div className="flex items-center gap-2">
-                      <span className="inline-block h-3 w-3 rounded-full" style={{ background: "#2563eb" }}></span>
+                      <span className="inline-block h-3 w-3 rounded-full" style={{ background: NODE_TYPE_STYLES.person.background }}></span>
                       Director (center)
                     </div>
                     <div className="flex items-center gap-2">
-                      <span className="inline-block h-3 w-3" style={{ background: "#f59e0b" }}></span>
+                      <span className="inline-block h-3 w-3" style={{ background: NODE_TYPE_STYLES.company.background }}></span>
                       Companies (ring)
                     </div>
                   </div>
@@ -2163,21 +5294,284 @@ export default function InterlockingDirectorsApp() {
             </div>
           </div>
 
+          <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+            <div className="flex items-center justify-between gap-2">
+              <h3 className="font-semibold">Find path</h3>
+              {(pathFrom || pathTo) && (
+                <button
+                  type="button"
+                  onClick={() => {
+                    setPathFrom("");
+                    setPathTo("");
+                  }}
+                  className="rounded-lg border px-2 py-1 text-xs hover:bg-slate-50"
+                >
+                  Clear
+                </button>
+              )}
+            </div>
+            <p className="text-xs text-slate-500 leading-snug">
+              Trace how two directors or companies are linked through shared boards. Paths run over the director–company graph, so every step is a seat.
+            </p>
+            {[
+              ["From", pathFrom, setPathFrom],
+              ["To", pathTo, setPathTo]
+            ].map(([label, value, setValue]) => (
+              <div key={`path-${label}`} className="flex items-end gap-2 text-xs">
+                <label className="flex flex-1 flex-col gap-1 text-slate-600">
+                  {label}
+                  <input
+                    type="search"
+                    list="path-node-options"
+                    value={pathDrafts[label] ?? pathOptions.byId.get(value) ?? value.slice(2)}
+                    placeholder="Type a director or company…"
+                    onChange={(event) => {
+                      const text = event.target.value;
+                      const id = text.trim() ? pathOptions.byText.get(text) : "";
+                      if (id !== undefined) setValue(id);
+                      setPathDrafts(prev => ({ ...prev, [label]: id === undefined ? text : undefined }));
+                    }}
+                    onBlur={() => setPathDrafts(prev => ({ ...prev, [label]: undefined }))}
+                    className="rounded-lg border border-slate-200 bg-white p-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </label>
+                <button
+                  type="button"
+                  disabled={!selectedNode}
+                  onClick={() => selectedNode && setValue(selectedNode.id)}
+                  className="rounded-lg border px-2 py-1.5 hover:bg-slate-50 disabled:opacity-40"
+                  title="Use the node selected on the canvas"
+                >
+                  Use selected
+                </button>
+              </div>
+            ))}
+            <datalist id="path-node-options">
+              {pathOptions.options.map(option => (
+                <option key={option.id} value={option.text}>{option.id.startsWith("P:") ? "Director" : "Company"}</option>
+              ))}
+            </datalist>
+            <select
+              value={pathK}
+              onChange={(event) => setPathK(Number(event.target.value))}
+              className="w-full rounded-lg border border-slate-200 bg-white p-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {PATH_LENGTH_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {pathFrom && pathTo && pathFrom === pathTo ? (
+              <p className="text-xs text-slate-500">Pick two different nodes.</p>
+            ) : pathFrom && pathTo && pathResult.paths.length === 0 ? (
+              <p className="text-xs text-slate-500">No chain links these nodes in the current register.</p>
+            ) : pathResult.paths.length > 0 ? (
+              <>
+                <p className="text-xs text-slate-600">
+                  {pathK
+                    ? `${pathResult.paths.length} shortest ${pathResult.paths.length === 1 ? "path" : "paths"}; the closest link is ${pathResult.distance} ${pathResult.distance === 1 ? "step" : "steps"} long.`
+                    : `${pathResult.paths.length} shortest ${pathResult.paths.length === 1 ? "path" : "paths"} of ${pathResult.distance} ${pathResult.distance === 1 ? "step" : "steps"}.`}
+                </p>
+                {pathResult.truncated && (
+                  <p className="rounded-lg border border-amber-200 bg-amber-50 p-2 text-xs text-amber-800">
+                    Showing the first {PATH_LIMITS.maxPaths.toLocaleString()} shortest paths.
+                  </p>
+                )}
+                <ol className="max-h-56 space-y-2 overflow-auto pr-1 text-xs">
+                  {pathResult.paths.map((path, index) => (
+                    <li key={`path-${index}`} className="rounded-lg border border-slate-100 p-2">
+                      <div className="mb-1 flex justify-between text-[11px] text-slate-500">
+                        <span>Path {index + 1}</span>
+                        <span>{path.length} steps</span>
+                      </div>
+                      <div className="flex flex-wrap items-center gap-1">
+                        {path.steps.map((step, stepIndex) => (
+                          <React.Fragment key={`${step.id}-${stepIndex}`}>
+                            {stepIndex > 0 && (
+                              <span className="text-slate-400" title={step.seat?.role ? SEAT_ROLES[step.seat.role].label : undefined}>→</span>
+                            )}
+                            <span className={step.type === "person" ? "text-blue-700" : "font-medium text-amber-700"}>{step.name}</span>
+                          </React.Fragment>
+                        ))}
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+                <button
+                  type="button"
+                  onClick={exportPaths}
+                  className="inline-flex items-center gap-2 rounded-xl px-3 py-2 bg-white border text-sm hover:bg-slate-50"
+                >
+                  <FileDown className="h-4 w-4"/> Export paths (CSV)
+                </button>
+              </>
+            ) : (
+              <p className="text-xs text-slate-500">Choose both ends, or select a node on the canvas and press "Use selected".</p>
+            )}
+          </div>
+
           {/* Report */}
           <div className="bg-white rounded-2xl shadow p-4 space-y-3">
             <h3 className="font-semibold">Report</h3>
+            {approximationNotes.length > 0 && (
+              <div className="rounded-xl border border-amber-200 bg-amber-50 p-2 text-xs text-amber-800 leading-snug">
+                <span className="font-semibold">Estimated figures.</span> Closeness, harmonic and betweenness are sampled estimates for the {approximationNotes.join("; ")}. Other measures are exact.
+              </div>
+            )}
             <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
               <dt className="text-slate-500">Companies</dt><dd>{report.summary.totalCompanies}</dd>
               <dt className="text-slate-500">Directors</dt><dd>{report.summary.totalDirectors}</dd>
               <dt className="text-slate-500">Board seats</dt><dd>{report.summary.totalBoardSeats}</dd>
               <dt className="text-slate-500">Avg boards / director</dt><dd>{report.summary.avgBoardsPerDirector}</dd>
               <dt className="text-slate-500">Directors with &gt; 1 seat</dt><dd>{report.summary.directorsWithMultipleSeats}</dd>
-              <dt className="text-slate-500">Company pairs w/ overlap</dt><dd>{report.summary.companyPairsWithOverlap}</dd>
-              <dt className="text-slate-500">Director cliques</dt><dd>{report.summary.directorCliques}</dd>
-              <dt className="text-slate-500">Largest clique size</dt><dd>{report.summary.largestDirectorClique}</dd>
-              <dt className="text-slate-500">Cross-clique connectors</dt><dd>{report.summary.crossCliqueConnectors}</dd>
+              <dt className="text-slate-500">Company pairs w/ overlap</dt><dd>{report.summary.companyPairsWithOverlap}{renderNullBadge("companyPairsWithOverlap")}</dd>
+              <dt className="text-slate-500">Director cliques</dt><dd>{report.summary.directorCliques}{renderNullBadge("directorCliques")}</dd>
+              <dt className="text-slate-500">Largest clique size</dt><dd>{report.summary.largestDirectorClique}{renderNullBadge("largestDirectorClique")}</dd>
+              <dt className="text-slate-500">Cross-clique connectors</dt><dd>{report.summary.crossCliqueConnectors}{renderNullBadge("crossCliqueConnectors")}</dd>
             </dl>
 
+            <div className="rounded-xl border border-slate-200 p-3 space-y-2">
+              <div className="flex items-center justify-between gap-2">
+                <label className="flex items-center gap-2 text-sm font-semibold">
+                  <input
+                    type="checkbox"
+                    checked={nullModelEnabled}
+                    onChange={(event) => setNullModelEnabled(event.target.checked)}
+                  />
+                  Compare with random graphs
+                </label>
+                {nullModel.status?.state === "running" && (
+                  <button type="button" onClick={nullModel.cancel} className="rounded-lg border px-2 py-0.5 text-xs hover:bg-slate-50">Cancel</button>
+                )}
+              </div>
+              <p className="text-xs text-slate-500 leading-snug">
+                Curveball randomizations keep every director's seat count and every board's size, so they show which figures the seat distribution alone would produce.
+              </p>
+              <div className="grid grid-cols-2 gap-2 text-xs">
+                <label className="flex flex-col gap-1 text-slate-600">
+                  Simulations
+                  <select
+                    value={nullSimulations}
+                    onChange={(event) => setNullSimulations(Number(event.target.value))}
+                    className="rounded-lg border border-slate-200 bg-white p-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {NULL_MODEL_SIMULATIONS.map(count => <option key={count} value={count}>{count.toLocaleString()}</option>)}
+                  </select>
+                </label>
+                <label className="flex flex-col gap-1 text-slate-600">
+                  Seed
+                  <input
+                    type="number"
+                    min={0}
+                    step={1}
+                    value={nullSeed}
+                    onChange={(event) => setNullSeed(Math.max(0, Math.floor(Number(event.target.value) || 0)))}
+                    className="rounded-lg border border-slate-200 bg-white p-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                </label>
+              </div>
+              {nullModel.status?.state === "running" ? (
+                <div className="text-xs text-slate-500">
+                  <div>{nullModel.status.stage}…</div>
+                  <div className="mt-1 h-1.5 w-full overflow-hidden rounded-full bg-slate-100">
+                    <div className="h-full bg-violet-500 transition-all" style={{ width: `${Math.round(nullModel.status.fraction * 100)}%` }} />
+                  </div>
+                </div>
+              ) : nullModel.status?.state === "cancelled" ? (
+                <div className="flex items-center justify-between gap-2 text-xs text-slate-600">
+                  <span>Simulations cancelled.</span>
+                  <button type="button" onClick={nullModel.rerun} className="rounded-lg border px-2 py-0.5 hover:bg-slate-50">Run</button>
+                </div>
+              ) : nullModel.status?.state === "error" ? (
+                <p className="text-xs text-rose-700">Simulations failed: {nullModel.status.message}</p>
+              ) : null}
+              {nullModelEnabled && nullModel.statistics.length > 0 && (
+                <>
+                  <table className="w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-slate-500">
+                        <th className="font-medium pr-2">Figure</th>
+                        <th className="font-medium pr-2 text-right">Observed</th>
+                        <th className="font-medium pr-2 text-right">Random mean ± sd</th>
+                        <th className="font-medium pr-2 text-right">z</th>
+                        <th className="font-medium text-right">p</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {nullModel.statistics.map(statistic => {
+                        const integer = Number.isInteger(statistic.observed) && statistic.key.indexOf("Centralization") === -1;
+                        const format = (value) => (integer ? value.toFixed(1) : value.toFixed(3));
+                        return (
+                          <tr key={`null-${statistic.key}`} className="border-t border-slate-100">
+                            <td className="pr-2">{statistic.label}</td>
+                            <td className="pr-2 text-right font-mono">{integer ? statistic.observed : statistic.observed.toFixed(3)}</td>
+                            <td className="pr-2 text-right font-mono">{format(statistic.mean)} ± {format(statistic.sd)}</td>
+                            <td className="pr-2 text-right font-mono">{statistic.z === null ? "–" : statistic.z.toFixed(2)}</td>
+                            <td className={`text-right font-mono ${statistic.p !== null && statistic.p < 0.05 ? "text-violet-700 font-semibold" : ""}`}>{formatPValue(statistic.p)}</td>
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                  <p className="text-[11px] text-slate-500">
+                    {nullModel.simulations.toLocaleString()} simulations, seed {nullModel.seed}, {nullModel.trades.toLocaleString()} curveball trades between samples. p is two-sided and empirical; z is blank when the random graphs never vary. Observed clique figures are the report's; each random graph gets a shorter clique search. Centralization is unweighted here.
+                    {nullModel.truncatedRuns > 0 || nullModel.observedTruncated
+                      ? ` The clique search hit its limit in ${nullModel.truncatedRuns} simulations${nullModel.observedTruncated ? " and on the observed network" : ""}, so the clique figures are not compared (no z or p).`
+                      : ""}
+                  </p>
+                </>
+              )}
+            </div>
+
+            <div className="mt-3">
+              <div className="text-sm font-semibold mb-1">Network structure</div>
+              <div className="overflow-auto">
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-left text-slate-500">
+                      <th></th>
+                      {STRUCTURE_NETWORKS.map(network => (
+                        <th key={`structure-head-${network.key}`} className="font-medium pl-2 text-right">{network.label}</th>
+                      ))}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[
+                      ["Nodes", (item) => item.nodes.toLocaleString()],
+                      ["Ties", (item) => item.edges.toLocaleString()],
+                      ["Density", (item) => item.density.toFixed(3)],
+                      ["Components", (item) => item.components.toLocaleString()],
+                      ["Giant component", (item) => `${item.giant.size.toLocaleString()} (${Math.round(item.giant.share * 100)}%)`],
+                      ["Isolated", (item) => (item.isolated ? item.isolated.length.toLocaleString() : "–")],
+                      ["Diameter", (item) => `${item.approximate ? "≥ " : ""}${item.diameter}`],
+                      ["Avg path length", (item) => `${item.approximate ? "≈ " : ""}${item.averagePathLength.toFixed(2)}`],
+                      ["Clustering", (item) => (item.key === "bipartite" ? item.clustering : item.transitivity).toFixed(3)]
+                    ].map(([label, format]) => (
+                      <tr key={`structure-${label}`} className="border-t border-slate-100">
+                        <td className="pr-2 text-slate-600">{label}</td>
+                        {STRUCTURE_NETWORKS.map(network => (
+                          <td key={`structure-${label}-${network.key}`} className="pl-2 text-right font-mono">
+                            {format({ ...report.structure[network.key], key: network.key })}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <p className="mt-1 text-[11px] text-slate-500 leading-snug">
+                Distances are counted within components. Two-mode clustering is Robins–Alexander (closed four-cycles over three-paths); the projections report transitivity. Two-mode distances step director → board → director, so they run about twice the projected ones.
+                {STRUCTURE_NETWORKS.some(network => report.structure[network.key].approximate) ? " Diameter and path length are estimated from sampled sources on the larger networks." : ""}
+              </p>
+              {report.structure.companies.isolated.length > 0 && (
+                <div className="mt-1 text-xs text-slate-600">
+                  <span className="font-medium">Boards with no interlocks:</span> {report.structure.companies.isolated.join(" • ")}
+                </div>
+              )}
+              <div className="mt-2 grid grid-cols-2 gap-3">
+                {DEGREE_DISTRIBUTIONS.map(renderHistogram)}
+              </div>
+            </div>
+
             {report.multiSeatDirectors.length > 0 && (
               <div className="mt-3">
                 <div className="text-sm font-semibold mb-1">Directors with multiple seats</div>
@@ -2208,7 +5602,7 @@ export default function InterlockingDirectorsApp() {
 
             <div className="mt-3 space-y-3">
               <div>
-                <div className="text-sm font-semibold mb-1">Director centrality (top 3)</div>
+                <div className="text-sm font-semibold mb-1">Director centrality · one-mode projection (top 3)</div>
                 <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-xs">
                   <div>
                     <div className="font-medium text-slate-600">Degree</div>
@@ -2216,6 +5610,14 @@ export default function InterlockingDirectorsApp() {
                       {renderCentralityItems(directorCentralityData.degree, "director-degree", true)}
                     </ul>
                   </div>
+                  {directorCentralityData.strength.length > 0 && (
+                    <div>
+                      <div className="font-medium text-slate-600">Strength</div>
+                      <ul className="mt-1 space-y-1">
+                        {renderCentralityItems(directorCentralityData.strength, "director-strength", true)}
+                      </ul>
+                    </div>
+                  )}
                   <div>
                     <div className="font-medium text-slate-600">Closeness</div>
                     <ul className="mt-1 space-y-1">
@@ -2229,7 +5631,27 @@ export default function InterlockingDirectorsApp() {
                     </ul>
                   </div>
                 </div>
-                <p className="text-xs text-slate-500 mt-2">Scores are normalized between 0 and 1. Degree values show the normalized score with raw connections in parentheses.</p>
+                <div className="text-xs font-semibold text-slate-600 mt-3 mb-1">Director influence (top 3)</div>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-xs">
+                  {[
+                    ["Eigenvector", "eigenvector"],
+                    ["PageRank", "pagerank"],
+                    ["Katz", "katz"],
+                    ["Harmonic", "harmonic"]
+                  ].map(([label, key]) => (
+                    <div key={`director-${key}`}>
+                      <div className="font-medium text-slate-600">{label}</div>
+                      <ul className="mt-1 space-y-1">
+                        {renderCentralityItems(directorCentralityData[key], `director-${key}`)}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
+                <p className="text-xs text-slate-500 mt-2">
+                  Scores are normalized between 0 and 1. Degree values show the normalized score with raw connections in parentheses.
+                  {" "}Eigenvector and Katz are scaled so the top node scores 1; PageRank scores sum to 1 across the projection.
+                  {report.weighting && report.weighting !== "none" ? " Strength sums tie weights; a tie's path length is the strongest tie's weight over its own, and spectral scores follow the strongest ties." : ""}
+                </p>
               </div>
 
               <div>
@@ -2242,7 +5664,7 @@ export default function InterlockingDirectorsApp() {
               </div>
 
               <div>
-                <div className="text-sm font-semibold mb-1">Company centrality (top 3)</div>
+                <div className="text-sm font-semibold mb-1">Company centrality · one-mode projection (top 3)</div>
                 <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-xs">
                   <div>
                     <div className="font-medium text-slate-600">Degree</div>
@@ -2250,6 +5672,14 @@ export default function InterlockingDirectorsApp() {
                       {renderCentralityItems(companyCentralityData.degree, "company-degree", true)}
                     </ul>
                   </div>
+                  {companyCentralityData.strength.length > 0 && (
+                    <div>
+                      <div className="font-medium text-slate-600">Strength</div>
+                      <ul className="mt-1 space-y-1">
+                        {renderCentralityItems(companyCentralityData.strength, "company-strength", true)}
+                      </ul>
+                    </div>
+                  )}
                   <div>
                     <div className="font-medium text-slate-600">Closeness</div>
                     <ul className="mt-1 space-y-1">
@@ -2263,6 +5693,22 @@ export default function InterlockingDirectorsApp() {
                     </ul>
                   </div>
                 </div>
+                <div className="text-xs font-semibold text-slate-600 mt-3 mb-1">Company influence (top 3)</div>
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-3 text-xs">
+                  {[
+                    ["Eigenvector", "eigenvector"],
+                    ["PageRank", "pagerank"],
+                    ["Katz", "katz"],
+                    ["Harmonic", "harmonic"]
+                  ].map(([label, key]) => (
+                    <div key={`company-${key}`}>
+                      <div className="font-medium text-slate-600">{label}</div>
+                      <ul className="mt-1 space-y-1">
+                        {renderCentralityItems(companyCentralityData[key], `company-${key}`)}
+                      </ul>
+                    </div>
+                  ))}
+                </div>
               </div>
 
               <div>
@@ -2274,8 +5720,186 @@ export default function InterlockingDirectorsApp() {
                 </ul>
               </div>
 
+              <div>
+                <div className="text-sm font-semibold mb-1">Two-mode centrality · director–company graph (top 3)</div>
+                {[
+                  ["Directors", "director", bipartiteCentralityData.directors],
+                  ["Companies", "company", bipartiteCentralityData.companies]
+                ].map(([label, prefix, lists]) => (
+                  <div key={`bipartite-${prefix}`} className="mt-2">
+                    <div className="text-xs font-semibold text-slate-600 mb-1">{label}</div>
+                    <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 text-xs">
+                      {[
+                        ["Degree", "degree"],
+                        ["Closeness", "closeness"],
+                        ["Betweenness", "betweenness"]
+                      ].map(([measureLabel, measure]) => (
+                        <div key={`bipartite-${prefix}-${measure}`}>
+                          <div className="font-medium text-slate-600">{measureLabel}</div>
+                          <ul className="mt-1 space-y-1">
+                            {(lists[measure] || []).length === 0 ? (
+                              <li className="text-slate-500">No data</li>
+                            ) : lists[measure].map(item => (
+                              <li key={`bipartite-${prefix}-${measure}-${item.name}`} className="flex justify-between gap-2">
+                                <span>{item.name}</span>
+                                <span className="text-slate-500">
+                                  {formatCentrality(item.score)}
+                                  {item.projectionRank ? (
+                                    <span className={item.projectionRank > 3 ? "text-amber-600" : ""}>{` · #${item.projectionRank} proj.`}</span>
+                                  ) : ""}
+                                </span>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+                <p className="text-xs text-slate-500 mt-2">
+                  Borgatti–Everett scores computed on the bipartite graph and normalised within each mode. "#n proj." is the node's rank on the same measure in its one-mode projection; amber marks nodes the projection does not place in its top 3.
+                </p>
+              </div>
+
+              {report.communities && (
+                <div>
+                  <div className="text-sm font-semibold mb-1">Communities</div>
+                  {[
+                    ["Director projection", "directors", report.communities.directors.communities.map(c => ({ id: c.id, size: c.size, members: c.members })), report.communities.directors.modularity],
+                    ["Company projection", "companies", report.communities.companies.communities.map(c => ({ id: c.id, size: c.size, members: c.members })), report.communities.companies.modularity],
+                    ["Two-mode (Barber)", "bipartite", report.communities.bipartite.communities.map(c => ({ id: c.id, size: c.size, members: [...c.directors, ...c.companies] })), report.communities.bipartite.modularity]
+                  ].map(([label, key, groups, modularity]) => (
+                    <div key={`communities-${key}`} className="mt-2">
+                      <div className="flex justify-between text-xs font-semibold text-slate-600">
+                        <span>{label}</span>
+                        <span className="font-mono font-normal">Q = {formatCentrality(modularity)} · {groups.length} communities</span>
+                      </div>
+                      <table className="w-full text-xs mt-1">
+                        <thead>
+                          <tr className="text-left text-slate-500">
+                            <th className="font-medium pr-2">#</th>
+                            <th className="font-medium pr-2">Size</th>
+                            <th className="font-medium">Members</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {groups.filter(group => group.size >= 2).map(group => (
+                            <tr key={`communities-${key}-${group.id}`} className="align-top border-t border-slate-100">
+                              <td className="pr-2">{group.id}</td>
+                              <td className="pr-2">{group.size}</td>
+                              <td>{group.members.slice(0, 8).join(", ")}{group.members.length > 8 ? `, +${group.members.length - 8} more` : ""}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ))}
+                  <p className="text-xs text-slate-500 mt-2">
+                    Louvain modularity on each projection (using the selected tie strength) and Barber's bipartite modularity on the director–company graph. Singletons are counted but not listed; pick a community halo mode to draw them on the graph.
+                  </p>
+                </div>
+              )}
+
+              {attributeReport && (
+                <div className="space-y-3">
+                  {attributeReport.boardGender && (
+                    <div>
+                      <div className="text-sm font-semibold mb-1">Board gender composition</div>
+                      {renderHeatmap(
+                        "board-gender",
+                        [...attributeReport.boardGender.values, "Not set"],
+                        attributeReport.boardGender.boards.slice(0, 40).map(board => ({
+                          label: `${board.company} (${board.size})`,
+                          cells: [
+                            ...attributeReport.boardGender.values.map(value => ({
+                              value: board.shares[value],
+                              text: board.shares[value] === null ? "–" : `${Math.round(board.shares[value] * 100)}%`,
+                              title: `${board.counts[value]} of ${board.known} directors with a recorded gender`
+                            })),
+                            { value: null, text: String(board.unknown), title: "Directors without a gender in the node table" }
+                          ]
+                        })),
+                        1
+                      )}
+                      <p className="text-xs text-slate-500 mt-1">
+                        Shares of directors with a recorded gender on each board{attributeReport.boardGender.boards.length > 40 ? "; the 40 largest boards are shown and every board is in the CSV export" : ""}.
+                      </p>
+                    </div>
+                  )}
+
+                  {attributeReport.sectorInterlocks && (
+                    <div>
+                      <div className="text-sm font-semibold mb-1">Sector interlocks</div>
+                      <p className="text-xs text-slate-600 mb-1">
+                        {attributeReport.sectorInterlocks.crossSectorShare === null
+                          ? "No interlocks join two companies with a recorded sector."
+                          : `${Math.round(attributeReport.sectorInterlocks.crossSectorShare * 100)}% of interlocks cross sectors (${attributeReport.sectorInterlocks.crossSector} of ${attributeReport.sectorInterlocks.interlocks}).`}
+                        {attributeReport.sectorInterlocks.unclassified > 0 ? ` ${attributeReport.sectorInterlocks.unclassified} interlocks involve a company without a sector.` : ""}
+                      </p>
+                      {renderHeatmap(
+                        "sector-matrix",
+                        [...attributeReport.sectorInterlocks.sectors, "Cross-sector"],
+                        attributeReport.sectorInterlocks.sectors.map((sector, i) => ({
+                          label: sector,
+                          cells: [
+                            ...attributeReport.sectorInterlocks.matrix[i].map((count, j) => ({
+                              value: count,
+                              text: String(count),
+                              title: `${count} interlocked company pairs, ${attributeReport.sectorInterlocks.sharedDirectors[i][j]} shared director seats`
+                            })),
+                            {
+                              value: null,
+                              text: attributeReport.sectorInterlocks.bySector[i].share === null ? "–" : `${Math.round(attributeReport.sectorInterlocks.bySector[i].share * 100)}%`,
+                              title: "Share of this sector's interlocks that reach another sector"
+                            }
+                          ]
+                        })),
+                        Math.max(1, ...attributeReport.sectorInterlocks.matrix.flat())
+                      )}
+                      <p className="text-xs text-slate-500 mt-1">
+                        Company pairs sharing at least one director, by the sectors of the two companies; the diagonal counts interlocks within a sector.
+                      </p>
+                    </div>
+                  )}
+
+                  {attributeReport.assortativity.length > 0 && (
+                    <div>
+                      <div className="text-sm font-semibold mb-1">Assortativity by attribute</div>
+                      {renderHeatmap(
+                        "assortativity",
+                        ["r", "Ties"],
+                        attributeReport.assortativity.map(entry => ({
+                          label: `${attributeLabel(entry.attribute)} · ${entry.projection === "directors" ? "director" : "company"} ties`,
+                          cells: [
+                            {
+                              value: entry.coefficient,
+                              text: entry.coefficient === null ? "–" : entry.coefficient.toFixed(2),
+                              title: entry.kind === "number" ? "Pearson correlation across tie ends" : "Newman categorical assortativity"
+                            },
+                            { value: null, text: String(entry.ties), title: "Ties with the attribute known at both ends" }
+                          ]
+                        })),
+                        1,
+                        true
+                      )}
+                      <p className="text-xs text-slate-500 mt-1">
+                        Positive r: tied nodes tend to share the attribute (blue); negative r: ties tend to join different values (red). Only ties with both ends recorded count.
+                      </p>
+                    </div>
+                  )}
+                </div>
+              )}
+
               <div>
                 <div className="text-sm font-semibold mb-1">Director cliques</div>
+                {report.cliques?.truncated && (
+                  <p className="mb-2 rounded-lg border border-amber-200 bg-amber-50 p-2 text-xs text-amber-800">
+                    {report.cliques.truncated === "timeout"
+                      ? `Clique search stopped after ${CLIQUE_LIMITS.timeoutMs / 1000}s; the list below is partial.`
+                      : `Clique search stopped at ${CLIQUE_LIMITS.maxResults.toLocaleString()} cliques; the list below is partial.`}
+                    {" "}Try k-cores or a later timeline year for dense registers.
+                  </p>
+                )}
                 {allDirectorCliques.length > 0 ? (
                   <>
                     <div className="space-y-2">
@@ -2335,6 +5959,67 @@ export default function InterlockingDirectorsApp() {
                 )}
               </div>
 
+              <div>
+                <div className="text-sm font-semibold mb-1">Cohesive subgroups</div>
+                <div className="grid grid-cols-2 gap-2">
+                  <select
+                    value={subgroupMeasure}
+                    onChange={(event) => {
+                      setSubgroupMeasure(event.target.value);
+                      setHaloMode(event.target.value);
+                    }}
+                    className="rounded-lg border border-slate-200 bg-white p-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {SUBGROUP_MEASURES.map(measure => (
+                      <option key={measure.key} value={measure.key}>{measure.label}</option>
+                    ))}
+                  </select>
+                  <label className="flex flex-col text-xs text-slate-500">
+                    <span className="flex justify-between">
+                      <span>{activeSubgroup.key === "nclan" ? "n" : "k"}</span>
+                      <span className="font-medium text-slate-700">{subgroupParameters[subgroupMeasure]}</span>
+                    </span>
+                    <input
+                      type="range"
+                      min={activeSubgroup.min}
+                      max={subgroupParameterMax}
+                      step={1}
+                      value={Math.min(subgroupParameters[subgroupMeasure], subgroupParameterMax)}
+                      onChange={(event) => setSubgroupParameters(prev => ({ ...prev, [subgroupMeasure]: Number(event.target.value) }))}
+                      disabled={subgroupParameterMax <= activeSubgroup.min}
+                    />
+                  </label>
+                </div>
+                <p className="mt-1 text-[11px] text-slate-400">{activeSubgroup.parameter}</p>
+                {subgroups.status?.state === "running" ? (
+                  <p className="mt-2 text-xs text-slate-500">Searching {activeSubgroup.label}… {Math.round(subgroups.status.fraction * 100)}%</p>
+                ) : subgroups.status?.state === "error" ? (
+                  <p className="mt-2 text-xs text-rose-700">Subgroup search failed: {subgroups.status.message}</p>
+                ) : null}
+                {subgroups.truncated && (
+                  <p className="mt-2 rounded-lg border border-amber-200 bg-amber-50 p-2 text-xs text-amber-800">
+                    {subgroups.truncated === "timeout"
+                      ? `Search stopped after ${CLIQUE_LIMITS.timeoutMs / 1000}s; showing the groups found so far.`
+                      : `Search stopped at ${CLIQUE_LIMITS.maxResults.toLocaleString()} groups; showing a partial list.`}
+                  </p>
+                )}
+                {subgroups.groups.length > 0 ? (
+                  <ul className="text-xs space-y-1 max-h-40 overflow-auto pr-1 mt-2">
+                    {subgroups.groups.slice(0, 200).map((group, index) => (
+                      <li key={`subgroup-${group.members.join("|")}`} className="flex flex-col gap-1">
+                        <div className="flex justify-between gap-2">
+                          <span>Group {index + 1}</span>
+                          <span className="text-slate-500">{group.size} members</span>
+                        </div>
+                        <div className="text-slate-500">{group.members.join(" • ")}</div>
+                      </li>
+                    ))}
+                  </ul>
+                ) : (
+                  <p className="mt-2 text-xs text-slate-500">No {activeSubgroup.label} at this setting.</p>
+                )}
+              </div>
+
               <div>
                 <div className="text-sm font-semibold mb-1">Cross-clique connectors</div>
                 {crossCliqueConnectors.length > 0 ? (
@@ -2353,6 +6038,300 @@ export default function InterlockingDirectorsApp() {
             </div>
           </div>
 
+          <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+            <h3 className="font-semibold">Brokers</h3>
+            <p className="text-xs text-slate-500 leading-snug">
+              Burt's structural holes on each projection. Effective size counts contacts that are not tied to one another; constraint is high when every tie leads back into the same closed group. Scores for every node are in the CSV export, and both can size nodes in the graph.
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 text-xs">
+              {[["directors", "Directors"], ["companies", "Companies"]].map(([key, label]) => {
+                const rows = report.brokers[key].rows.filter(row => row.effectiveSize !== null).slice(0, BROKER_LIST_LIMIT);
+                return (
+                  <div key={`brokers-${key}`}>
+                    <div className="font-medium text-slate-600">{label} · highest effective size</div>
+                    {rows.length > 0 ? (
+                      <table className="mt-1 w-full">
+                        <thead>
+                          <tr className="text-left text-slate-500">
+                            <th className="font-medium pr-2">Name</th>
+                            <th className="font-medium pr-2 text-right">Contacts</th>
+                            <th className="font-medium pr-2 text-right">Eff. size</th>
+                            <th className="font-medium text-right">Constraint</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {rows.map(row => (
+                            <tr key={`brokers-${key}-${row.name}`} className="border-t border-slate-100">
+                              <td className="pr-2">{row.name}</td>
+                              <td className="pr-2 text-right font-mono">{row.contacts}</td>
+                              <td className="pr-2 text-right font-mono">{row.effectiveSize.toFixed(2)}</td>
+                              <td className="text-right font-mono">{row.constraint.toFixed(3)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    ) : (
+                      <p className="mt-1 text-slate-500">No interlocks in this projection.</p>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            {report.brokers.directors.brokerage || report.brokers.companies.brokerage ? (
+              <div className="space-y-3">
+                <p className="text-xs text-slate-500 leading-snug">
+                  Gould–Fernandez roles by sector, counted over pairs of a node's contacts that are not tied to each other. Interlocks have no direction, so a pair with one contact outside the broker's sector counts as both gatekeeper and representative.
+                </p>
+                {[["directors", "Directors"], ["companies", "Companies"]]
+                  .filter(([key]) => report.brokers[key].brokerage)
+                  .map(([key, label]) => {
+                    const rows = report.brokers[key].rows
+                      .filter(row => row.roles?.total > 0)
+                      .sort((a, b) => b.roles.total - a.roles.total || a.name.localeCompare(b.name))
+                      .slice(0, BROKER_LIST_LIMIT);
+                    return (
+                      <div key={`brokerage-${key}`} className="text-xs">
+                        <div className="font-medium text-slate-600">{label} · brokerage roles across {report.brokers[key].groups} sectors</div>
+                        {rows.length > 0 ? (
+                          <div className="overflow-x-auto">
+                            <table className="mt-1 w-full whitespace-nowrap">
+                              <thead>
+                                <tr className="text-left text-slate-500">
+                                  <th className="font-medium pr-2">Name</th>
+                                  <th className="font-medium pr-2">Sector</th>
+                                  {BROKERAGE_ROLES.map(role => (
+                                    <th key={`brokerage-${key}-head-${role.key}`} className="font-medium pr-2 text-right">{role.label}</th>
+                                  ))}
+                                  <th className="font-medium text-right">Pairs</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {rows.map(row => (
+                                  <tr key={`brokerage-${key}-${row.name}`} className="border-t border-slate-100">
+                                    <td className="pr-2">{row.name}</td>
+                                    <td className="pr-2 text-slate-500">{row.group}</td>
+                                    {BROKERAGE_ROLES.map(role => (
+                                      <td key={`brokerage-${key}-${row.name}-${role.key}`} className="pr-2 text-right font-mono">{row.roles[role.key]}</td>
+                                    ))}
+                                    <td className="text-right font-mono">{row.roles.total}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        ) : (
+                          <p className="mt-1 text-slate-500">No brokered pairs among nodes with a known sector.</p>
+                        )}
+                      </div>
+                    );
+                  })}
+              </div>
+            ) : (
+              <p className="text-xs text-slate-500">Add a Sector column to the node table to classify Gould–Fernandez brokerage roles.</p>
+            )}
+          </div>
+
+          <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+            <div className="flex items-center justify-between gap-2">
+              <h3 className="font-semibold">Full ranking</h3>
+              <select
+                value={rankingKind}
+                onChange={(event) => {
+                  setRankingKind(event.target.value);
+                  setRankingPage(0);
+                }}
+                className="rounded-lg border border-slate-200 bg-white p-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+              >
+                <option value="directors">Directors</option>
+                <option value="companies">Companies</option>
+              </select>
+            </div>
+            <p className="text-xs text-slate-500 leading-snug">
+              Every {rankingKind === "directors" ? "director" : "company"} with all metrics. Click a header to sort, type in the filter row ("0.2", "&lt;0.1", "=3") to narrow, and click a name to focus it in the graph.
+            </p>
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs whitespace-nowrap">
+                <thead>
+                  <tr className="text-left text-slate-500">
+                    {[{ key: "name", label: "Name" }, ...rankingColumns].map(column => (
+                      <th key={`ranking-head-${column.key}`} className="font-medium pr-2 pb-1">
+                        <button type="button" onClick={() => toggleRankingSort(column.key)} className="hover:text-slate-800">
+                          {column.label}
+                          {rankingSort.key === column.key ? (rankingSort.direction === "asc" ? " ▲" : " ▼") : ""}
+                        </button>
+                      </th>
+                    ))}
+                  </tr>
+                  <tr>
+                    {[{ key: "name" }, ...rankingColumns].map(column => (
+                      <th key={`ranking-filter-${column.key}`} className="pr-2 pb-1 font-normal">
+                        <input
+                          value={rankingFilters[column.key] || ""}
+                          onChange={(event) => updateRankingFilter(column.key, event.target.value)}
+                          placeholder={column.key === "name" ? "Search" : "≥"}
+                          className={`${column.key === "name" ? "w-28" : "w-14"} rounded border border-slate-200 px-1 py-0.5 text-xs focus:outline-none focus:ring-1 focus:ring-blue-500`}
+                        />
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {rankingPageRows.map(row => (
+                    <tr key={`ranking-${rankingKind}-${row.name}`} className="border-t border-slate-100">
+                      <td className="pr-2 py-0.5">
+                        <button
+                          type="button"
+                          onClick={() => focusRankedNode(rankingKind, row.name)}
+                          className="text-blue-600 hover:underline"
+                        >
+                          {row.name}
+                        </button>
+                      </td>
+                      {rankingColumns.map(column => (
+                        <td key={`ranking-${row.name}-${column.key}`} className="pr-2 py-0.5 font-mono text-slate-600">
+                          {column.integer ? (row[column.key] ?? "–") : formatCentrality(row[column.key])}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                  {rankingPageRows.length === 0 && (
+                    <tr>
+                      <td colSpan={rankingColumns.length + 1} className="py-2 text-slate-500">No rows match the filters.</td>
+                    </tr>
+                  )}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex items-center justify-between text-xs text-slate-500">
+              <span>{rankingRows.length} of {(report.rankings?.[rankingKind] || []).length} rows</span>
+              <div className="flex items-center gap-2">
+                <button
+                  type="button"
+                  onClick={() => setRankingPage(Math.max(0, activeRankingPage - 1))}
+                  disabled={activeRankingPage === 0}
+                  className="rounded-lg border px-2 py-0.5 hover:bg-slate-50 disabled:opacity-40"
+                >
+                  Prev
+                </button>
+                <span>Page {activeRankingPage + 1} / {rankingPageCount}</span>
+                <button
+                  type="button"
+                  onClick={() => setRankingPage(Math.min(rankingPageCount - 1, activeRankingPage + 1))}
+                  disabled={activeRankingPage >= rankingPageCount - 1}
+                  className="rounded-lg border px-2 py-0.5 hover:bg-slate-50 disabled:opacity-40"
+                >
+                  Next
+                </button>
+              </div>
+            </div>
+          </div>
+
+          <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+            <h3 className="font-semibold">Network export</h3>
+            <p className="text-xs text-slate-500 leading-snug">
+              Download the bipartite graph or a one-mode projection for Gephi, igraph or Pajek. Projection edges are weighted by shared seats; nodes carry degree, closeness, betweenness and clique membership.
+            </p>
+            <div className="grid grid-cols-2 gap-2 text-xs">
+              <label className="flex flex-col gap-1 text-slate-600">
+                Network
+                <select
+                  value={exportNetworkKind}
+                  onChange={(event) => setExportNetworkKind(event.target.value)}
+                  className="rounded-lg border border-slate-200 bg-white p-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {EXPORT_NETWORKS.map(option => (
+                    <option key={option.key} value={option.key}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex flex-col gap-1 text-slate-600">
+                Format
+                <select
+                  value={exportFormat}
+                  onChange={(event) => setExportFormat(event.target.value)}
+                  className="rounded-lg border border-slate-200 bg-white p-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {EXPORT_FORMATS.map(option => (
+                    <option key={option.key} value={option.key}>{option.label}</option>
+                  ))}
+                </select>
+              </label>
+            </div>
+            <button
+              type="button"
+              onClick={exportNetwork}
+              className="inline-flex items-center gap-2 rounded-xl px-3 py-2 bg-white border text-sm hover:bg-slate-50"
+            >
+              <FileDown className="h-4 w-4"/> Download network
+            </button>
+            {exportFormat === "pajek" && (
+              <p className="text-[11px] text-slate-400">Pajek .net files keep labels and weights only; use GEXF or GraphML for node attributes.</p>
+            )}
+          </div>
+
+          {snapshotDiff && (
+            <div className="bg-white rounded-2xl shadow p-4 space-y-3">
+              <h3 className="font-semibold">Changes vs previous register</h3>
+              {!snapshotDiff.hasChanges ? (
+                <p className="text-xs text-slate-500">Both registers contain the same board seats.</p>
+              ) : (
+                <dl className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm">
+                  <dt className="text-slate-500">New directors</dt><dd>{snapshotDiff.addedDirectors.length}</dd>
+                  <dt className="text-slate-500">Departed directors</dt><dd>{snapshotDiff.removedDirectors.length}</dd>
+                  <dt className="text-slate-500">New seats</dt><dd>{snapshotDiff.addedSeats.length}</dd>
+                  <dt className="text-slate-500">Departed seats</dt><dd>{snapshotDiff.removedSeats.length}</dd>
+                  <dt className="text-slate-500">New overlaps</dt><dd>{snapshotDiff.newOverlaps.length}</dd>
+                  <dt className="text-slate-500">Broken overlaps</dt><dd>{snapshotDiff.brokenOverlaps.length}</dd>
+                </dl>
+              )}
+              {[
+                ["New directors", snapshotDiff.addedDirectors, "text-emerald-700"],
+                ["Departed directors", snapshotDiff.removedDirectors, "text-rose-700"],
+                ["New companies", snapshotDiff.addedCompanies, "text-emerald-700"],
+                ["Removed companies", snapshotDiff.removedCompanies, "text-rose-700"]
+              ].filter(([, names]) => names.length > 0).map(([title, names, tone]) => (
+                <div key={title}>
+                  <div className="text-sm font-semibold mb-1">{title}</div>
+                  <div className={`text-xs ${tone}`}>{names.join(" • ")}</div>
+                </div>
+              ))}
+              {[
+                ["New company overlaps", snapshotDiff.newOverlaps, "text-emerald-700"],
+                ["Broken company overlaps", snapshotDiff.brokenOverlaps, "text-rose-700"]
+              ].filter(([, overlaps]) => overlaps.length > 0).map(([title, overlaps, tone]) => (
+                <div key={title}>
+                  <div className="text-sm font-semibold mb-1">{title}</div>
+                  <ul className="text-xs space-y-1 max-h-40 overflow-auto pr-1">
+                    {overlaps.map(o => (
+                      <li key={`${o.a}|${o.b}`} className="flex flex-col">
+                        <span className={tone}>{o.a} ↔ {o.b}</span>
+                        <span className="text-slate-500 truncate">Via: {o.via.join(" • ")}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+              {[
+                ["Director rank changes", snapshotDiff.rankChanges.directors],
+                ["Company rank changes", snapshotDiff.rankChanges.companies]
+              ].filter(([, changes]) => changes.length > 0).map(([title, changes]) => (
+                <div key={title}>
+                  <div className="text-sm font-semibold mb-1">{title}</div>
+                  <ul className="text-xs space-y-1 max-h-40 overflow-auto pr-1">
+                    {changes.map(change => (
+                      <li key={`${change.measure}-${change.name}`} className="flex justify-between gap-2">
+                        <span>{change.name} <span className="text-slate-400">({change.measure})</span></span>
+                        <span className={change.delta > 0 ? "text-emerald-700" : "text-rose-700"}>
+                          #{change.before} → #{change.after}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </div>
+          )}
+
           {/* PNG Preview & Manual Save */}
           {pngUrl && (
             <div className="bg-white rounded-2xl shadow p-4 space-y-3">
@@ -2373,6 +6352,34 @@ export default function InterlockingDirectorsApp() {
           <div className="bg-white rounded-2xl shadow p-2 h-[72vh]">
             <div className="relative h-full w-full rounded-2xl">
               <div ref={containerRef} className="h-full w-full rounded-2xl" />
+              {analysisStatus && (
+                <div className="absolute left-3 top-3 z-30 w-64 rounded-xl border border-slate-200 bg-white/95 p-2 text-xs shadow">
+                  {analysisStatus.state === "running" && (
+                    <>
+                      <div className="flex items-center justify-between gap-2">
+                        <span className="font-medium text-slate-700">Analysing · {analysisStatus.stage}</span>
+                        <button type="button" onClick={analysis.cancel} className="rounded-lg border px-2 py-0.5 hover:bg-slate-50">Cancel</button>
+                      </div>
+                      <div className="mt-2 h-1.5 w-full overflow-hidden rounded-full bg-slate-100">
+                        <div className="h-full bg-blue-500 transition-all" style={{ width: `${Math.round(analysisStatus.fraction * 100)}%` }} />
+                      </div>
+                      <p className="mt-1 text-slate-500">Showing the previous result until this run finishes.</p>
+                    </>
+                  )}
+                  {analysisStatus.state === "cancelled" && (
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-slate-600">Analysis cancelled; showing the previous result.</span>
+                      <button type="button" onClick={analysis.rerun} className="rounded-lg border px-2 py-0.5 hover:bg-slate-50">Run</button>
+                    </div>
+                  )}
+                  {analysisStatus.state === "error" && (
+                    <div className="flex items-center justify-between gap-2 text-rose-700">
+                      <span>Analysis failed: {analysisStatus.message}</span>
+                      <button type="button" onClick={analysis.rerun} className="rounded-lg border px-2 py-0.5 hover:bg-slate-50">Retry</button>
+                    </div>
+                  )}
+                </div>
+              )}
               {selectedNode && selectionPosition && (
                 <div
                   className="pointer-events-none absolute z-20"
@@ -2380,6 +6387,38 @@ export default function InterlockingDirectorsApp() {
                 >
                   <div className="pointer-events-auto -translate-x-1/2 -translate-y-4 whitespace-nowrap rounded-xl bg-white/95 px-3 py-2 text-xs shadow-lg ring-1 ring-slate-200">
                     <div className="font-semibold text-slate-700">{selectedNode.label}</div>
+                    {selectedHopCounts.length > 0 && (
+                      <ul className="mt-1 space-y-0.5 text-[11px] text-slate-600">
+                        {selectedHopCounts.map(hop => (
+                          <li key={`hop-${hop.hop}`}>
+                            <span className="font-medium text-slate-700">Hop {hop.hop}:</span>
+                            {" "}{hop.reached} {selectedNode.type === "person" ? "directors" : "companies"}
+                            <span className="text-slate-500"> via {hop.via} {selectedNode.type === "person" ? "boards" : "directors"}</span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                    {selectedSeatsWithDetail.length > 0 && (
+                      <ul className="mt-1 max-w-xs space-y-0.5 text-[11px] text-slate-600">
+                        {selectedSeatsWithDetail.slice(0, 6).map((seat, index) => {
+                          const counterpart = selectedNode.type === "person" ? seat.company : seat.person;
+                          const details = [
+                            seat.role ? SEAT_ROLES[seat.role].label : null,
+                            formatSeatPeriod(seat) || null,
+                            seat.committees.length ? seat.committees.join(", ") : null
+                          ].filter(Boolean).join(" · ");
+                          return (
+                            <li key={`${counterpart}-${index}`} className="truncate">
+                              <span className="font-medium text-slate-700">{counterpart}</span>
+                              {details ? <span className="text-slate-500"> · {details}</span> : null}
+                            </li>
+                          );
+                        })}
+                        {selectedSeatsWithDetail.length > 6 && (
+                          <li className="text-slate-400">+{selectedSeatsWithDetail.length - 6} more seats</li>
+                        )}
+                      </ul>
+                    )}
                     <button
                       type="button"
                       onClick={(event) => {
@@ -0,0 +1,2378 @@
+/**
+ * Graph construction and network analytics for the interlocking directors app.
+ * Kept free of React and DOM access so the same code runs on the main thread and inside
+ * analysis.worker.js.
+ */
+
+// Board-seat roles recognised in the Role column, with the edge style used for each
+const SEAT_ROLES = {
+  chair: { label: "Chair", color: "#7c3aed", width: 3.2 },
+  ceo: { label: "CEO", color: "#dc2626", width: 3.2 },
+  executive: { label: "Executive", color: "#0891b2", width: 2.2 },
+  independent: { label: "Independent", color: "#16a34a", width: 1.6, dashes: [6, 4] },
+  other: { label: "Other", color: "#64748b", width: 1.4 }
+};
+
+function formatSeatPeriod(seat) {
+  if (!seat.start && !seat.end) return "";
+  return `${seat.start || "?"} – ${seat.end || "present"}`;
+}
+
+function describeSeat(seat) {
+  const parts = [];
+  if (seat.role) {
+    const roleLabel = SEAT_ROLES[seat.role].label;
+    parts.push(seat.roleTitle && seat.roleTitle.toLowerCase() !== roleLabel.toLowerCase()
+      ? `Role: ${roleLabel} (${seat.roleTitle})`
+      : `Role: ${roleLabel}`);
+  }
+  const period = formatSeatPeriod(seat);
+  if (period) parts.push(`Served: ${period}`);
+  if (seat.committees.length) parts.push(`Committees: ${seat.committees.join(", ")}`);
+  return parts;
+}
+
+function unique(array) {
+  return Array.from(new Set(array));
+}
+
+// Edge colour/width/dash pattern and tooltip for a single board seat
+function seatEdgeStyle(seat) {
+  const title = [`${seat.person} → ${seat.company}`, ...describeSeat(seat)].join("\n");
+  const style = seat.role ? SEAT_ROLES[seat.role] : null;
+  if (!style) return { seat, title };
+  return {
+    seat,
+    title,
+    width: style.width,
+    dashes: style.dashes || false,
+    color: { color: style.color, highlight: style.color, opacity: 0.75 }
+  };
+}
+
+function toGraph(rows) {
+  // Build node lists
+  const people = unique(rows.map(r => r.person));
+  const companies = unique(rows.map(r => r.company));
+
+  // Maps for degree calculation
+  const degreePerson = new Map(people.map(p => [p, 0]));
+  const degreeCompany = new Map(companies.map(c => [c, 0]));
+
+  const companySets = new Map(companies.map(c => [c, new Set()]));
+  const personSets = new Map(people.map(p => [p, new Set()]));
+  const directorAdjacency = new Map(people.map(p => [p, new Set()]));
+  const companyAdjacency = new Map(companies.map(c => [c, new Set()]));
+
+  const personSeats = new Map(people.map(p => [p, []]));
+  const companySeats = new Map(companies.map(c => [c, []]));
+
+  const edges = [];
+  for (const row of rows) {
+    const { person, company } = row;
+    const seat = {
+      person,
+      company,
+      role: row.role || null,
+      roleTitle: row.roleTitle || "",
+      start: row.start || null,
+      end: row.end || null,
+      committees: row.committees || []
+    };
+    degreePerson.set(person, degreePerson.get(person) + 1);
+    degreeCompany.set(company, degreeCompany.get(company) + 1);
+    companySets.get(company).add(person);
+    personSets.get(person).add(company);
+    personSeats.get(person).push(seat);
+    companySeats.get(company).push(seat);
+    edges.push({ from: `P:${person}`, to: `C:${company}`, label: "", ...seatEdgeStyle(seat) });
+  }
+
+  const nodes = [
+    ...people.map(p => ({
+      id: `P:${p}`,
+      label: p,
+      group: "person",
+      shape: "dot",
+      size: 16 + Math.min(20, (degreePerson.get(p) - 1) * 3),
+      color: { background: "#2563eb", border: "#1e40af" },
+      font: { color: "#0b1220" }
+    })),
+    ...companies.map(c => ({
+      id: `C:${c}`,
+      label: c,
+      group: "company",
+      shape: "box",
+      margin: 8,
+      widthConstraint: { maximum: 220 },
+      color: { background: "#f59e0b", border: "#b45309" },
+      font: { color: "#0b1220" }
+    }))
+  ];
+
+  // Overlaps come from the incidence lists: every co-member pair of a board (or co-board pair of a
+  // director) is visited once, so the cost follows Σ degree² rather than all pairs of nodes.
+  // Pairs are listed in first-appearance order and `via` keeps the first node's seat order.
+  const collectOverlaps = (names, membership, reverse, contribution) => {
+    const position = new Map(names.map((name, index) => [name, index]));
+    const overlaps = [];
+    names.forEach((a, i) => {
+      const shared = new Map();
+      for (const link of membership.get(a)) {
+        for (const b of reverse.get(link)) {
+          const j = position.get(b);
+          if (j <= i) continue;
+          if (!shared.has(j)) shared.set(j, []);
+          shared.get(j).push(link);
+        }
+      }
+      [...shared.keys()].sort((x, y) => x - y).forEach(j => {
+        const via = shared.get(j);
+        const newman = via.reduce((sum, link) => sum + contribution(link), 0);
+        overlaps.push({ a, b: names[j], via, newman });
+      });
+    });
+    return overlaps;
+  };
+
+  // Company↔Company overlaps via shared directors.
+  // Newman weighting: each shared director contributes 1 / (boards they sit on − 1)
+  const companyOverlaps = collectOverlaps(companies, companySets, personSets, person => 1 / Math.max(1, personSets.get(person).size - 1));
+  for (const { a, b } of companyOverlaps) {
+    companyAdjacency.get(a).add(b);
+    companyAdjacency.get(b).add(a);
+  }
+
+  // Director↔Director overlaps via shared boards.
+  // Newman weighting: each shared board contributes 1 / (board size − 1)
+  const personOverlaps = collectOverlaps(people, personSets, companySets, company => 1 / Math.max(1, companySets.get(company).size - 1));
+  for (const { a, b } of personOverlaps) {
+    directorAdjacency.get(a).add(b);
+    directorAdjacency.get(b).add(a);
+  }
+
+  const personAffiliations = new Map([...personSets.entries()].map(([k, v]) => [k, [...v]]));
+  const companyAffiliations = new Map([...companySets.entries()].map(([k, v]) => [k, [...v]]));
+
+  return {
+    nodes,
+    edges,
+    degreePerson,
+    degreeCompany,
+    people,
+    companies,
+    companyOverlaps,
+    personOverlaps,
+    personAffiliations,
+    companyAffiliations,
+    directorAdjacency,
+    companyAdjacency,
+    personSeats,
+    companySeats
+  };
+}
+
+const TIE_WEIGHTINGS = [
+  { key: "none", label: "Unweighted" },
+  { key: "shared", label: "Shared seats" },
+  { key: "newman", label: "Newman collaboration" }
+];
+
+// name → neighbour → tie strength for one projection, or null when unweighted
+function projectionWeights(overlaps, weighting) {
+  if (!weighting || weighting === "none") return null;
+  const weights = new Map();
+  const add = (a, b, value) => {
+    if (!weights.has(a)) weights.set(a, new Map());
+    weights.get(a).set(b, value);
+  };
+  for (const overlap of overlaps) {
+    const value = weighting === "newman" ? overlap.newman : overlap.via.length;
+    add(overlap.a, overlap.b, value);
+    add(overlap.b, overlap.a, value);
+  }
+  return weights;
+}
+
+// Minimal binary heap keyed on distance for Dijkstra
+function createMinHeap() {
+  const items = [];
+  const swap = (i, j) => {
+    const tmp = items[i];
+    items[i] = items[j];
+    items[j] = tmp;
+  };
+  return {
+    get size() {
+      return items.length;
+    },
+    push(node, priority) {
+      items.push({ node, priority });
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (items[parent].priority <= items[i].priority) break;
+        swap(i, parent);
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = 2 * i + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+          if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+          if (smallest === i) break;
+          swap(i, smallest);
+          i = smallest;
+        }
+      }
+      return top;
+    }
+  };
+}
+
+// Tie strengths divided by the strongest tie, so the path length 1 / strength is at least 1 per
+// hop and weighted closeness and harmonic stay within [0, 1]. Shortest paths are unchanged.
+function pathLengthWeights(weights) {
+  if (!weights) return null;
+  let max = 0;
+  weights.forEach(row => row.forEach(value => {
+    if (value > max) max = value;
+  }));
+  if (max <= 0) return weights;
+  return new Map([...weights].map(([node, row]) => [node, new Map([...row].map(([other, value]) => [other, value / max]))]));
+}
+
+// Dijkstra/Brandes closeness and betweenness where distance = 1 / tie strength
+function computeWeightedPathMetrics(nodes, map, weights, onProgress = null) {
+  const n = nodes.length;
+  const closeness = new Map();
+  const harmonic = new Map();
+  const betweennessRaw = new Map(nodes.map(node => [node, 0]));
+  const epsilon = 1e-9;
+  const length = (a, b) => 1 / (weights.get(a)?.get(b) || 1);
+
+  for (const [position, source] of nodes.entries()) {
+    onProgress?.(position / n);
+    const distance = new Map([[source, 0]]);
+    const sigma = new Map([[source, 1]]);
+    const predecessors = new Map([[source, []]]);
+    const settled = new Set();
+    const stack = [];
+    const heap = createMinHeap();
+    heap.push(source, 0);
+
+    while (heap.size > 0) {
+      const { node: v, priority } = heap.pop();
+      if (settled.has(v) || priority > distance.get(v) + epsilon) continue;
+      settled.add(v);
+      stack.push(v);
+      for (const w of map.get(v) || []) {
+        const candidate = distance.get(v) + length(v, w);
+        const known = distance.has(w) ? distance.get(w) : Infinity;
+        if (candidate < known - epsilon) {
+          distance.set(w, candidate);
+          sigma.set(w, sigma.get(v));
+          predecessors.set(w, [v]);
+          heap.push(w, candidate);
+        } else if (Math.abs(candidate - known) <= epsilon) {
+          sigma.set(w, sigma.get(w) + sigma.get(v));
+          predecessors.get(w).push(v);
+        }
+      }
+    }
+
+    const reachable = stack.length - 1;
+    const totalDistance = stack.reduce((sum, node) => sum + distance.get(node), 0);
+    if (reachable === 0 || totalDistance <= 0) {
+      closeness.set(source, 0);
+    } else {
+      const reachRatio = n > 1 ? reachable / (n - 1) : 0;
+      closeness.set(source, reachRatio * (reachable / totalDistance));
+    }
+    const inverseDistances = stack.reduce((sum, node) => (node === source ? sum : sum + 1 / distance.get(node)), 0);
+    harmonic.set(source, n > 1 ? inverseDistances / (n - 1) : 0);
+
+    const delta = new Map(stack.map(node => [node, 0]));
+    while (stack.length) {
+      const w = stack.pop();
+      const coefficient = 1 + delta.get(w);
+      for (const v of predecessors.get(w)) {
+        delta.set(v, delta.get(v) + (sigma.get(v) / sigma.get(w)) * coefficient);
+      }
+      if (w !== source) betweennessRaw.set(w, betweennessRaw.get(w) + delta.get(w));
+    }
+  }
+
+  return { closeness, harmonic, betweennessRaw };
+}
+
+// Eigenvector (max = 1), PageRank (sums to 1) and Katz (max = 1) by power iteration.
+// Eigenvector iterates on A + I so bipartite-like structures still converge.
+function computeSpectralMetrics(nodes, map, weights = null) {
+  const eigenvector = new Map();
+  const pagerank = new Map();
+  const katz = new Map();
+  const n = nodes.length;
+  if (n === 0) return { eigenvector, pagerank, katz };
+
+  const weightOf = (a, b) => (weights ? (weights.get(a)?.get(b) || 0) : 1);
+  const maxIterations = 200;
+  const tolerance = 1e-10;
+  const scaleToMax = (values) => {
+    const max = Math.max(...values.values());
+    values.forEach((value, node) => values.set(node, max > 0 ? value / max : 0));
+    return values;
+  };
+
+  let x = new Map(nodes.map(node => [node, 1 / n]));
+  let lambda = 0;
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const next = new Map();
+    for (const node of nodes) {
+      let total = x.get(node);
+      for (const neighbor of map.get(node) || []) total += weightOf(node, neighbor) * x.get(neighbor);
+      next.set(node, total);
+    }
+    const norm = Math.sqrt([...next.values()].reduce((sum, value) => sum + value * value, 0)) || 1;
+    let change = 0;
+    for (const node of nodes) {
+      const value = next.get(node) / norm;
+      change += Math.abs(value - x.get(node));
+      next.set(node, value);
+    }
+    x = next;
+    if (change < n * tolerance) break;
+  }
+  let numerator = 0;
+  let denominator = 0;
+  for (const node of nodes) {
+    let product = 0;
+    for (const neighbor of map.get(node) || []) product += weightOf(node, neighbor) * x.get(neighbor);
+    numerator += x.get(node) * product;
+    denominator += x.get(node) * x.get(node);
+  }
+  lambda = denominator > 0 ? numerator / denominator : 0;
+  x.forEach((value, node) => eigenvector.set(node, value));
+  scaleToMax(eigenvector);
+
+  const damping = 0.85;
+  const outStrength = new Map(nodes.map(node => {
+    let total = 0;
+    for (const neighbor of map.get(node) || []) total += weightOf(node, neighbor);
+    return [node, total];
+  }));
+  let rank = new Map(nodes.map(node => [node, 1 / n]));
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let dangling = 0;
+    for (const node of nodes) if (outStrength.get(node) === 0) dangling += rank.get(node);
+    const base = (1 - damping) / n + (damping * dangling) / n;
+    const next = new Map(nodes.map(node => [node, base]));
+    for (const node of nodes) {
+      const total = outStrength.get(node);
+      if (total === 0) continue;
+      const share = (damping * rank.get(node)) / total;
+      for (const neighbor of map.get(node) || []) next.set(neighbor, next.get(neighbor) + share * weightOf(node, neighbor));
+    }
+    let change = 0;
+    for (const node of nodes) change += Math.abs(next.get(node) - rank.get(node));
+    rank = next;
+    if (change < n * tolerance) break;
+  }
+  rank.forEach((value, node) => pagerank.set(node, value));
+
+  // Attenuation kept below 1/λ so the Katz series converges
+  const alpha = lambda > 0 ? 0.85 / lambda : 0.1;
+  let k = new Map(nodes.map(node => [node, 1]));
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    const next = new Map();
+    let change = 0;
+    for (const node of nodes) {
+      let total = 0;
+      for (const neighbor of map.get(node) || []) total += weightOf(node, neighbor) * k.get(neighbor);
+      const value = 1 + alpha * total;
+      change += Math.abs(value - k.get(node));
+      next.set(node, value);
+    }
+    k = next;
+    if (change < n * tolerance) break;
+  }
+  k.forEach((value, node) => katz.set(node, value));
+  scaleToMax(katz);
+
+  return { eigenvector, pagerank, katz };
+}
+
+// Seeded PRNG (mulberry32) so sampled estimates are reproducible run to run
+function createRandom(seed = 1) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Above `autoThreshold` nodes (well above the largest budget) a projection switches to sampled
+// closeness/betweenness unless the user forces exact figures. Budgets trade accuracy
+// (error ~ 1/√pivots) for time; a budget covering `exactShare` of the nodes runs exact instead.
+const CENTRALITY_SAMPLING = {
+  autoThreshold: 2000,
+  exactShare: 0.9,
+  modes: [
+    { key: "auto", label: "Automatic" },
+    { key: "exact", label: "Always exact" },
+    { key: "approximate", label: "Always estimate" }
+  ],
+  budgets: [
+    { key: "fast", label: "Fast (100 pivots)", pivots: 100 },
+    { key: "balanced", label: "Balanced (300 pivots)", pivots: 300 },
+    { key: "precise", label: "Precise (1000 pivots)", pivots: 1000 }
+  ]
+};
+
+// Number of pivot sources to sample for a graph of `nodeCount` nodes, or null for exact figures
+function resolvePivotCount(nodeCount, sampling) {
+  const mode = sampling?.mode || "auto";
+  if (mode === "exact") return null;
+  if (mode === "auto" && nodeCount <= CENTRALITY_SAMPLING.autoThreshold) return null;
+  const budget = CENTRALITY_SAMPLING.budgets.find(option => option.key === sampling?.budget) || CENTRALITY_SAMPLING.budgets[1];
+  return budget.pivots < nodeCount * CENTRALITY_SAMPLING.exactShare ? budget.pivots : null;
+}
+
+// `count` distinct nodes chosen uniformly (partial Fisher–Yates with a fixed seed)
+function samplePivots(nodes, count) {
+  const pool = nodes.slice();
+  const random = createRandom(pool.length);
+  for (let i = 0; i < count; i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count);
+}
+
+// Single-source shortest paths (BFS, or Dijkstra on 1 / tie strength) with Brandes bookkeeping
+function shortestPathTree(source, map, weights) {
+  const distance = new Map([[source, 0]]);
+  const sigma = new Map([[source, 1]]);
+  const predecessors = new Map([[source, []]]);
+  const stack = [];
+  const relax = (v, w, candidate, onCloser) => {
+    const known = distance.has(w) ? distance.get(w) : Infinity;
+    if (candidate < known - 1e-9) {
+      distance.set(w, candidate);
+      sigma.set(w, sigma.get(v));
+      predecessors.set(w, [v]);
+      onCloser(w, candidate);
+    } else if (Math.abs(candidate - known) <= 1e-9) {
+      sigma.set(w, sigma.get(w) + sigma.get(v));
+      predecessors.get(w).push(v);
+    }
+  };
+  if (!weights) {
+    const queue = [source];
+    for (let i = 0; i < queue.length; i++) {
+      const v = queue[i];
+      stack.push(v);
+      for (const w of map.get(v) || []) relax(v, w, distance.get(v) + 1, (node) => queue.push(node));
+    }
+  } else {
+    const settled = new Set();
+    const heap = createMinHeap();
+    heap.push(source, 0);
+    while (heap.size > 0) {
+      const { node: v, priority } = heap.pop();
+      if (settled.has(v) || priority > distance.get(v) + 1e-9) continue;
+      settled.add(v);
+      stack.push(v);
+      for (const w of map.get(v) || []) {
+        relax(v, w, distance.get(v) + 1 / (weights.get(v)?.get(w) || 1), (node, candidate) => heap.push(node, candidate));
+      }
+    }
+  }
+  return { distance, sigma, predecessors, stack };
+}
+
+// Brandes–Pich pivot sampling: betweenness from `sources` scaled by n / k, and closeness/harmonic
+// estimated for every node from its distances to the sampled sources.
+function computeSampledPathMetrics(nodes, map, weights, sources, onProgress = null) {
+  const n = nodes.length;
+  const k = sources.length;
+  const sourceSet = new Set(sources);
+  const betweennessRaw = new Map(nodes.map(node => [node, 0]));
+  const reached = new Map(nodes.map(node => [node, { count: 0, sum: 0, inverse: 0 }]));
+
+  sources.forEach((source, position) => {
+    onProgress?.(position / k);
+    const { distance, sigma, predecessors, stack } = shortestPathTree(source, map, weights);
+    distance.forEach((d, node) => {
+      if (node === source) return;
+      const entry = reached.get(node);
+      entry.count += 1;
+      entry.sum += d;
+      entry.inverse += 1 / d;
+    });
+    const delta = new Map(stack.map(node => [node, 0]));
+    while (stack.length) {
+      const w = stack.pop();
+      for (const v of predecessors.get(w)) {
+        delta.set(v, delta.get(v) + (sigma.get(v) / sigma.get(w)) * (1 + delta.get(w)));
+      }
+      if (w !== source) betweennessRaw.set(w, betweennessRaw.get(w) + delta.get(w));
+    }
+  });
+
+  const closeness = new Map();
+  const harmonic = new Map();
+  const betweenness = new Map();
+  const denom = n > 2 ? ((n - 1) * (n - 2) / 2) : 0;
+  for (const node of nodes) {
+    const { count, sum, inverse } = reached.get(node);
+    const samples = k - (sourceSet.has(node) ? 1 : 0);
+    closeness.set(node, samples > 0 && sum > 0 ? (count / samples) * (count / sum) : 0);
+    harmonic.set(node, samples > 0 ? inverse / samples : 0);
+    const rawValue = (betweennessRaw.get(node) * (n / k)) / 2;
+    betweenness.set(node, denom > 0 ? rawValue / denom : 0);
+  }
+  return { closeness, harmonic, betweenness };
+}
+
+function computeCentralization(values) {
+  if (!values || values.length === 0) return 0;
+  const max = Math.max(...values);
+  if (max <= 0) return 0;
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const result = (max - mean) / max;
+  return Number(result.toFixed(4));
+}
+
+// With `weights` (see projectionWeights) closeness and betweenness follow weighted shortest
+// paths and `strength` holds the weighted degree; otherwise all paths count one step per tie.
+// `onProgress(fraction)` is called as source nodes are processed. With `pivots` below the node
+// count, closeness, harmonic and betweenness are estimated from that many sampled sources and
+// `approximate` records the sample size and the sources. `pivots` may also be a list of source
+// nodes, so another graph can be sampled from the same sources.
+function computeCentralityMetrics(adjacency, weights = null, onProgress = null, pivots = null) {
+  const map = adjacency instanceof Map ? adjacency : new Map();
+  const nodes = Array.from(map.keys());
+  const n = nodes.length;
+
+  const degree = new Map();
+  const degreeRaw = new Map();
+  const strength = new Map();
+  const closeness = new Map();
+  const harmonic = new Map();
+  const betweenness = new Map();
+
+  if (n === 0) {
+    return {
+      degree,
+      degreeRaw,
+      strength,
+      closeness,
+      harmonic,
+      betweenness,
+      eigenvector: new Map(),
+      pagerank: new Map(),
+      katz: new Map(),
+      weighted: Boolean(weights),
+      approximate: null,
+      centralization: { degree: 0, closeness: 0, betweenness: 0 }
+    };
+  }
+
+  for (const node of nodes) {
+    const neighbors = map.get(node) || new Set();
+    const raw = neighbors.size;
+    degreeRaw.set(node, raw);
+    degree.set(node, n > 1 ? raw / (n - 1) : 0);
+    let total = 0;
+    for (const neighbor of neighbors) total += weights ? (weights.get(node)?.get(neighbor) || 0) : 1;
+    strength.set(node, total);
+  }
+
+  const sources = Array.isArray(pivots)
+    ? pivots.filter(node => map.has(node))
+    : pivots && pivots < n ? samplePivots(nodes, pivots) : null;
+  if (sources && sources.length > 0 && sources.length < n) {
+    const sampled = computeSampledPathMetrics(nodes, map, pathLengthWeights(weights), sources, onProgress);
+    return {
+      degree,
+      degreeRaw,
+      strength,
+      closeness: sampled.closeness,
+      harmonic: sampled.harmonic,
+      betweenness: sampled.betweenness,
+      ...computeSpectralMetrics(nodes, map, weights),
+      weighted: Boolean(weights),
+      approximate: { sources: sources.length, nodes: n, sourceNodes: sources },
+      centralization: {
+        degree: computeCentralization([...degree.values()]),
+        closeness: computeCentralization([...sampled.closeness.values()]),
+        betweenness: computeCentralization([...sampled.betweenness.values()])
+      }
+    };
+  }
+
+  if (weights) {
+    const weighted = computeWeightedPathMetrics(nodes, map, pathLengthWeights(weights), onProgress);
+    weighted.closeness.forEach((value, node) => closeness.set(node, value));
+    weighted.harmonic.forEach((value, node) => harmonic.set(node, value));
+    const weightedDenom = n > 2 ? ((n - 1) * (n - 2) / 2) : 0;
+    for (const node of nodes) {
+      const rawValue = weighted.betweennessRaw.get(node) / 2;
+      betweenness.set(node, weightedDenom > 0 ? rawValue / weightedDenom : 0);
+    }
+    return {
+      degree,
+      degreeRaw,
+      strength,
+      closeness,
+      harmonic,
+      betweenness,
+      ...computeSpectralMetrics(nodes, map, weights),
+      weighted: true,
+      approximate: null,
+      centralization: {
+        degree: computeCentralization([...degree.values()]),
+        closeness: computeCentralization([...closeness.values()]),
+        betweenness: computeCentralization([...betweenness.values()])
+      }
+    };
+  }
+
+  for (const [position, source] of nodes.entries()) {
+    onProgress?.(position / (2 * n));
+    const distances = new Map(nodes.map(node => [node, Infinity]));
+    distances.set(source, 0);
+    const queue = [source];
+    for (let i = 0; i < queue.length; i++) {
+      const current = queue[i];
+      const currentDistance = distances.get(current);
+      const neighbors = map.get(current) || new Set();
+      for (const neighbor of neighbors) {
+        if (distances.get(neighbor) === Infinity) {
+          distances.set(neighbor, currentDistance + 1);
+          queue.push(neighbor);
+        }
+      }
+    }
+
+    const reachableDistances = [];
+    distances.forEach((dist, node) => {
+      if (node !== source && Number.isFinite(dist) && dist > 0) reachableDistances.push(dist);
+    });
+
+    const inverseDistances = reachableDistances.reduce((sum, dist) => sum + 1 / dist, 0);
+    harmonic.set(source, n > 1 ? inverseDistances / (n - 1) : 0);
+
+    if (reachableDistances.length === 0) {
+      closeness.set(source, 0);
+    } else {
+      const totalDistance = reachableDistances.reduce((a, b) => a + b, 0);
+      const reachableCount = reachableDistances.length;
+      const reachRatio = n > 1 ? reachableCount / (n - 1) : 0;
+      const proximity = totalDistance > 0 ? reachableCount / totalDistance : 0;
+      closeness.set(source, reachRatio * proximity);
+    }
+  }
+
+  const betweennessRaw = new Map(nodes.map(node => [node, 0]));
+  for (const [position, source] of nodes.entries()) {
+    onProgress?.((n + position) / (2 * n));
+    const stack = [];
+    const predecessors = new Map(nodes.map(node => [node, []]));
+    const sigma = new Map(nodes.map(node => [node, 0]));
+    const distance = new Map(nodes.map(node => [node, -1]));
+
+    sigma.set(source, 1);
+    distance.set(source, 0);
+
+    const queue = [source];
+    let qIndex = 0;
+    while (qIndex < queue.length) {
+      const v = queue[qIndex++];
+      stack.push(v);
+      const neighbors = map.get(v) || new Set();
+      for (const neighbor of neighbors) {
+        if (distance.get(neighbor) === -1) {
+          distance.set(neighbor, distance.get(v) + 1);
+          queue.push(neighbor);
+        }
+        if (distance.get(neighbor) === distance.get(v) + 1) {
+          sigma.set(neighbor, sigma.get(neighbor) + sigma.get(v));
+          predecessors.get(neighbor).push(v);
+        }
+      }
+    }
+
+    const delta = new Map(nodes.map(node => [node, 0]));
+    while (stack.length) {
+      const w = stack.pop();
+      const coefficient = 1 + delta.get(w);
+      for (const v of predecessors.get(w)) {
+        const sigmaW = sigma.get(w);
+        if (sigmaW === 0) continue;
+        const contribution = (sigma.get(v) / sigmaW) * coefficient;
+        delta.set(v, delta.get(v) + contribution);
+      }
+      if (w !== source) {
+        betweennessRaw.set(w, betweennessRaw.get(w) + delta.get(w));
+      }
+    }
+  }
+
+  const denom = n > 2 ? ((n - 1) * (n - 2) / 2) : 0;
+  for (const node of nodes) {
+    const rawValue = betweennessRaw.get(node) / 2; // undirected graph
+    betweenness.set(node, denom > 0 ? rawValue / denom : 0);
+  }
+
+  const centralization = {
+    degree: computeCentralization([...degree.values()]),
+    closeness: computeCentralization([...closeness.values()]),
+    betweenness: computeCentralization([...betweenness.values()])
+
+  };
+
+  const { eigenvector, pagerank, katz } = computeSpectralMetrics(nodes, map);
+
+  return {
+    degree,
+    degreeRaw,
+    strength,
+    closeness,
+    harmonic,
+    betweenness,
+    eigenvector,
+    pagerank,
+    katz,
+    weighted: false,
+    approximate: null,
+    centralization
+  };
+}
+
+// Director–company adjacency keyed by node id ("P:name" / "C:name")
+function bipartiteAdjacency(graph) {
+  const adjacency = new Map();
+  for (const name of graph.people || []) adjacency.set(`P:${name}`, (graph.personAffiliations.get(name) || []).map(c => `C:${c}`));
+  for (const name of graph.companies || []) adjacency.set(`C:${name}`, (graph.companyAffiliations.get(name) || []).map(p => `P:${p}`));
+  return adjacency;
+}
+
+// Borgatti–Everett two-mode degree, closeness and betweenness on the director–company graph.
+// Each score is normalised against the maximum attainable for the node's own mode; closeness
+// uses the mode sizes within the node's component, scaled by reach as in the projections.
+function computeBipartiteCentrality(graph, pivots = null) {
+  const people = graph.people || [];
+  const companies = graph.companies || [];
+  const adjacency = bipartiteAdjacency(graph);
+  const ids = [...adjacency.keys()];
+  const total = ids.length;
+
+  // With pivots, only sampled sources are searched: betweenness is scaled by total / k and each
+  // node's distances to the sampled sources of each mode stand in for its full BFS.
+  const sources = pivots && pivots < total ? samplePivots(ids, pivots) : ids;
+  const sampled = sources !== ids;
+  const sampledReach = sampled ? new Map(ids.map(id => [id, { P: { count: 0, sum: 0 }, C: { count: 0, sum: 0 } }])) : null;
+
+  const closenessRaw = new Map();
+  const betweennessRaw = new Map(ids.map(id => [id, 0]));
+  for (const source of sources) {
+    const distance = new Map([[source, 0]]);
+    const sigma = new Map([[source, 1]]);
+    const predecessors = new Map([[source, []]]);
+    const stack = [];
+    const queue = [source];
+    for (let i = 0; i < queue.length; i++) {
+      const v = queue[i];
+      stack.push(v);
+      for (const w of adjacency.get(v)) {
+        if (!distance.has(w)) {
+          distance.set(w, distance.get(v) + 1);
+          sigma.set(w, 0);
+          predecessors.set(w, []);
+          queue.push(w);
+        }
+        if (distance.get(w) === distance.get(v) + 1) {
+          sigma.set(w, sigma.get(w) + sigma.get(v));
+          predecessors.get(w).push(v);
+        }
+      }
+    }
+    if (sampled) {
+      distance.forEach((value, id) => {
+        if (id === source) return;
+        const entry = sampledReach.get(id)[source[0]];
+        entry.count += 1;
+        entry.sum += value;
+      });
+    } else {
+      let sum = 0;
+      let sameMode = 0;
+      distance.forEach((value, id) => {
+        if (id === source) return;
+        sum += value;
+        if (id[0] === source[0]) sameMode += 1;
+      });
+      closenessRaw.set(source, { sum, reached: distance.size - 1, sameMode: sameMode + 1, otherMode: distance.size - 1 - sameMode });
+    }
+
+    const delta = new Map(stack.map(id => [id, 0]));
+    while (stack.length) {
+      const w = stack.pop();
+      for (const v of predecessors.get(w)) {
+        delta.set(v, delta.get(v) + (sigma.get(v) / sigma.get(w)) * (1 + delta.get(w)));
+      }
+      if (w !== source) betweennessRaw.set(w, betweennessRaw.get(w) + delta.get(w));
+    }
+  }
+
+  if (sampled) {
+    const modeSize = { P: people.length, C: companies.length };
+    const sampledByMode = { P: 0, C: 0 };
+    const sourceSet = new Set(sources);
+    sources.forEach(id => { sampledByMode[id[0]] += 1; });
+    for (const id of ids) {
+      const own = id[0];
+      const other = own === "P" ? "C" : "P";
+      const scale = (mode, population) => {
+        const samples = sampledByMode[mode] - (mode === own && sourceSet.has(id) ? 1 : 0);
+        const entry = sampledReach.get(id)[mode];
+        return samples > 0 ? { count: (entry.count * population) / samples, sum: (entry.sum * population) / samples } : { count: 0, sum: 0 };
+      };
+      const same = scale(own, modeSize[own] - 1);
+      const across = scale(other, modeSize[other]);
+      closenessRaw.set(id, { sum: same.sum + across.sum, reached: same.count + across.count, sameMode: same.count + 1, otherMode: across.count });
+    }
+    const factor = total / sources.length;
+    betweennessRaw.forEach((value, id) => betweennessRaw.set(id, value * factor));
+  }
+
+  // n = size of the node's own mode, m = size of the other mode
+  const betweennessMax = (n, m) => {
+    if (m === 0) return 0;
+    const s = Math.floor((n - 1) / m);
+    const t = (n - 1) % m;
+    return ((m ** 2) * ((s + 1) ** 2) + m * (s + 1) * (2 * t - s - 1) - t * (2 * s - t + 3)) / 2;
+  };
+
+  const score = (names, prefix, n, m) => {
+    const degree = new Map();
+    const closeness = new Map();
+    const betweenness = new Map();
+    const maxBetweenness = betweennessMax(n, m);
+    for (const name of names) {
+      const id = `${prefix}${name}`;
+      degree.set(name, m > 0 ? adjacency.get(id).length / m : 0);
+      const { sum, reached, sameMode, otherMode } = closenessRaw.get(id);
+      const reachRatio = total > 1 ? reached / (total - 1) : 0;
+      closeness.set(name, sum > 0 ? ((otherMode + 2 * (sameMode - 1)) / sum) * reachRatio : 0);
+      betweenness.set(name, maxBetweenness > 0 ? (betweennessRaw.get(id) / 2) / maxBetweenness : 0);
+    }
+    return { degree, closeness, betweenness };
+  };
+
+  return {
+    directors: score(people, "P:", people.length, companies.length),
+    companies: score(companies, "C:", companies.length, people.length),
+    approximate: sampled ? { sources: sources.length, nodes: total } : null
+  };
+}
+
+const PATH_LIMITS = { maxPaths: 200, maxK: 10 };
+
+// Shortest route from source to target that avoids blocked nodes and seats (plain BFS)
+function blockedShortestPath(adjacency, source, target, blockedNodes, blockedEdges) {
+  const previous = new Map([[source, null]]);
+  const queue = [source];
+  for (let i = 0; i < queue.length; i++) {
+    const v = queue[i];
+    if (v === target) break;
+    for (const w of adjacency.get(v) || []) {
+      if (previous.has(w) || blockedNodes.has(w) || blockedEdges.has(pairKey(v, w))) continue;
+      previous.set(w, v);
+      queue.push(w);
+    }
+  }
+  if (!previous.has(target)) return null;
+  const path = [];
+  for (let node = target; node !== null; node = previous.get(node)) path.push(node);
+  return path.reverse();
+}
+
+// Yen's algorithm: the k shortest simple paths, in order of length
+function kShortestPaths(adjacency, source, target, k) {
+  const first = blockedShortestPath(adjacency, source, target, new Set(), new Set());
+  if (!first) return [];
+  const accepted = [first];
+  const seen = new Set([first.join("\u0000")]);
+  const candidates = [];
+  while (accepted.length < k) {
+    const previous = accepted[accepted.length - 1];
+    for (let j = 0; j < previous.length - 1; j++) {
+      const spur = previous[j];
+      const root = previous.slice(0, j + 1);
+      const blockedEdges = new Set();
+      for (const path of accepted) {
+        if (path.length > j + 1 && root.every((node, index) => path[index] === node)) {
+          blockedEdges.add(pairKey(path[j], path[j + 1]));
+        }
+      }
+      const blockedNodes = new Set(root.slice(0, -1));
+      const spurPath = blockedShortestPath(adjacency, spur, target, blockedNodes, blockedEdges);
+      if (!spurPath) continue;
+      const candidate = [...root.slice(0, -1), ...spurPath];
+      const key = candidate.join("\u0000");
+      if (seen.has(key)) continue;
+      seen.add(key);
+      candidates.push(candidate);
+    }
+    if (candidates.length === 0) break;
+    candidates.sort((a, b) => a.length - b.length || a.join("|").localeCompare(b.join("|")));
+    accepted.push(candidates.shift());
+  }
+  return accepted;
+}
+
+// Chains linking two nodes of the director–company graph. Without k every shortest path is
+// listed (up to PATH_LIMITS.maxPaths); with k the k shortest simple paths, which may be longer.
+// Each step carries the seat joining it to the previous node.
+function findPaths(graph, fromId, toId, k = null) {
+  const empty = { from: fromId, to: toId, k, distance: null, paths: [], truncated: false };
+  const inGraph = (id) => (id.startsWith("P:") ? graph.personAffiliations : graph.companyAffiliations)?.has(id.slice(2));
+  if (!fromId || !toId || fromId === toId || !inGraph(fromId) || !inGraph(toId)) return empty;
+  const adjacency = bipartiteAdjacency(graph);
+
+  let nodePaths;
+  let truncated = false;
+  if (k) {
+    nodePaths = kShortestPaths(adjacency, fromId, toId, Math.min(k, PATH_LIMITS.maxK));
+  } else {
+    const { distance, predecessors } = shortestPathTree(fromId, adjacency, null);
+    if (!distance.has(toId)) return empty;
+    nodePaths = [];
+    const walk = (node, suffix) => {
+      if (nodePaths.length >= PATH_LIMITS.maxPaths) {
+        truncated = true;
+        return;
+      }
+      if (node === fromId) {
+        nodePaths.push([fromId, ...suffix]);
+        return;
+      }
+      for (const previous of predecessors.get(node)) walk(previous, [node, ...suffix]);
+    };
+    walk(toId, []);
+    nodePaths.sort((a, b) => a.join("|").localeCompare(b.join("|")));
+  }
+  if (nodePaths.length === 0) return empty;
+
+  const seatFor = (a, b) => {
+    const [personId, companyId] = a.startsWith("P:") ? [a, b] : [b, a];
+    return (graph.personSeats?.get(personId.slice(2)) || []).find(seat => seat.company === companyId.slice(2)) || null;
+  };
+  const paths = nodePaths.map(nodes => ({
+    length: nodes.length - 1,
+    steps: nodes.map((id, index) => ({
+      id,
+      name: id.slice(2),
+      type: id.startsWith("P:") ? "person" : "company",
+      seat: index > 0 ? seatFor(nodes[index - 1], id) : null
+    }))
+  }));
+  return { ...empty, distance: paths[0].length, paths, truncated };
+}
+
+function rankCentrality(map, rawMap = null, limit = 3) {
+  if (!(map instanceof Map)) return [];
+  const entries = Array.from(map.entries()).map(([name, score]) => ({
+    name,
+    score,
+    connections: rawMap instanceof Map ? (rawMap.get(name) ?? 0) : undefined
+  }));
+  entries.sort((a, b) => {
+    if (b.score !== a.score) return b.score - a.score;
+    return a.name.localeCompare(b.name);
+  });
+  return entries.slice(0, limit);
+}
+
+// Enumeration budget shared by cliques, k-plexes and n-clans. Dense registers can have
+// exponentially many maximal groups, so searches stop at whichever limit is hit first and
+// report `truncated: "timeout" | "cap"` alongside the partial results.
+const CLIQUE_LIMITS = { timeoutMs: 4000, maxResults: 5000 };
+
+// Returns true once the search should stop; checks the clock every 256 calls
+function createSearchBudget(limits = CLIQUE_LIMITS) {
+  const deadline = Date.now() + limits.timeoutMs;
+  let calls = 0;
+  const budget = {
+    truncated: null,
+    exhausted(resultCount) {
+      if (budget.truncated) return true;
+      if (resultCount >= limits.maxResults) budget.truncated = "cap";
+      else if ((++calls & 255) === 0 && Date.now() > deadline) budget.truncated = "timeout";
+      return budget.truncated !== null;
+    }
+  };
+  return budget;
+}
+
+// `onProgress(fraction)` tracks the top-level Bron–Kerbosch branches
+function findCliques(adjacency, minSize = 3, onProgress = null, limits = CLIQUE_LIMITS) {
+  const map = adjacency instanceof Map ? adjacency : new Map();
+  const budget = createSearchBudget(limits);
+
+  const run = (threshold) => {
+    const nodes = Array.from(map.keys()).sort((a, b) => a.localeCompare(b));
+    const results = [];
+    const seen = new Set();
+
+    const bronKerbosch = (R, P, X) => {
+      if (budget.exhausted(results.length)) return;
+      if (P.size === 0 && X.size === 0) {
+        if (R.size >= threshold) {
+          const clique = Array.from(R).sort((a, b) => a.localeCompare(b));
+          const key = clique.join("||");
+          if (!seen.has(key)) {
+            seen.add(key);
+            results.push(clique);
+          }
+        }
+        return;
+      }
+
+      let pivot = null;
+      const union = new Set([...P, ...X]);
+      if (union.size > 0) {
+        pivot = union.values().next().value;
+      }
+      const pivotNeighbors = pivot ? (map.get(pivot) || new Set()) : new Set();
+      const candidates = [...P].filter(v => !pivotNeighbors.has(v));
+      for (const [position, v] of candidates.entries()) {
+        if (R.size === 0) onProgress?.(position / candidates.length);
+        const neighbors = map.get(v) || new Set();
+        const newR = new Set(R);
+        newR.add(v);
+        const newP = new Set([...P].filter(u => neighbors.has(u)));
+        const newX = new Set([...X].filter(u => neighbors.has(u)));
+        bronKerbosch(newR, newP, newX);
+        if (budget.truncated) return;
+        P.delete(v);
+        X.add(v);
+      }
+    };
+
+    bronKerbosch(new Set(), new Set(nodes), new Set());
+
+    results.sort((a, b) => {
+      if (b.length !== a.length) return b.length - a.length;
+      return a.join("|").localeCompare(b.join("|"));
+    });
+
+    return { cliques: results, threshold, truncated: budget.truncated };
+  };
+
+  const initial = run(minSize);
+  if (initial.cliques.length === 0 && minSize > 2 && !initial.truncated) {
+    return run(2);
+  }
+  return initial;
+}
+
+// Batagelj–Zaversnik core numbers: the largest k such that the node is in the k-core
+function computeCoreNumbers(adjacency) {
+  const degree = new Map();
+  adjacency.forEach((neighbors, node) => degree.set(node, neighbors.size));
+  const buckets = [];
+  degree.forEach((value, node) => {
+    if (!buckets[value]) buckets[value] = new Set();
+    buckets[value].add(node);
+  });
+  const core = new Map();
+  for (let k = 0; k < buckets.length; k++) {
+    while (buckets[k] && buckets[k].size > 0) {
+      const node = buckets[k].values().next().value;
+      buckets[k].delete(node);
+      core.set(node, k);
+      for (const neighbor of adjacency.get(node)) {
+        if (core.has(neighbor)) continue;
+        const value = degree.get(neighbor);
+        if (value > k) {
+          buckets[value].delete(neighbor);
+          degree.set(neighbor, value - 1);
+          if (!buckets[value - 1]) buckets[value - 1] = new Set();
+          buckets[value - 1].add(neighbor);
+        }
+      }
+    }
+  }
+  return core;
+}
+
+// Connected pieces of the k-core (nodes with core number ≥ k)
+function findKCores(adjacency, k) {
+  const core = computeCoreNumbers(adjacency);
+  const members = new Set([...core.entries()].filter(([, value]) => value >= k).map(([node]) => node));
+  const seen = new Set();
+  const groups = [];
+  for (const start of [...members].sort((a, b) => a.localeCompare(b))) {
+    if (seen.has(start)) continue;
+    const component = [];
+    const queue = [start];
+    seen.add(start);
+    for (let i = 0; i < queue.length; i++) {
+      component.push(queue[i]);
+      for (const neighbor of adjacency.get(queue[i])) {
+        if (members.has(neighbor) && !seen.has(neighbor)) {
+          seen.add(neighbor);
+          queue.push(neighbor);
+        }
+      }
+    }
+    if (component.length >= 2) groups.push(component.sort((a, b) => a.localeCompare(b)));
+  }
+  return { groups, truncated: null, maxParameter: Math.max(1, ...core.values()) };
+}
+
+// Maximal k-plexes (every member tied to all but at most k − 1 others) of at least 2k − 1 and at
+// least 3 members. Such groups have diameter ≤ 2, so each search is seeded from one node and its
+// second-order neighbourhood.
+function findKPlexes(adjacency, k, limits = CLIQUE_LIMITS) {
+  const nodes = Array.from(adjacency.keys()).sort((a, b) => a.localeCompare(b));
+  const order = new Map(nodes.map((node, index) => [node, index]));
+  const minSize = Math.max(3, 2 * k - 1);
+  const budget = createSearchBudget(limits);
+  const results = [];
+  const linked = (a, b) => adjacency.get(a).has(b);
+
+  // Would R ∪ {v} still be a k-plex? `inside` holds each member's tie count within R.
+  const extends_ = (R, inside, v) => {
+    const size = R.length + 1;
+    let own = 0;
+    for (const u of R) {
+      const tied = linked(u, v);
+      if (tied) own += 1;
+      if (inside.get(u) + (tied ? 1 : 0) < size - k) return false;
+    }
+    return own >= size - k;
+  };
+
+  const expand = (R, inside, P, X) => {
+    if (budget.exhausted(results.length)) return;
+    if (P.length === 0) {
+      if (X.length === 0 && R.length >= minSize) results.push(R.slice().sort((a, b) => a.localeCompare(b)));
+      return;
+    }
+    for (let i = 0; i < P.length; i++) {
+      const v = P[i];
+      const nextInside = new Map(inside);
+      let own = 0;
+      for (const u of R) {
+        if (linked(u, v)) {
+          nextInside.set(u, nextInside.get(u) + 1);
+          own += 1;
+        }
+      }
+      nextInside.set(v, own);
+      const nextR = [...R, v];
+      expand(
+        nextR,
+        nextInside,
+        P.slice(i + 1).filter(u => extends_(nextR, nextInside, u)),
+        [...X, ...P.slice(0, i)].filter(u => extends_(nextR, nextInside, u))
+      );
+      if (budget.truncated) return;
+    }
+  };
+
+  for (const seed of nodes) {
+    const reach = new Set();
+    for (const neighbor of adjacency.get(seed)) {
+      reach.add(neighbor);
+      for (const second of adjacency.get(neighbor)) if (second !== seed) reach.add(second);
+    }
+    const later = [...reach].filter(node => order.get(node) > order.get(seed)).sort((a, b) => order.get(a) - order.get(b));
+    const earlier = [...reach].filter(node => order.get(node) < order.get(seed));
+    const inside = new Map([[seed, 0]]);
+    expand([seed], inside, later.filter(u => extends_([seed], inside, u)), earlier.filter(u => extends_([seed], inside, u)));
+    if (budget.truncated) break;
+  }
+  return { groups: results, truncated: budget.truncated };
+}
+
+// n-clans: maximal sets within distance n of each other (n-cliques, found as cliques of the
+// n-th power graph) whose own induced subgraph also has diameter ≤ n
+function findNClans(adjacency, n, limits = CLIQUE_LIMITS) {
+  const power = new Map();
+  adjacency.forEach((_, source) => {
+    const distance = new Map([[source, 0]]);
+    const queue = [source];
+    for (let i = 0; i < queue.length; i++) {
+      const v = queue[i];
+      if (distance.get(v) === n) continue;
+      for (const w of adjacency.get(v)) {
+        if (!distance.has(w)) {
+          distance.set(w, distance.get(v) + 1);
+          queue.push(w);
+        }
+      }
+    }
+    distance.delete(source);
+    power.set(source, new Set(distance.keys()));
+  });
+
+  const nCliques = findCliques(power, 3, null, limits);
+  const withinDiameter = (members) => {
+    const inside = new Set(members);
+    return members.every(source => {
+      const distance = new Map([[source, 0]]);
+      const queue = [source];
+      for (let i = 0; i < queue.length; i++) {
+        const v = queue[i];
+        for (const w of adjacency.get(v)) {
+          if (inside.has(w) && !distance.has(w)) {
+            distance.set(w, distance.get(v) + 1);
+            queue.push(w);
+          }
+        }
+      }
+      return distance.size === members.length && [...distance.values()].every(d => d <= n);
+    });
+  };
+  return {
+    groups: nCliques.cliques.filter(members => members.length >= 3 && withinDiameter(members)),
+    truncated: nCliques.truncated
+  };
+}
+
+// Alternatives to maximal cliques for the director projection, each with its own halo mode
+const SUBGROUP_MEASURES = [
+  { key: "kcore", label: "k-cores", parameter: "k (minimum ties inside the core)", min: 1, max: null, defaultValue: 2 },
+  { key: "kplex", label: "k-plexes", parameter: "k (ties each member may lack)", min: 2, max: 4, defaultValue: 2 },
+  { key: "nclan", label: "n-clans", parameter: "n (maximum distance inside the group)", min: 2, max: 3, defaultValue: 2 }
+];
+
+// Cohesive subgroups of the director projection for one measure and parameter value
+function runSubgroups({ rows, measure, parameter }) {
+  const { directorAdjacency } = toGraph(rows);
+  const result = measure === "kplex"
+    ? findKPlexes(directorAdjacency, parameter)
+    : measure === "nclan"
+      ? findNClans(directorAdjacency, parameter)
+      : findKCores(directorAdjacency, parameter);
+  const groups = result.groups
+    .map(members => ({ members, size: members.length }))
+    .sort((a, b) => b.size - a.size || a.members.join("|").localeCompare(b.members.join("|")));
+  return { measure, parameter, groups, truncated: result.truncated, maxParameter: result.maxParameter ?? null };
+}
+
+// Directors in more than one clique, most cliques first; `limit` caps the list (null for all)
+function computeCrossCliqueConnectors(cliques, limit = 10) {
+  const counts = new Map();
+  for (const clique of cliques) {
+    const uniqueMembers = new Set(clique);
+    for (const member of uniqueMembers) {
+      counts.set(member, (counts.get(member) || 0) + 1);
+    }
+  }
+  return Array.from(counts.entries())
+    .map(([name, count]) => ({ name, count }))
+    .filter(item => item.count > 1)
+    .sort((a, b) => {
+      if (b.count !== a.count) return b.count - a.count;
+      return a.name.localeCompare(b.name);
+    })
+    .slice(0, limit ?? undefined);
+}
+
+// Newman modularity of a node → community assignment on a (weighted) one-mode graph
+function projectionModularity(nodes, map, weights, membership) {
+  const weightOf = (a, b) => (weights ? (weights.get(a)?.get(b) || 0) : 1);
+  const strength = new Map();
+  let twiceTotal = 0;
+  for (const node of nodes) {
+    let total = 0;
+    for (const neighbor of map.get(node) || []) total += weightOf(node, neighbor);
+    strength.set(node, total);
+    twiceTotal += total;
+  }
+  if (twiceTotal === 0) return 0;
+  const internal = new Map();
+  const totals = new Map();
+  for (const node of nodes) {
+    const community = membership.get(node);
+    totals.set(community, (totals.get(community) || 0) + strength.get(node));
+    for (const neighbor of map.get(node) || []) {
+      if (membership.get(neighbor) === community) internal.set(community, (internal.get(community) || 0) + weightOf(node, neighbor));
+    }
+  }
+  let q = 0;
+  totals.forEach((total, community) => {
+    q += (internal.get(community) || 0) / twiceTotal - (total / twiceTotal) ** 2;
+  });
+  return q;
+}
+
+// Louvain: greedy local moves followed by aggregation until modularity stops improving.
+// Nodes are visited in name order so the same register always yields the same partition.
+function detectCommunities(adjacency, weights = null) {
+  const map = adjacency instanceof Map ? adjacency : new Map();
+  const names = Array.from(map.keys()).sort((a, b) => a.localeCompare(b));
+  const index = new Map(names.map((name, i) => [name, i]));
+  const weightOf = (a, b) => (weights ? (weights.get(a)?.get(b) || 0) : 1);
+
+  // Level graph: neighbour lists of [node, weight], self-loop weight per node
+  let links = names.map(name => {
+    const row = new Map();
+    for (const neighbor of map.get(name) || []) {
+      const w = weightOf(name, neighbor);
+      if (w > 0) row.set(index.get(neighbor), w);
+    }
+    return row;
+  });
+  let loops = names.map(() => 0);
+  let assignment = names.map((_, i) => i);
+  const twiceTotal = links.reduce((sum, row) => sum + [...row.values()].reduce((a, b) => a + b, 0), 0);
+
+  while (twiceTotal > 0) {
+    const count = links.length;
+    const degree = links.map((row, i) => [...row.values()].reduce((a, b) => a + b, 0) + 2 * loops[i]);
+    const community = links.map((_, i) => i);
+    const totals = degree.slice();
+    let moved = false;
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (let i = 0; i < count; i++) {
+        const own = community[i];
+        const toCommunity = new Map();
+        links[i].forEach((w, j) => {
+          if (j !== i) toCommunity.set(community[j], (toCommunity.get(community[j]) || 0) + w);
+        });
+        totals[own] -= degree[i];
+        let best = own;
+        let bestGain = (toCommunity.get(own) || 0) - (totals[own] * degree[i]) / twiceTotal;
+        toCommunity.forEach((w, candidate) => {
+          const gain = w - (totals[candidate] * degree[i]) / twiceTotal;
+          if (gain > bestGain + 1e-12) {
+            best = candidate;
+            bestGain = gain;
+          }
+        });
+        totals[best] += degree[i];
+        if (best !== own) {
+          community[i] = best;
+          improved = true;
+          moved = true;
+        }
+      }
+    }
+    if (!moved) break;
+
+    const renumber = new Map();
+    community.forEach(c => {
+      if (!renumber.has(c)) renumber.set(c, renumber.size);
+    });
+    const nextLinks = Array.from({ length: renumber.size }, () => new Map());
+    const nextLoops = new Array(renumber.size).fill(0);
+    for (let i = 0; i < count; i++) {
+      const ci = renumber.get(community[i]);
+      nextLoops[ci] += loops[i];
+      links[i].forEach((w, j) => {
+        const cj = renumber.get(community[j]);
+        if (ci === cj) nextLoops[ci] += w / 2;
+        else nextLinks[ci].set(cj, (nextLinks[ci].get(cj) || 0) + w);
+      });
+    }
+    assignment = assignment.map(c => renumber.get(community[c]));
+    links = nextLinks;
+    loops = nextLoops;
+  }
+
+  const membership = new Map(names.map((name, i) => [name, assignment[i]]));
+  return {
+    ...communitiesFromMembership(membership),
+    modularity: Number(projectionModularity(names, map, weights, membership).toFixed(4))
+  };
+}
+
+// Groups a membership map into communities ordered by size, renumbered from 1
+function communitiesFromMembership(membership) {
+  const groups = new Map();
+  membership.forEach((community, name) => {
+    if (!groups.has(community)) groups.set(community, []);
+    groups.get(community).push(name);
+  });
+  const communities = [...groups.values()]
+    .map(members => members.sort((a, b) => a.localeCompare(b)))
+    .sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]))
+    .map((members, i) => ({ id: i + 1, members, size: members.length }));
+  const renumbered = new Map();
+  communities.forEach(community => community.members.forEach(name => renumbered.set(name, community.id)));
+  return { communities, membership: renumbered };
+}
+
+// Barber's bipartite modularity: Q = 1/m Σ (A_ij − k_i d_j / m) δ(g_i, g_j) over director i, company j
+function barberModularity(graph, personCommunity, companyCommunity) {
+  const m = graph.edges.length;
+  if (m === 0) return 0;
+  const personTotals = new Map();
+  const companyTotals = new Map();
+  graph.people.forEach(name => {
+    const c = personCommunity.get(name);
+    personTotals.set(c, (personTotals.get(c) || 0) + (graph.degreePerson.get(name) || 0));
+  });
+  graph.companies.forEach(name => {
+    const c = companyCommunity.get(name);
+    companyTotals.set(c, (companyTotals.get(c) || 0) + (graph.degreeCompany.get(name) || 0));
+  });
+  let internal = 0;
+  graph.personAffiliations.forEach((companies, person) => {
+    for (const company of companies) if (personCommunity.get(person) === companyCommunity.get(company)) internal += 1;
+  });
+  let expected = 0;
+  personTotals.forEach((total, c) => {
+    expected += total * (companyTotals.get(c) || 0);
+  });
+  return internal / m - expected / (m * m);
+}
+
+// BRIM (Barber 2007): alternately reassign directors and companies to the community that
+// maximises bipartite modularity. Runs from the Louvain partition of the company projection and
+// from one community per company, keeping whichever partition scores higher.
+function detectBipartiteCommunities(graph, companySeed) {
+  const m = graph.edges.length;
+
+  const reassign = (names, affiliations, degreeOf, otherCommunity, otherDegree, otherNames, target) => {
+    const totals = new Map();
+    for (const name of otherNames) {
+      const c = otherCommunity.get(name);
+      totals.set(c, (totals.get(c) || 0) + (otherDegree.get(name) || 0));
+    }
+    for (const name of names) {
+      const k = degreeOf.get(name) || 0;
+      const links = new Map();
+      for (const neighbor of affiliations.get(name) || []) {
+        const c = otherCommunity.get(neighbor);
+        links.set(c, (links.get(c) || 0) + 1);
+      }
+      let best = target.get(name);
+      let bestScore = -Infinity;
+      [...links.keys()].sort((a, b) => String(a).localeCompare(String(b))).forEach(c => {
+        const score = links.get(c) - (k * (totals.get(c) || 0)) / m;
+        if (score > bestScore + 1e-12) {
+          best = c;
+          bestScore = score;
+        }
+      });
+      target.set(name, best ?? `solo:${name}`);
+    }
+  };
+
+  const run = (seed) => {
+    const companyCommunity = new Map(graph.companies.map(name => [name, seed(name)]));
+    const personCommunity = new Map();
+    let quality = -Infinity;
+    for (let round = 0; round < 50 && m > 0; round++) {
+      reassign(graph.people, graph.personAffiliations, graph.degreePerson, companyCommunity, graph.degreeCompany, graph.companies, personCommunity);
+      reassign(graph.companies, graph.companyAffiliations, graph.degreeCompany, personCommunity, graph.degreePerson, graph.people, companyCommunity);
+      const next = barberModularity(graph, personCommunity, companyCommunity);
+      if (next <= quality + 1e-12) break;
+      quality = next;
+    }
+    return { personCommunity, companyCommunity, quality: barberModularity(graph, personCommunity, companyCommunity) };
+  };
+  const fromProjection = run(name => companySeed.get(name) ?? name);
+  const fromCompanies = run(name => name);
+  const { personCommunity, companyCommunity, quality } = fromCompanies.quality > fromProjection.quality ? fromCompanies : fromProjection;
+
+  const membership = new Map();
+  graph.people.forEach(name => membership.set(`P:${name}`, personCommunity.get(name) ?? `solo:P:${name}`));
+  graph.companies.forEach(name => membership.set(`C:${name}`, companyCommunity.get(name)));
+  const { communities, membership: renumbered } = communitiesFromMembership(membership);
+  return {
+    communities: communities.map(community => ({
+      id: community.id,
+      size: community.size,
+      directors: community.members.filter(id => id.startsWith("P:")).map(id => id.slice(2)),
+      companies: community.members.filter(id => id.startsWith("C:")).map(id => id.slice(2))
+    })),
+    membership: renumbered,
+    modularity: Number(quality.toFixed(4))
+  };
+}
+
+// Columns of the full ranking table; `weightedOnly` columns appear when a tie weighting is active
+const RANKING_COLUMNS = [
+  { key: "seats", label: "Seats", integer: true },
+  { key: "degree", label: "Degree" },
+  { key: "strength", label: "Strength", weightedOnly: true },
+  { key: "closeness", label: "Closeness" },
+  { key: "betweenness", label: "Betweenness" },
+  { key: "eigenvector", label: "Eigenvector" },
+  { key: "pagerank", label: "PageRank" },
+  { key: "katz", label: "Katz" },
+  { key: "harmonic", label: "Harmonic" },
+  { key: "bipartiteDegree", label: "2-mode degree" },
+  { key: "bipartiteCloseness", label: "2-mode closeness" },
+  { key: "bipartiteBetweenness", label: "2-mode betweenness" },
+  { key: "community", label: "Community", integer: true }
+];
+
+// One row per director or company with every metric, ordered by degree then name
+function buildRankingTable(names, seats, metrics, twoMode, communities) {
+  const rows = names.map(name => ({
+    name,
+    seats: seats.get(name) || 0,
+    degree: metrics.degree.get(name) || 0,
+    strength: metrics.strength.get(name) || 0,
+    closeness: metrics.closeness.get(name) || 0,
+    betweenness: metrics.betweenness.get(name) || 0,
+    eigenvector: metrics.eigenvector.get(name) || 0,
+    pagerank: metrics.pagerank.get(name) || 0,
+    katz: metrics.katz.get(name) || 0,
+    harmonic: metrics.harmonic.get(name) || 0,
+    bipartiteDegree: twoMode.degree.get(name) || 0,
+    bipartiteCloseness: twoMode.closeness.get(name) || 0,
+    bipartiteBetweenness: twoMode.betweenness.get(name) || 0,
+    community: communities.membership.get(name) ?? null
+  }));
+  rows.sort((a, b) => b.degree - a.degree || a.name.localeCompare(b.name));
+  return rows;
+}
+
+// One enumeration serves both the full clique list and the 3+ groups the report counts
+// (pairs when none are larger, also when the search was cut short; the truncated flag still warns)
+function reportedCliques(universe) {
+  const larger = universe.cliques.filter(members => members.length >= 3);
+  return larger.length > 0
+    ? { cliques: larger, threshold: 3 }
+    : { cliques: universe.cliques, threshold: 2 };
+}
+
+// Distinct values, most frequent first
+function rankValues(values) {
+  const counts = new Map();
+  values.forEach(value => {
+    if (value !== undefined && value !== null) counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts.entries()].sort((a, b) => b[1] - a[1] || String(a[0]).localeCompare(String(b[0]))).map(([value]) => value);
+}
+
+// Newman assortativity over projection ties whose ends both carry the attribute: the
+// categorical coefficient for labels, the Pearson correlation across tie ends for numbers
+function attributeAssortativity(overlaps, values) {
+  const pairs = overlaps
+    .map(({ a, b }) => [values[a], values[b]])
+    .filter(([x, y]) => x !== undefined && x !== null && y !== undefined && y !== null);
+  if (pairs.length === 0) return { kind: null, coefficient: null, ties: 0 };
+  if (pairs.every(([x, y]) => typeof x === "number" && typeof y === "number")) {
+    const ends = pairs.flatMap(([x, y]) => [[x, y], [y, x]]);
+    const mean = ends.reduce((sum, [x]) => sum + x, 0) / ends.length;
+    let covariance = 0;
+    let variance = 0;
+    for (const [x, y] of ends) {
+      covariance += (x - mean) * (y - mean);
+      variance += (x - mean) ** 2;
+    }
+    return { kind: "number", coefficient: variance > 0 ? covariance / variance : null, ties: pairs.length };
+  }
+  const mixing = new Map();
+  const add = (x, y, amount) => mixing.set(`${x}\u0000${y}`, (mixing.get(`${x}\u0000${y}`) || 0) + amount);
+  const share = new Map();
+  for (const [x, y] of pairs) {
+    add(x, y, 0.5 / pairs.length);
+    add(y, x, 0.5 / pairs.length);
+    share.set(x, (share.get(x) || 0) + 0.5 / pairs.length);
+    share.set(y, (share.get(y) || 0) + 0.5 / pairs.length);
+  }
+  let within = 0;
+  let expected = 0;
+  share.forEach((a, value) => {
+    within += mixing.get(`${value}\u0000${value}`) || 0;
+    expected += a * a;
+  });
+  return { kind: "category", coefficient: expected < 1 - 1e-12 ? (within - expected) / (1 - expected) : null, ties: pairs.length };
+}
+
+// Board diversity, sector interlocks and assortativity from the optional node table
+// ({ people: { name: attributes }, companies: { name: attributes } }); null without attributes
+function computeAttributeAnalytics(graph, attributes) {
+  const personAttributes = attributes?.people || {};
+  const companyAttributes = attributes?.companies || {};
+  if (Object.keys(personAttributes).length === 0 && Object.keys(companyAttributes).length === 0) return null;
+  const column = (source, key) => Object.fromEntries(
+    Object.entries(source).filter(([, values]) => values[key] !== undefined).map(([name, values]) => [name, values[key]])
+  );
+
+  // Gender composition of each board, largest boards first
+  const genders = column(personAttributes, "gender");
+  const genderValues = rankValues(Object.values(genders));
+  const boardGender = genderValues.length === 0 ? null : {
+    values: genderValues,
+    boards: graph.companies
+      .map(company => {
+        const members = graph.companyAffiliations.get(company) || [];
+        const counts = Object.fromEntries(genderValues.map(value => [value, 0]));
+        let unknown = 0;
+        members.forEach(person => {
+          if (genders[person] === undefined) unknown += 1;
+          else counts[genders[person]] += 1;
+        });
+        const known = members.length - unknown;
+        const shares = Object.fromEntries(genderValues.map(value => [value, known ? counts[value] / known : null]));
+        return { company, size: members.length, known, unknown, counts, shares };
+      })
+      .sort((a, b) => b.size - a.size || a.company.localeCompare(b.company))
+  };
+
+  // Sector × sector interlock counts from the company projection; the diagonal holds
+  // within-sector interlocks and each pair of companies counts once
+  const sectorOf = column(companyAttributes, "sector");
+  const sectors = rankValues(Object.values(sectorOf));
+  let sectorInterlocks = null;
+  if (sectors.length > 0) {
+    const index = new Map(sectors.map((sector, i) => [sector, i]));
+    const matrix = sectors.map(() => sectors.map(() => 0));
+    const sharedDirectors = sectors.map(() => sectors.map(() => 0));
+    let known = 0;
+    let cross = 0;
+    for (const { a, b, via } of graph.companyOverlaps) {
+      if (sectorOf[a] === undefined || sectorOf[b] === undefined) continue;
+      const i = index.get(sectorOf[a]);
+      const j = index.get(sectorOf[b]);
+      known += 1;
+      if (i !== j) cross += 1;
+      matrix[i][j] += 1;
+      sharedDirectors[i][j] += via.length;
+      if (i !== j) {
+        matrix[j][i] += 1;
+        sharedDirectors[j][i] += via.length;
+      }
+    }
+    const bySector = sectors.map((sector, i) => {
+      const total = matrix[i].reduce((sum, count) => sum + count, 0);
+      const outside = total - matrix[i][i];
+      return { sector, interlocks: total, crossSector: outside, share: total ? outside / total : null };
+    });
+    sectorInterlocks = {
+      sectors,
+      matrix,
+      sharedDirectors,
+      interlocks: known,
+      unclassified: graph.companyOverlaps.length - known,
+      crossSector: cross,
+      crossSectorShare: known ? cross / known : null,
+      bySector
+    };
+  }
+
+  const assortativity = [];
+  const attributeKeys = (source) => rankValues(Object.values(source).flatMap(values => Object.keys(values)));
+  for (const [projection, source, overlaps] of [
+    ["directors", personAttributes, graph.personOverlaps],
+    ["companies", companyAttributes, graph.companyOverlaps]
+  ]) {
+    for (const key of attributeKeys(source).sort()) {
+      const result = attributeAssortativity(overlaps, column(source, key));
+      if (result.ties > 0) assortativity.push({ attribute: key, projection, ...result });
+    }
+  }
+
+  return { boardGender, sectorInterlocks, assortativity };
+}
+
+const DEGREE_HISTOGRAM_BINS = 12;
+
+// Connected components of an adjacency map, largest first
+function connectedComponents(adjacency) {
+  const seen = new Set();
+  const components = [];
+  for (const start of adjacency.keys()) {
+    if (seen.has(start)) continue;
+    seen.add(start);
+    const queue = [start];
+    for (let i = 0; i < queue.length; i++) {
+      for (const next of adjacency.get(queue[i]) || []) {
+        if (seen.has(next)) continue;
+        seen.add(next);
+        queue.push(next);
+      }
+    }
+    components.push(queue);
+  }
+  return components.sort((a, b) => b.length - a.length);
+}
+
+// Diameter and mean distance over reachable pairs, by BFS from `sources` (every node when exact)
+function pathLengthStatistics(adjacency, sources) {
+  let diameter = 0;
+  let total = 0;
+  let pairs = 0;
+  for (const source of sources) {
+    const distance = new Map([[source, 0]]);
+    const queue = [source];
+    for (let i = 0; i < queue.length; i++) {
+      const d = distance.get(queue[i]) + 1;
+      for (const next of adjacency.get(queue[i]) || []) {
+        if (distance.has(next)) continue;
+        distance.set(next, d);
+        queue.push(next);
+        total += d;
+        pairs += 1;
+        if (d > diameter) diameter = d;
+      }
+    }
+  }
+  return { diameter, averagePathLength: pairs ? total / pairs : 0 };
+}
+
+// Equal-width bins over the observed degree range: [{ from, to, count }]
+function degreeHistogram(degrees) {
+  if (!degrees.length) return { bins: [], mean: 0, max: 0 };
+  const min = degrees.reduce((a, b) => Math.min(a, b), Infinity);
+  const max = degrees.reduce((a, b) => Math.max(a, b), -Infinity);
+  const width = Math.max(1, Math.ceil((max - min + 1) / DEGREE_HISTOGRAM_BINS));
+  const bins = [];
+  for (let from = min; from <= max; from += width) bins.push({ from, to: Math.min(max, from + width - 1), count: 0 });
+  for (const degree of degrees) bins[Math.floor((degree - min) / width)].count += 1;
+  return { bins, mean: degrees.reduce((a, b) => a + b, 0) / degrees.length, max };
+}
+
+// Share of connected triples that close into triangles (3 × triangles / triples)
+function projectionTransitivity(adjacency) {
+  let triangles = 0;
+  let triples = 0;
+  for (const [node, neighbours] of adjacency) {
+    triples += (neighbours.size * (neighbours.size - 1)) / 2;
+    for (const a of neighbours) {
+      if (a <= node) continue;
+      for (const b of adjacency.get(a)) {
+        if (b > a && neighbours.has(b)) triangles += 1;
+      }
+    }
+  }
+  return triples ? (3 * triangles) / triples : 0;
+}
+
+// Robins–Alexander bipartite clustering: 4 × four-cycles / three-paths. A four-cycle is a pair of
+// directors sharing a pair of boards; a three-path is director–board–director–board.
+function bipartiteClustering(graph) {
+  let cycles = 0;
+  for (const { via } of graph.companyOverlaps) cycles += (via.length * (via.length - 1)) / 2;
+  let paths = 0;
+  for (const boards of graph.personAffiliations.values()) {
+    for (const company of boards) paths += (boards.length - 1) * (graph.companyAffiliations.get(company).length - 1);
+  }
+  return paths ? (4 * cycles) / paths : 0;
+}
+
+function projectionStructure(names, adjacency, sampling) {
+  const n = names.length;
+  const edges = [...adjacency.values()].reduce((sum, neighbours) => sum + neighbours.size, 0) / 2;
+  const components = connectedComponents(adjacency);
+  const pivots = resolvePivotCount(n, sampling);
+  const isolated = names.filter(name => adjacency.get(name).size === 0);
+  return {
+    nodes: n,
+    edges,
+    density: n > 1 ? (2 * edges) / (n * (n - 1)) : 0,
+    components: components.length,
+    giant: { size: components[0]?.length || 0, share: n ? (components[0]?.length || 0) / n : 0 },
+    isolated,
+    ...pathLengthStatistics(adjacency, pivots ? samplePivots(names, pivots) : names),
+    transitivity: projectionTransitivity(adjacency),
+    approximate: pivots ? { pivots, nodes: n } : null,
+    degrees: degreeHistogram(names.map(name => adjacency.get(name).size))
+  };
+}
+
+// Whole-network figures for the two-mode graph and both projections. Diameter and mean path
+// length come from sampled sources under the same budget as centrality, in which case the
+// diameter is a lower bound. Repeat seats on one board count once.
+function computeNetworkStructure(graph, sampling = null) {
+  const { people, companies, directorAdjacency, companyAdjacency } = graph;
+  const adjacency = bipartiteAdjacency(graph);
+  const ids = [...adjacency.keys()];
+  const components = connectedComponents(adjacency);
+  const giant = components[0] || [];
+  const pivots = resolvePivotCount(ids.length, sampling);
+  const edges = people.reduce((sum, name) => sum + graph.personAffiliations.get(name).length, 0);
+  const cells = people.length * companies.length;
+  return {
+    bipartite: {
+      nodes: ids.length,
+      edges,
+      density: cells ? edges / cells : 0,
+      components: components.length,
+      giant: {
+        size: giant.length,
+        share: ids.length ? giant.length / ids.length : 0,
+        directors: giant.filter(id => id.startsWith("P:")).length,
+        companies: giant.filter(id => id.startsWith("C:")).length
+      },
+      ...pathLengthStatistics(adjacency, pivots ? samplePivots(ids, pivots) : ids),
+      clustering: bipartiteClustering(graph),
+      approximate: pivots ? { pivots, nodes: ids.length } : null,
+      degrees: {
+        directors: degreeHistogram(people.map(name => graph.personAffiliations.get(name).length)),
+        companies: degreeHistogram(companies.map(name => graph.companyAffiliations.get(name).length))
+      }
+    },
+    directors: projectionStructure(people, directorAdjacency, sampling),
+    companies: projectionStructure(companies, companyAdjacency, sampling)
+  };
+}
+
+// Burt's structural holes on a projection: effective size (contacts less their redundancy),
+// efficiency (effective size per contact) and constraint (how far the node's ties all lead into
+// one closed cluster). Tie strengths follow the report's weighting; isolates score null.
+function computeStructuralHoles(nodes, adjacency, weights = null) {
+  const strength = (a, b) => (weights ? weights.get(a)?.get(b) || 0 : 1);
+  const shares = new Map();
+  const strongest = new Map();
+  for (const node of nodes) {
+    const contacts = [...adjacency.get(node)];
+    const total = contacts.reduce((sum, contact) => sum + strength(node, contact), 0);
+    shares.set(node, new Map(contacts.map(contact => [contact, total ? strength(node, contact) / total : 0])));
+    strongest.set(node, contacts.reduce((max, contact) => Math.max(max, strength(node, contact)), 0));
+  }
+
+  const effectiveSize = new Map();
+  const efficiency = new Map();
+  const constraint = new Map();
+  for (const node of nodes) {
+    const contacts = adjacency.get(node);
+    if (contacts.size === 0) {
+      effectiveSize.set(node, null);
+      efficiency.set(node, null);
+      constraint.set(node, null);
+      continue;
+    }
+    const share = shares.get(node);
+    let size = 0;
+    let total = 0;
+    for (const j of contacts) {
+      const around = adjacency.get(j);
+      let redundancy = 0;
+      let indirect = 0;
+      for (const q of contacts) {
+        if (q === j || !around.has(q)) continue;
+        redundancy += share.get(q) * (strongest.get(j) ? strength(j, q) / strongest.get(j) : 0);
+        indirect += share.get(q) * shares.get(q).get(j);
+      }
+      size += 1 - redundancy;
+      total += (share.get(j) + indirect) ** 2;
+    }
+    effectiveSize.set(node, size);
+    efficiency.set(node, size / contacts.size);
+    constraint.set(node, total);
+  }
+  return { effectiveSize, efficiency, constraint };
+}
+
+// Gould–Fernandez roles for a broker b between two unconnected contacts a and c, by group:
+// coordinator (all one group), itinerant (a and c share a group b is outside of), gatekeeper
+// and representative (b shares a group with one side only), liaison (three groups).
+const BROKERAGE_ROLES = [
+  { key: "coordinator", label: "Coordinator" },
+  { key: "itinerant", label: "Itinerant" },
+  { key: "gatekeeper", label: "Gatekeeper" },
+  { key: "representative", label: "Representative" },
+  { key: "liaison", label: "Liaison" }
+];
+
+// Role counts per node over open triads whose three members all have a group. Interlocks are
+// undirected, so a triad with one outside contact reads as gatekeeping one way and representing
+// the other; it counts once in each, and `total` counts each brokered pair once.
+function computeBrokerage(nodes, adjacency, groupOf) {
+  const roles = new Map();
+  for (const b of nodes) {
+    const group = groupOf[b];
+    if (group === undefined) {
+      roles.set(b, null);
+      continue;
+    }
+    const counts = Object.fromEntries(BROKERAGE_ROLES.map(({ key }) => [key, 0]));
+    counts.total = 0;
+    const contacts = [...adjacency.get(b)].filter(contact => groupOf[contact] !== undefined);
+    for (let i = 0; i < contacts.length; i++) {
+      const a = contacts[i];
+      const around = adjacency.get(a);
+      for (let k = i + 1; k < contacts.length; k++) {
+        const c = contacts[k];
+        if (around.has(c)) continue;
+        const ga = groupOf[a];
+        const gc = groupOf[c];
+        if (ga === group && gc === group) counts.coordinator += 1;
+        else if (ga === gc) counts.itinerant += 1;
+        else if (ga === group || gc === group) {
+          counts.gatekeeper += 1;
+          counts.representative += 1;
+        } else counts.liaison += 1;
+        counts.total += 1;
+      }
+    }
+    roles.set(b, counts);
+  }
+  return roles;
+}
+
+// Structural-hole scores for every node of a projection, plus brokerage roles when at least two
+// groups (sectors) are known. Rows are sorted by effective size, isolates last.
+function computeBrokers(nodes, adjacency, weights, groupOf) {
+  const holes = computeStructuralHoles(nodes, adjacency, weights);
+  const groups = new Set(nodes.map(node => groupOf[node]).filter(group => group !== undefined));
+  const roles = groups.size > 1 ? computeBrokerage(nodes, adjacency, groupOf) : null;
+  const rows = nodes.map(name => ({
+    name,
+    group: groupOf[name] ?? null,
+    contacts: adjacency.get(name).size,
+    effectiveSize: holes.effectiveSize.get(name),
+    efficiency: holes.efficiency.get(name),
+    constraint: holes.constraint.get(name),
+    roles: roles ? roles.get(name) : null
+  }));
+  rows.sort((a, b) => (b.effectiveSize ?? -1) - (a.effectiveSize ?? -1) || a.name.localeCompare(b.name));
+  return { rows, groups: groups.size, brokerage: Boolean(roles) };
+}
+
+// Stages reported through `options.onProgress({ stage, fraction })`, with their share of the run
+const REPORT_STAGES = [
+  ["Director centrality", 0.25],
+  ["Company centrality", 0.15],
+  ["Two-mode centrality", 0.1],
+  ["Cliques", 0.25],
+  ["Communities", 0.1],
+  ["Structure", 0.1],
+  ["Brokers", 0.05]
+];
+
+function genReport(graph, options = {}) {
+  const {
+    degreePerson,
+    degreeCompany,
+    people,
+    companies,
+    companyOverlaps,
+    personOverlaps,
+    directorAdjacency,
+    companyAdjacency
+  } = graph;
+  const weighting = options.weighting || "none";
+  const sampling = options.sampling || null;
+  const nodeAttributes = options.attributes || null;
+  const stageProgress = (name) => {
+    let start = 0;
+    for (const [label, share] of REPORT_STAGES) {
+      if (label === name) return (fraction = 0) => options.onProgress?.({ stage: name, fraction: start + share * fraction });
+      start += share;
+    }
+    return () => {};
+  };
+
+  const multiSeatDirectors = people
+    .map(p => ({ name: p, boards: degreePerson.get(p) }))
+    .filter(x => x.boards > 1)
+    .sort((a, b) => b.boards - a.boards);
+
+  const highOverlapPairs = companyOverlaps
+    .map(o => ({ pair: `${o.a} ↔ ${o.b}`, shared: o.via.length, via: o.via }))
+    .sort((a, b) => b.shared - a.shared);
+
+  const avgBoardsPerDirector = people.length
+    ? (Array.from(degreePerson.values()).reduce((a, b) => a + b, 0) / people.length)
+    : 0;
+
+  const summary = {
+    totalCompanies: companies.length,
+    totalDirectors: people.length,
+    totalBoardSeats: Array.from(degreeCompany.values()).reduce((a, b) => a + b, 0),
+    avgBoardsPerDirector: Number(avgBoardsPerDirector.toFixed(2)),
+    directorsWithMultipleSeats: multiSeatDirectors.length,
+    companyPairsWithOverlap: highOverlapPairs.length,
+  };
+
+  const directorWeights = projectionWeights(personOverlaps, weighting);
+  const companyWeights = projectionWeights(companyOverlaps, weighting);
+  const directorCentrality = computeCentralityMetrics(directorAdjacency, directorWeights, stageProgress("Director centrality"), resolvePivotCount(directorAdjacency.size, sampling));
+  const companyCentrality = computeCentralityMetrics(companyAdjacency, companyWeights, stageProgress("Company centrality"), resolvePivotCount(companyAdjacency.size, sampling));
+
+  stageProgress("Two-mode centrality")();
+  const twoMode = computeBipartiteCentrality(graph, resolvePivotCount(people.length + companies.length, sampling));
+  const rankTwoMode = (scores, projection) => {
+    const ranked = {};
+    for (const measure of ["degree", "closeness", "betweenness"]) {
+      const projectionRanks = rankPositions(projection[measure]);
+      ranked[measure] = rankCentrality(scores[measure]).map(item => ({ ...item, projectionRank: projectionRanks.get(item.name) }));
+    }
+    return ranked;
+  };
+
+  const centrality = {
+    bipartite: {
+      directors: rankTwoMode(twoMode.directors, directorCentrality),
+      companies: rankTwoMode(twoMode.companies, companyCentrality)
+    },
+    directors: {
+      degree: rankCentrality(directorCentrality.degree, directorCentrality.degreeRaw),
+      strength: directorCentrality.weighted ? rankCentrality(directorCentrality.strength, directorCentrality.degreeRaw) : [],
+      closeness: rankCentrality(directorCentrality.closeness),
+      betweenness: rankCentrality(directorCentrality.betweenness),
+      eigenvector: rankCentrality(directorCentrality.eigenvector),
+      pagerank: rankCentrality(directorCentrality.pagerank),
+      katz: rankCentrality(directorCentrality.katz),
+      harmonic: rankCentrality(directorCentrality.harmonic),
+      centralization: directorCentrality.centralization
+    },
+    companies: {
+      degree: rankCentrality(companyCentrality.degree, companyCentrality.degreeRaw),
+      strength: companyCentrality.weighted ? rankCentrality(companyCentrality.strength, companyCentrality.degreeRaw) : [],
+      closeness: rankCentrality(companyCentrality.closeness),
+      betweenness: rankCentrality(companyCentrality.betweenness),
+      eigenvector: rankCentrality(companyCentrality.eigenvector),
+      pagerank: rankCentrality(companyCentrality.pagerank),
+      katz: rankCentrality(companyCentrality.katz),
+      harmonic: rankCentrality(companyCentrality.harmonic),
+      centralization: companyCentrality.centralization
+    }
+  };
+
+  const cliqueUniverse = findCliques(directorAdjacency, 2, stageProgress("Cliques"));
+  const cliqueResult = reportedCliques(cliqueUniverse);
+  const directorCliques = cliqueResult.cliques.map(members => ({
+    members,
+    size: members.length
+  }));
+  directorCliques.sort((a, b) => {
+    if (b.size !== a.size) return b.size - a.size;
+    return a.members.join("|").localeCompare(b.members.join("|"));
+  });
+
+  const allConnectors = computeCrossCliqueConnectors(cliqueResult.cliques, null);
+  const crossCliqueConnectors = allConnectors.slice(0, 10);
+
+  stageProgress("Communities")();
+  const directorCommunities = detectCommunities(directorAdjacency, directorWeights);
+  const companyCommunities = detectCommunities(companyAdjacency, companyWeights);
+  const communities = {
+    directors: directorCommunities,
+    companies: companyCommunities,
+    bipartite: detectBipartiteCommunities(graph, companyCommunities.membership)
+  };
+
+  const cliqueSizes = directorCliques.map(c => c.size);
+  const largestCliqueSize = cliqueSizes.length ? Math.max(...cliqueSizes) : 0;
+
+  summary.directorCliques = directorCliques.length;
+  summary.largestDirectorClique = largestCliqueSize;
+  summary.crossCliqueConnectors = allConnectors.length;
+
+  stageProgress("Structure")();
+  const structure = computeNetworkStructure(graph, sampling);
+
+  stageProgress("Brokers")();
+  const sectorsOf = (source) => Object.fromEntries(
+    Object.entries(source || {}).filter(([, values]) => values.sector !== undefined).map(([name, values]) => [name, values.sector])
+  );
+  const brokers = {
+    directors: computeBrokers(people, directorAdjacency, directorWeights, sectorsOf(nodeAttributes?.people)),
+    companies: computeBrokers(companies, companyAdjacency, companyWeights, sectorsOf(nodeAttributes?.companies))
+  };
+
+  return {
+    summary,
+    weighting,
+    // Sample sizes behind estimated closeness/harmonic/betweenness; null entries are exact
+    approximation: {
+      directors: directorCentrality.approximate,
+      companies: companyCentrality.approximate,
+      bipartite: twoMode.approximate
+    },
+    multiSeatDirectors,
+    highOverlapPairs,
+    centrality,
+    metrics: {
+      directors: directorCentrality,
+      companies: companyCentrality,
+      bipartite: twoMode
+    },
+    communities,
+    structure,
+    brokers,
+    attributes: computeAttributeAnalytics(graph, nodeAttributes),
+    rankings: {
+      directors: buildRankingTable(people, degreePerson, directorCentrality, twoMode.directors, communities.directors),
+      companies: buildRankingTable(companies, degreeCompany, companyCentrality, twoMode.companies, communities.companies)
+    },
+    cliques: {
+      directorCliques,
+      crossCliqueConnectors,
+      threshold: cliqueResult.threshold,
+      truncated: cliqueUniverse.truncated,
+      allCliques: cliqueUniverse.cliques
+    }
+  };
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}||${b}` : `${b}||${a}`;
+}
+
+function seatKey(seat) {
+  return `${seat.person}||${seat.company}`;
+}
+
+function collectSeats(graph) {
+  const seats = new Map();
+  graph.personSeats.forEach(list => list.forEach(seat => {
+    if (!seats.has(seatKey(seat))) seats.set(seatKey(seat), seat);
+  }));
+  return seats;
+}
+
+// 1-based positions in the full ranking of a centrality measure
+function rankPositions(map) {
+  return new Map(rankCentrality(map, null, Infinity).map((entry, index) => [entry.name, index + 1]));
+}
+
+// Rank moves against the report's own scores (`after`). The previous register is scored with the
+// same weighting and, when the report sampled, from the same source nodes where they exist.
+function compareRankings(previousAdjacency, previousWeights, after) {
+  const before = computeCentralityMetrics(previousAdjacency, previousWeights, null, after.approximate?.sourceNodes ?? null);
+  const changes = [];
+  for (const measure of ["degree", "closeness", "betweenness"]) {
+    const priorRanks = rankPositions(before[measure]);
+    rankPositions(after[measure]).forEach((rank, name) => {
+      if (!priorRanks.has(name)) return;
+      const prior = priorRanks.get(name);
+      if (prior !== rank) changes.push({ name, measure, before: prior, after: rank, delta: prior - rank });
+    });
+  }
+  changes.sort((a, b) => {
+    if (Math.abs(b.delta) !== Math.abs(a.delta)) return Math.abs(b.delta) - Math.abs(a.delta);
+    return a.name.localeCompare(b.name);
+  });
+  return changes;
+}
+
+// Differences between two toGraph() snapshots: people, companies, seats, overlaps and rank moves.
+// `metrics` are the current report's projection metrics (report.metrics), built with `weighting`.
+function diffGraphs(previous, current, metrics, weighting = "none") {
+  const prevPeople = new Set(previous.people);
+  const currPeople = new Set(current.people);
+  const prevCompanies = new Set(previous.companies);
+  const currCompanies = new Set(current.companies);
+  const prevSeats = collectSeats(previous);
+  const currSeats = collectSeats(current);
+  const prevOverlaps = new Map(previous.companyOverlaps.map(o => [pairKey(o.a, o.b), o]));
+  const currOverlaps = new Map(current.companyOverlaps.map(o => [pairKey(o.a, o.b), o]));
+  const byName = (a, b) => a.localeCompare(b);
+
+  const diff = {
+    addedDirectors: current.people.filter(p => !prevPeople.has(p)).sort(byName),
+    removedDirectors: previous.people.filter(p => !currPeople.has(p)).sort(byName),
+    addedCompanies: current.companies.filter(c => !prevCompanies.has(c)).sort(byName),
+    removedCompanies: previous.companies.filter(c => !currCompanies.has(c)).sort(byName),
+    addedSeats: [...currSeats.entries()].filter(([key]) => !prevSeats.has(key)).map(([, seat]) => seat),
+    removedSeats: [...prevSeats.entries()].filter(([key]) => !currSeats.has(key)).map(([, seat]) => seat),
+    newOverlaps: [...currOverlaps.entries()].filter(([key]) => !prevOverlaps.has(key)).map(([, o]) => o),
+    brokenOverlaps: [...prevOverlaps.entries()].filter(([key]) => !currOverlaps.has(key)).map(([, o]) => o),
+    rankChanges: {
+      directors: compareRankings(previous.directorAdjacency, projectionWeights(previous.personOverlaps, weighting), metrics.directors),
+      companies: compareRankings(previous.companyAdjacency, projectionWeights(previous.companyOverlaps, weighting), metrics.companies)
+    }
+  };
+  diff.hasChanges = ["addedDirectors", "removedDirectors", "addedCompanies", "removedCompanies", "addedSeats", "removedSeats"]
+    .some(key => diff[key].length > 0);
+  return diff;
+}
+
+// Everything the app derives from the active seats: graph, report, snapshot diff and, when seats
+// were removed since the compared register, a graph that keeps them for change highlighting.
+// `onProgress({ stage, fraction })` spans the whole run.
+function runAnalysis({ rows, compareRows = null, weighting = "none", sampling = null, attributes = null }, onProgress = null) {
+  onProgress?.({ stage: "Building graph", fraction: 0 });
+  const graph = toGraph(rows);
+  const report = genReport(graph, {
+    weighting,
+    sampling,
+    attributes,
+    onProgress: ({ stage, fraction }) => onProgress?.({ stage, fraction: 0.05 + fraction * 0.85 })
+  });
+  let diff = null;
+  let diffGraph = null;
+  if (compareRows) {
+    onProgress?.({ stage: "Comparing registers", fraction: 0.9 });
+    diff = diffGraphs(toGraph(compareRows), graph, report.metrics, weighting);
+    if (diff.removedSeats.length > 0) diffGraph = toGraph([...rows, ...diff.removedSeats]);
+  }
+  return { graph, report, diff, diffGraph };
+}
+
+// Figures compared against degree-preserving random graphs. Centralization is unweighted here
+// so observed and simulated values are measured the same way.
+const NULL_MODEL_STATISTICS = [
+  { key: "companyPairsWithOverlap", label: "Company pairs with overlap", summaryKey: "companyPairsWithOverlap" },
+  { key: "directorPairsWithOverlap", label: "Director pairs sharing a board" },
+  { key: "directorCliques", label: "Director cliques", summaryKey: "directorCliques", clique: true },
+  { key: "largestDirectorClique", label: "Largest director clique", summaryKey: "largestDirectorClique", clique: true },
+  { key: "crossCliqueConnectors", label: "Cross-clique connectors", summaryKey: "crossCliqueConnectors", clique: true },
+  { key: "directorDegreeCentralization", label: "Director centralization (degree)" },
+  { key: "directorClosenessCentralization", label: "Director centralization (closeness)" },
+  { key: "directorBetweennessCentralization", label: "Director centralization (betweenness)" },
+  { key: "companyDegreeCentralization", label: "Company centralization (degree)" },
+  { key: "companyClosenessCentralization", label: "Company centralization (closeness)" },
+  { key: "companyBetweennessCentralization", label: "Company centralization (betweenness)" }
+];
+
+const NULL_MODEL_DEFAULTS = { simulations: 100, seed: 1 };
+const NULL_MODEL_SIMULATIONS = [50, 100, 250, 500, 1000];
+// Tighter than CLIQUE_LIMITS: the search repeats once per simulation
+const NULL_MODEL_CLIQUE_LIMITS = { timeoutMs: 1000, maxResults: 2000 };
+
+function nullModelStatistics(graph, sampling) {
+  const universe = findCliques(graph.directorAdjacency, 2, null, NULL_MODEL_CLIQUE_LIMITS);
+  const { cliques } = reportedCliques(universe);
+  const directors = computeCentralityMetrics(graph.directorAdjacency, null, null, resolvePivotCount(graph.directorAdjacency.size, sampling));
+  const companies = computeCentralityMetrics(graph.companyAdjacency, null, null, resolvePivotCount(graph.companyAdjacency.size, sampling));
+  return {
+    truncated: Boolean(universe.truncated),
+    values: {
+      companyPairsWithOverlap: graph.companyOverlaps.length,
+      directorPairsWithOverlap: graph.personOverlaps.length,
+      directorCliques: cliques.length,
+      largestDirectorClique: cliques.reduce((max, members) => Math.max(max, members.length), 0),
+      crossCliqueConnectors: computeCrossCliqueConnectors(cliques, null).length,
+      directorDegreeCentralization: directors.centralization.degree,
+      directorClosenessCentralization: directors.centralization.closeness,
+      directorBetweennessCentralization: directors.centralization.betweenness,
+      companyDegreeCentralization: companies.centralization.degree,
+      companyClosenessCentralization: companies.centralization.closeness,
+      companyBetweennessCentralization: companies.centralization.betweenness
+    }
+  };
+}
+
+// Curveball trades (Strona et al. 2014): two directors swap a random share of the boards only
+// one of them sits on, so every director keeps their seat count and every board its size
+function curveballTrades(memberships, trades, random) {
+  if (memberships.length < 2) return;
+  for (let t = 0; t < trades; t++) {
+    const i = Math.floor(random() * memberships.length);
+    let j = Math.floor(random() * (memberships.length - 1));
+    if (j >= i) j += 1;
+    const a = memberships[i];
+    const b = memberships[j];
+    const inA = new Set(a);
+    const inB = new Set(b);
+    const onlyA = a.filter(company => !inB.has(company));
+    const onlyB = b.filter(company => !inA.has(company));
+    if (onlyA.length === 0 || onlyB.length === 0) continue;
+    const shared = a.filter(company => inB.has(company));
+    const pool = [...onlyA, ...onlyB];
+    for (let k = pool.length - 1; k > 0; k--) {
+      const r = Math.floor(random() * (k + 1));
+      [pool[k], pool[r]] = [pool[r], pool[k]];
+    }
+    memberships[i] = [...shared, ...pool.slice(0, onlyA.length)];
+    memberships[j] = [...shared, ...pool.slice(onlyA.length)];
+  }
+}
+
+// Observed figures against `simulations` curveball randomizations of the director–board graph.
+// The chain runs from the observed graph with one burn-in block, then `trades` trades between
+// samples. p is the two-sided empirical p-value, (1 + as extreme) / (simulations + 1).
+// `reported` ({ values, truncated }) supplies observed figures from the report, so the clique
+// counts tested are the ones shown beside them. The report searches longer than each
+// simulation does, so once either search is cut short the clique figures get no z or p.
+function runNullModel({ rows, simulations = NULL_MODEL_DEFAULTS.simulations, seed = NULL_MODEL_DEFAULTS.seed, sampling = null, reported = null }, onProgress = null) {
+  const graph = toGraph(rows);
+  const empty = { simulations: 0, seed, trades: 0, statistics: [], truncatedRuns: 0, observedTruncated: false };
+  if (!simulations || graph.people.length < 2) return empty;
+
+  onProgress?.({ stage: "Observed network", fraction: 0 });
+  const computed = nullModelStatistics(graph, sampling);
+  const observed = reported
+    ? { truncated: Boolean(reported.truncated), values: { ...computed.values, ...reported.values } }
+    : computed;
+  const random = createRandom(seed);
+  const memberships = graph.people.map(person => [...graph.personAffiliations.get(person)]);
+  const trades = Math.max(100, 5 * graph.people.length);
+  curveballTrades(memberships, trades, random);
+
+  const samples = Object.fromEntries(NULL_MODEL_STATISTICS.map(({ key }) => [key, []]));
+  let truncatedRuns = 0;
+  for (let run = 0; run < simulations; run++) {
+    onProgress?.({ stage: `Simulation ${run + 1} of ${simulations}`, fraction: run / simulations });
+    curveballTrades(memberships, trades, random);
+    const randomized = toGraph(graph.people.flatMap((person, i) => memberships[i].map(company => ({ person, company }))));
+    const result = nullModelStatistics(randomized, sampling);
+    if (result.truncated) truncatedRuns += 1;
+    for (const { key } of NULL_MODEL_STATISTICS) samples[key].push(result.values[key]);
+  }
+
+  const cliquesComparable = !observed.truncated && truncatedRuns === 0;
+  const statistics = NULL_MODEL_STATISTICS.map(statistic => {
+    const values = samples[statistic.key];
+    const value = observed.values[statistic.key];
+    const mean = values.reduce((sum, x) => sum + x, 0) / values.length;
+    const variance = values.length > 1 ? values.reduce((sum, x) => sum + (x - mean) ** 2, 0) / (values.length - 1) : 0;
+    const sd = Math.sqrt(variance);
+    const extreme = values.filter(x => Math.abs(x - mean) >= Math.abs(value - mean) - 1e-12).length;
+    const comparable = !statistic.clique || cliquesComparable;
+    return {
+      ...statistic,
+      observed: value,
+      mean,
+      sd,
+      z: comparable && sd > 1e-12 ? (value - mean) / sd : null,
+      p: comparable ? (1 + extreme) / (values.length + 1) : null
+    };
+  });
+  return { simulations, seed, trades, statistics, truncatedRuns, observedTruncated: observed.truncated };
+}
+
+export {
+  SEAT_ROLES,
+  formatSeatPeriod,
+  describeSeat,
+  unique,
+  toGraph,
+  TIE_WEIGHTINGS,
+  projectionWeights,
+  createRandom,
+  CENTRALITY_SAMPLING,
+  computeCentralityMetrics,
+  rankCentrality,
+  findCliques,
+  computeCrossCliqueConnectors,
+  BROKERAGE_ROLES,
+  PATH_LIMITS,
+  findPaths,
+  RANKING_COLUMNS,
+  computeAttributeAnalytics,
+  genReport,
+  pairKey,
+  seatKey,
+  diffGraphs,
+  runAnalysis,
+  NULL_MODEL_DEFAULTS,
+  NULL_MODEL_SIMULATIONS,
+  runNullModel,
+  CLIQUE_LIMITS,
+  SUBGROUP_MEASURES,
+  runSubgroups
+};
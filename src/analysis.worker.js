@@ -0,0 +1,27 @@
+import { runAnalysis, runSubgroups, runNullModel } from "./analysis.js";
+
+// Runs one task per message. Cancelling a run means terminating the worker, so progress is
+// throttled but never waits on the main thread.
+const PROGRESS_INTERVAL_MS = 100;
+
+const TASKS = {
+  analysis: runAnalysis,
+  subgroups: runSubgroups,
+  nullModel: runNullModel
+};
+
+self.onmessage = (event) => {
+  const { id, task, job } = event.data;
+  let lastProgress = 0;
+  const onProgress = ({ stage, fraction }) => {
+    const now = Date.now();
+    if (now - lastProgress < PROGRESS_INTERVAL_MS) return;
+    lastProgress = now;
+    self.postMessage({ id, type: "progress", stage, fraction });
+  };
+  try {
+    self.postMessage({ id, type: "result", result: TASKS[task](job, onProgress) });
+  } catch (err) {
+    self.postMessage({ id, type: "error", message: err?.message || String(err) });
+  }
+};